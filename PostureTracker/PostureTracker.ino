@@ -3,15 +3,81 @@
 #include <Wire.h>
 #include <WiFi.h>
 #include <WebServer.h>
+#include <ESPmDNS.h>
+#include <WebSocketsServer.h> // "WebSockets" library by Markus Sattler (Links2004)
+#include <Preferences.h>
+#include <ArduinoJson.h>
 
 // --- ACCESS POINT CREDENTIALS ---
-// This is the name of the WiFi network the ESP32 will CREATE.
+// This is the name of the WiFi network the ESP32 will CREATE when it has no
+// home network to join (first boot, or the saved network is unreachable).
 const char* ssid = "Posture_Alert_AP";
 // This is the password required to join the ESP32's network (must be at least 8 chars).
 const char* password = "12345678";
 
+// --- STATION MODE (HOME WI-FI) ---
+// Credentials come from the dashboard (POST /wifi) or the provisioning page at
+// "/" and are kept in NVS. On boot the device tries to join that network and
+// falls back to its own access point if it can't.
+const unsigned long WIFI_JOIN_TIMEOUT_MS = 15000;
+// In station mode the access point reopens once the network has been gone this long
+const unsigned long WIFI_LOST_AP_MS = 60000;
+String wifi_ssid = "";
+String wifi_password = "";
+bool station_mode = false; // joined the saved network at boot
+bool ap_active = false;
+unsigned long wifi_lost_since = 0;
+// Set after new credentials are saved: restart once the response has gone out
+unsigned long restart_at = 0;
+
+// --- DEVICE IDENTITY ---
+// Reported by GET /identity and advertised over mDNS so the dashboard can find
+// the device without typing an address. The ID comes from the chip's MAC and
+// never changes; the hostname is "<id>.local".
+const char* FIRMWARE_VERSION = "1.5.0";
+const char* DEVICE_MODEL = "PostureTracker";
+String device_id;
+
+// --- PAIRING ---
+// Everything except /identity, /pair and the setup page needs a token:
+// "Authorization: Bearer <token>" over HTTP, "?token=<token>" on the WebSocket.
+// POST /pair/start blinks a fresh code on the onboard LED (each digit as that
+// many flashes, also printed on Serial); POST /pair trades the code for a token.
+// Tokens are kept in NVS, so paired clients survive restarts.
+// Wrong codes are counted in NVS too: after PAIR_MAX_ATTEMPTS of them pairing
+// locks for PAIR_LOCKOUT_MS, doubling with every further wrong code up to
+// PAIR_LOCKOUT_MAX_MS, until a client pairs. A restart starts the lockout over.
+#define LED_PIN 2
+const int PAIR_CODE_DIGITS = 4;
+const unsigned long PAIR_CODE_TTL_MS = 120000;
+const int PAIR_MAX_ATTEMPTS = 5;
+const unsigned long PAIR_LOCKOUT_MS = 60000;
+const unsigned long PAIR_LOCKOUT_MAX_MS = 3600000;
+// Least time between two codes; a code that is still active is only replaced
+// for a client that is already paired
+const unsigned long PAIR_START_INTERVAL_MS = 10000;
+// Pairing another client once every slot is taken replaces the oldest token
+const int MAX_TOKENS = 4;
+String pair_code = "";
+unsigned long pair_started_at = 0;
+bool pair_started = false;
+int pair_failures = 0;
+unsigned long pair_locked_at = 0;
+unsigned long pair_lock_ms = 0;
+String tokens[MAX_TOKENS];
+int token_next = 0;
+// Token each WebSocket client connected with, so revoking it also drops the stream
+String ws_tokens[WEBSOCKETS_SERVER_CLIENT_MAX];
+
 Adafruit_MPU6050 mpu;
+// Non-volatile storage (NVS) for calibration offsets
+Preferences prefs;
 WebServer server(80);
+// Push stream for the dashboard: ws://<device-ip>:81/
+WebSocketsServer webSocket(81);
+
+// How often readings are pushed to connected WebSocket clients (ms)
+const unsigned long STREAM_INTERVAL_MS = 50;
 
 // Pin 23 is standard for ESP32. 
 // If using ESP8266, change this to a valid GPIO (e.g., D1, D2).
@@ -33,8 +99,75 @@ float angle_roll = 0.0;
 float pitch_offset = 0.0;
 float roll_offset = 0.0;
 
-// Global variable to store the final angle for the web server
-float current_angle_for_web = 0.0;
+// --- REMOTE CALIBRATION STATE ---
+// Started by POST /calibrate and advanced one reading per loop() so the web
+// server stays responsive while it runs.
+enum CalibrationState { CAL_IDLE, CAL_RUNNING, CAL_DONE, CAL_FAILED };
+CalibrationState cal_state = CAL_IDLE;
+const int CAL_READINGS = 500;
+// Angular speed (rad/s) above which the sensor is considered to be moving
+const float CAL_MAX_GYRO = 0.15;
+int cal_count = 0;
+float cal_sum_pitch = 0.0;
+float cal_sum_roll = 0.0;
+unsigned long cal_last_sample = 0;
+String cal_error = "";
+
+// --- HAPTIC CONFIG ---
+// Editable from the dashboard via GET/PUT /config and kept in NVS.
+enum BuzzPattern { PATTERN_CONTINUOUS, PATTERN_PULSE, PATTERN_DOUBLE };
+const char* PATTERN_NAMES[] = { "continuous", "pulse", "double" };
+
+struct HapticConfig {
+  float threshold;          // degrees on either axis before the motor may fire
+  unsigned long min_bad_ms; // time past the threshold before buzzing
+  BuzzPattern pattern;
+  bool quiet;               // suppresses posture buzzing (test buzz still works)
+};
+
+HapticConfig haptic = { 40.0, 0, PATTERN_CONTINUOUS, false };
+
+// When the posture first went past the threshold (0 = currently fine)
+unsigned long bad_since = 0;
+// Test buzz from POST /buzz runs until this time
+unsigned long test_buzz_until = 0;
+const unsigned long TEST_BUZZ_MS = 800;
+
+// Latest reading, shared by the HTTP handler and the WebSocket stream
+struct Telemetry {
+  float pitch;          // degrees, forward/backward lean
+  float roll;           // degrees, sideways lean
+  float ax, ay, az;     // raw acceleration (m/s^2)
+  float gx, gy, gz;     // raw angular velocity (rad/s)
+  unsigned long ts;     // device uptime in ms when the sample was taken
+  uint32_t seq;         // increments once per sample
+  bool alert;           // the motor is buzzing because of bad posture
+};
+
+Telemetry latest = {0};
+
+// --- SAMPLE RING BUFFER ---
+// Keeps recent readings so the dashboard can backfill gaps after a reconnect
+// (GET /samples?since=<seq>). 2400 samples at 500ms covers the last 20 minutes.
+// Angles are kept in hundredths of a degree and the alert flags in a bitmap,
+// so a sample is 12 bytes and the whole buffer about 29 KB of DRAM.
+struct Sample {
+  uint32_t seq;
+  uint32_t ts;
+  int16_t pitch_cdeg;
+  int16_t roll_cdeg;
+};
+
+const int BUFFER_SIZE = 2400;
+const unsigned long BUFFER_INTERVAL_MS = 500;
+const int SAMPLES_DEFAULT_LIMIT = 200;
+const int SAMPLES_MAX_LIMIT = 500;
+const int SAMPLES_CHUNK = 20;  // samples per chunk of a /samples response
+
+Sample sample_buffer[BUFFER_SIZE];
+uint8_t sample_alerts[(BUFFER_SIZE + 7) / 8];
+int buffer_head = 0;   // next slot to write
+int buffer_count = 0;  // number of valid samples
 
 // --- CALIBRATION FUNCTION ---
 void calibrateSensor() {
@@ -67,20 +200,799 @@ void calibrateSensor() {
   Serial.println("--------------------------------------");
 }
 
+// --- CALIBRATION STORAGE ---
+void saveOffsets() {
+  prefs.begin("posture", false);
+  prefs.putFloat("pitch_off", pitch_offset);
+  prefs.putFloat("roll_off", roll_offset);
+  prefs.end();
+}
+
+// Returns true if offsets from a previous calibration were found
+bool loadOffsets() {
+  prefs.begin("posture", true);
+  bool found = prefs.isKey("pitch_off") && prefs.isKey("roll_off");
+  if (found) {
+    pitch_offset = prefs.getFloat("pitch_off", 0.0);
+    roll_offset = prefs.getFloat("roll_off", 0.0);
+  }
+  prefs.end();
+  return found;
+}
+
+void saveHapticConfig() {
+  prefs.begin("posture", false);
+  prefs.putFloat("hap_thr", haptic.threshold);
+  prefs.putULong("hap_min_ms", haptic.min_bad_ms);
+  prefs.putUChar("hap_pattern", (uint8_t)haptic.pattern);
+  prefs.putBool("hap_quiet", haptic.quiet);
+  prefs.end();
+}
+
+void loadHapticConfig() {
+  prefs.begin("posture", true);
+  haptic.threshold = prefs.getFloat("hap_thr", haptic.threshold);
+  haptic.min_bad_ms = prefs.getULong("hap_min_ms", haptic.min_bad_ms);
+  haptic.pattern = (BuzzPattern)prefs.getUChar("hap_pattern", (uint8_t)haptic.pattern);
+  haptic.quiet = prefs.getBool("hap_quiet", haptic.quiet);
+  prefs.end();
+}
+
+// --- WI-FI PROVISIONING ---
+void saveWifiCredentials() {
+  prefs.begin("posture", false);
+  prefs.putString("wifi_ssid", wifi_ssid);
+  prefs.putString("wifi_pass", wifi_password);
+  prefs.end();
+}
+
+void loadWifiCredentials() {
+  prefs.begin("posture", true);
+  wifi_ssid = prefs.getString("wifi_ssid", "");
+  wifi_password = prefs.getString("wifi_pass", "");
+  prefs.end();
+}
+
+void startAccessPoint() {
+  // If you want an open network (no password), use: WiFi.softAP(ssid);
+  WiFi.softAP(ssid, password);
+  ap_active = true;
+
+  Serial.println("AP Created.");
+  Serial.print("AP SSID: "); Serial.println(ssid);
+  Serial.print("AP IP address: "); Serial.println(WiFi.softAPIP()); // Usually 192.168.4.1
+}
+
+// Closes the fallback access point once the home network is back, so nobody
+// can keep joining it with the built-in password
+void stopAccessPoint() {
+  WiFi.softAPdisconnect(true);
+  WiFi.mode(WIFI_STA);
+  ap_active = false;
+  Serial.println("WiFi back, access point closed.");
+}
+
+// Joins the saved network if there is one; otherwise (or if that fails) creates the AP
+void setupWifi() {
+  loadWifiCredentials();
+
+  if (wifi_ssid.length() > 0) {
+    Serial.print("Joining WiFi: "); Serial.println(wifi_ssid);
+    WiFi.mode(WIFI_STA);
+    WiFi.begin(wifi_ssid.c_str(), wifi_password.c_str());
+
+    unsigned long start = millis();
+    while (WiFi.status() != WL_CONNECTED && millis() - start < WIFI_JOIN_TIMEOUT_MS) {
+      delay(250);
+    }
+    if (WiFi.status() == WL_CONNECTED) {
+      station_mode = true;
+      Serial.print("Station IP address: "); Serial.println(WiFi.localIP());
+      return;
+    }
+    Serial.println("Could not join the saved network, falling back to the access point.");
+  }
+
+  Serial.print("Configuring Access Point...");
+  WiFi.mode(WIFI_AP);
+  startAccessPoint();
+}
+
+// Called from loop(): applies pending restarts and, in station mode, reopens
+// the access point when the home network stays unreachable so the device can
+// be re-provisioned, and closes it again once the station reconnects. The
+// station keeps retrying in the background.
+void checkWifi() {
+  if (restart_at != 0 && millis() > restart_at) {
+    ESP.restart();
+  }
+  if (!station_mode) return;
+
+  if (WiFi.status() == WL_CONNECTED) {
+    wifi_lost_since = 0;
+    if (ap_active) stopAccessPoint();
+    return;
+  }
+  if (wifi_lost_since == 0) wifi_lost_since = millis();
+  if (!ap_active && millis() - wifi_lost_since > WIFI_LOST_AP_MS) {
+    Serial.println("WiFi lost, opening the access point for re-provisioning.");
+    WiFi.mode(WIFI_AP_STA);
+    startAccessPoint();
+  }
+}
+
+// Serialized with ArduinoJson because SSIDs may contain quotes
+String buildWifiJson() {
+  JsonDocument doc;
+  doc["mode"] = station_mode ? "station" : "ap";
+  doc["ssid"] = wifi_ssid;
+  doc["connected"] = WiFi.status() == WL_CONNECTED;
+  doc["ip"] = station_mode ? WiFi.localIP().toString() : "";
+  if (station_mode) {
+    doc["rssi"] = WiFi.RSSI();
+  } else {
+    doc["rssi"] = nullptr;
+  }
+  doc["ap_active"] = ap_active;
+  doc["ap_ip"] = ap_active ? WiFi.softAPIP().toString() : "";
+
+  String json;
+  serializeJson(doc, json);
+  return json;
+}
+
+// --- PAIRING ---
+void saveTokens() {
+  prefs.begin("posture", false);
+  for (int i = 0; i < MAX_TOKENS; i++) {
+    prefs.putString(("tok" + String(i)).c_str(), tokens[i]);
+  }
+  prefs.putInt("tok_next", token_next);
+  prefs.end();
+}
+
+void loadTokens() {
+  prefs.begin("posture", true);
+  for (int i = 0; i < MAX_TOKENS; i++) {
+    tokens[i] = prefs.getString(("tok" + String(i)).c_str(), "");
+  }
+  token_next = prefs.getInt("tok_next", 0);
+  prefs.end();
+}
+
+void savePairFailures() {
+  prefs.begin("posture", false);
+  prefs.putInt("pair_fails", pair_failures);
+  prefs.end();
+}
+
+// Lockout for a given count of wrong codes: none below PAIR_MAX_ATTEMPTS, then
+// doubling from PAIR_LOCKOUT_MS
+unsigned long pairLockoutFor(int failures) {
+  if (failures < PAIR_MAX_ATTEMPTS) return 0;
+  int doublings = min(failures - PAIR_MAX_ATTEMPTS, 6);
+  return min(PAIR_LOCKOUT_MS << doublings, PAIR_LOCKOUT_MAX_MS);
+}
+
+void lockPairing() {
+  pair_code = "";
+  pair_locked_at = millis();
+  pair_lock_ms = pairLockoutFor(pair_failures);
+}
+
+void loadPairFailures() {
+  prefs.begin("posture", true);
+  pair_failures = prefs.getInt("pair_fails", 0);
+  prefs.end();
+  lockPairing();
+}
+
+// Seconds until pairing unlocks, 0 when it is not locked
+unsigned long pairLockedFor() {
+  unsigned long elapsed = millis() - pair_locked_at;
+  return elapsed < pair_lock_ms ? (pair_lock_ms - elapsed + 999) / 1000 : 0;
+}
+
+// Answers 429 with the seconds left in retry_after
+void sendPairRetry(const String& error, unsigned long seconds) {
+  String json = "{";
+  json += "\"error\": \"" + error + " Try again in " + String(seconds) + " s.\",";
+  json += "\"retry_after\": " + String(seconds);
+  json += "}";
+  server.send(429, "application/json", json);
+}
+
+// 128 random bits as 32 hex characters
+String randomToken() {
+  char buf[33];
+  for (int i = 0; i < 4; i++) {
+    snprintf(buf + i * 8, 9, "%08lx", (unsigned long)esp_random());
+  }
+  return String(buf);
+}
+
+bool isValidToken(const String& token) {
+  if (token.length() != 32) return false;
+  for (int i = 0; i < MAX_TOKENS; i++) {
+    if (tokens[i] == token) return true;
+  }
+  return false;
+}
+
+bool pairingActive() {
+  return pair_code.length() > 0 && millis() - pair_started_at < PAIR_CODE_TTL_MS;
+}
+
+bool hasValidBearer() {
+  String header = server.header("Authorization");
+  return header.startsWith("Bearer ") && isValidToken(header.substring(7));
+}
+
+// Checks the request's bearer token; answers 401 itself when it is missing or revoked
+bool authorized() {
+  if (hasValidBearer()) return true;
+
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+  server.send(401, "application/json", "{\"error\": \"Pairing required\"}");
+  return false;
+}
+
+// Closes streams whose token has been revoked
+void dropRevokedStreams() {
+  for (uint8_t i = 0; i < WEBSOCKETS_SERVER_CLIENT_MAX; i++) {
+    if (ws_tokens[i].length() > 0 && !isValidToken(ws_tokens[i])) {
+      ws_tokens[i] = "";
+      webSocket.disconnect(i);
+    }
+  }
+}
+
+// Called from loop(): flashes each digit of the active code, 1s between
+// digits and 2s before it repeats
+void updatePairingLed() {
+  if (!pairingActive()) {
+    pair_code = "";
+    digitalWrite(LED_PIN, LOW);
+    return;
+  }
+
+  unsigned long cycle = 1000;
+  for (int i = 0; i < PAIR_CODE_DIGITS; i++) cycle += (pair_code[i] - '0') * 500 + 1000;
+
+  unsigned long t = (millis() - pair_started_at) % cycle;
+  for (int i = 0; i < PAIR_CODE_DIGITS; i++) {
+    unsigned long flashes = (pair_code[i] - '0') * 500; // 250ms on, 250ms off
+    if (t < flashes) {
+      digitalWrite(LED_PIN, (t % 500) < 250 ? HIGH : LOW);
+      return;
+    }
+    t -= flashes;
+    if (t < 1000) break;
+    t -= 1000;
+  }
+  digitalWrite(LED_PIN, LOW);
+}
+
+// --- REMOTE CALIBRATION ---
+void startCalibration() {
+  cal_state = CAL_RUNNING;
+  cal_count = 0;
+  cal_sum_pitch = 0.0;
+  cal_sum_roll = 0.0;
+  cal_last_sample = 0;
+  cal_error = "";
+  Serial.println("Remote calibration started. Keep the sensor still!");
+}
+
+// Called every loop with the fresh sensor event
+void updateCalibration(const sensors_event_t& a, const sensors_event_t& g) {
+  if (cal_state != CAL_RUNNING) return;
+  if (millis() - cal_last_sample < 5) return;
+  cal_last_sample = millis();
+
+  float gyro_mag = sqrt(pow(g.gyro.x, 2) + pow(g.gyro.y, 2) + pow(g.gyro.z, 2));
+  if (gyro_mag > CAL_MAX_GYRO) {
+    cal_state = CAL_FAILED;
+    cal_error = "Movement detected";
+    Serial.println("Remote calibration failed: movement detected");
+    return;
+  }
+
+  cal_sum_pitch += atan2(-a.acceleration.x, sqrt(pow(a.acceleration.y, 2) + pow(a.acceleration.z, 2)));
+  cal_sum_roll += atan2(a.acceleration.y, a.acceleration.z);
+  cal_count++;
+
+  if (cal_count >= CAL_READINGS) {
+    pitch_offset = cal_sum_pitch / CAL_READINGS;
+    roll_offset = cal_sum_roll / CAL_READINGS;
+    saveOffsets();
+    cal_state = CAL_DONE;
+    Serial.print("Remote calibration complete. Pitch Offset: "); Serial.print(pitch_offset * RAD_TO_DEG);
+    Serial.print(" Roll Offset: "); Serial.println(roll_offset * RAD_TO_DEG);
+  }
+}
+
+String buildCalibrationJson() {
+  const char* states[] = { "idle", "running", "done", "failed" };
+  String json = "{";
+  json += "\"state\": \"" + String(states[cal_state]) + "\",";
+  json += "\"progress\": " + String(cal_state == CAL_DONE ? 100 : (cal_count * 100) / CAL_READINGS) + ",";
+  json += "\"pitch_offset\": " + String(pitch_offset * RAD_TO_DEG, 2) + ",";
+  json += "\"roll_offset\": " + String(roll_offset * RAD_TO_DEG, 2) + ",";
+  json += "\"error\": \"" + cal_error + "\"";
+  json += "}";
+  return json;
+}
+
+// --- HAPTIC CONTROL ---
+String buildConfigJson() {
+  String json = "{";
+  json += "\"haptic_threshold\": " + String(haptic.threshold, 1) + ",";
+  json += "\"min_bad_ms\": " + String(haptic.min_bad_ms) + ",";
+  json += "\"pattern\": \"" + String(PATTERN_NAMES[haptic.pattern]) + "\",";
+  json += "\"quiet_mode\": " + String(haptic.quiet ? "true" : "false");
+  json += "}";
+  return json;
+}
+
+// Whether the motor should be on right now for the given pattern
+bool patternIsOn(BuzzPattern pattern, unsigned long elapsed) {
+  switch (pattern) {
+    case PATTERN_PULSE:
+      return (elapsed % 400) < 200;               // 200ms on, 200ms off
+    case PATTERN_DOUBLE: {
+      unsigned long phase = elapsed % 1000;       // two short buzzes per second
+      return phase < 100 || (phase >= 200 && phase < 300);
+    }
+    case PATTERN_CONTINUOUS:
+    default:
+      return true;
+  }
+}
+
+// Drives the motor; returns true while a posture alert is buzzing (test buzzes excluded)
+bool updateMotor(float pitch, float roll) {
+  unsigned long now = millis();
+
+  if (now < test_buzz_until) {
+    digitalWrite(MOTOR_PIN, patternIsOn(haptic.pattern, TEST_BUZZ_MS - (test_buzz_until - now)) ? HIGH : LOW);
+    return false;
+  }
+
+  if (abs(roll) > haptic.threshold || abs(pitch) > haptic.threshold) {
+    if (bad_since == 0) bad_since = now;
+  } else {
+    bad_since = 0;
+  }
+
+  bool should_buzz = !haptic.quiet && bad_since != 0 && now - bad_since >= haptic.min_bad_ms;
+  if (should_buzz) {
+    digitalWrite(MOTOR_PIN, patternIsOn(haptic.pattern, now - bad_since - haptic.min_bad_ms) ? HIGH : LOW);
+  } else {
+    digitalWrite(MOTOR_PIN, LOW);
+  }
+  return should_buzz;
+}
+
+// --- SAMPLE BUFFER ---
+int16_t toCentidegrees(float degrees) {
+  return (int16_t)constrain(lroundf(degrees * 100), -32767, 32767);
+}
+
+void recordSample(const Telemetry& t) {
+  static unsigned long lastRecord = 0;
+  if (millis() - lastRecord < BUFFER_INTERVAL_MS) return;
+  lastRecord = millis();
+
+  sample_buffer[buffer_head] = { t.seq, (uint32_t)t.ts, toCentidegrees(t.pitch), toCentidegrees(t.roll) };
+  if (t.alert) sample_alerts[buffer_head / 8] |= (1 << (buffer_head % 8));
+  else sample_alerts[buffer_head / 8] &= ~(1 << (buffer_head % 8));
+  buffer_head = (buffer_head + 1) % BUFFER_SIZE;
+  if (buffer_count < BUFFER_SIZE) buffer_count++;
+}
+
+// Index of the i-th oldest sample still in the buffer
+int bufferIndex(int i) {
+  return (buffer_head - buffer_count + i + BUFFER_SIZE) % BUFFER_SIZE;
+}
+
+// --- TELEMETRY JSON ---
+// "angle" is kept (as roll) so older dashboards keep working
+String buildTelemetryJson(const Telemetry& t) {
+  String json = "{";
+  json += "\"angle\": " + String(t.roll) + ",";
+  json += "\"pitch\": " + String(t.pitch) + ",";
+  json += "\"roll\": " + String(t.roll) + ",";
+  json += "\"accel\": {\"x\": " + String(t.ax, 3) + ", \"y\": " + String(t.ay, 3) + ", \"z\": " + String(t.az, 3) + "},";
+  json += "\"gyro\": {\"x\": " + String(t.gx, 3) + ", \"y\": " + String(t.gy, 3) + ", \"z\": " + String(t.gz, 3) + "},";
+  json += "\"ts\": " + String(t.ts) + ",";
+  json += "\"seq\": " + String(t.seq) + ",";
+  json += "\"alert\": " + String(t.alert ? "true" : "false");
+  json += "}";
+  return json;
+}
+
 // --- WEB SERVER HANDLERS ---
 void handleAngle() {
-  // CORS header to allow the web app to access this resource
+  if (!authorized()) return;
+  // CORS header to allow the web app to access this resource. Any origin may
+  // ask, but only with a token, which browsers never attach on their own.
   server.sendHeader("Access-Control-Allow-Origin", "*");
   
-  // Create JSON response
-  String json = "{\"angle\": " + String(current_angle_for_web) + "}";
-  
+  server.send(200, "application/json", buildTelemetryJson(latest));
+}
+
+// --- WEBSOCKET HANDLERS ---
+void onWebSocketEvent(uint8_t num, WStype_t type, uint8_t* payload, size_t length) {
+  switch (type) {
+    case WStype_CONNECTED: {
+      // payload is the request path, e.g. "/?token=..."
+      String path = String((char*)payload);
+      int at = path.indexOf("token=");
+      String token = at >= 0 ? path.substring(at + 6, at + 6 + 32) : "";
+      if (!isValidToken(token)) {
+        Serial.printf("[WS] Client %u rejected: not paired\n", num);
+        webSocket.disconnect(num);
+        break;
+      }
+      ws_tokens[num] = token;
+      Serial.printf("[WS] Client %u connected\n", num);
+      break;
+    }
+    case WStype_DISCONNECTED:
+      ws_tokens[num] = "";
+      Serial.printf("[WS] Client %u disconnected\n", num);
+      break;
+    default:
+      // The stream is one-way; incoming frames are ignored
+      break;
+  }
+}
+
+void streamAngle() {
+  static unsigned long lastStream = 0;
+  if (millis() - lastStream < STREAM_INTERVAL_MS) return;
+  lastStream = millis();
+
+  if (webSocket.connectedClients() == 0) return;
+
+  String json = buildTelemetryJson(latest);
+  webSocket.broadcastTXT(json);
+}
+
+// GET /calibrate -> progress and current offsets (degrees)
+void handleCalibrationStatus() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+  server.send(200, "application/json", buildCalibrationJson());
+}
+
+// POST /calibrate -> start re-zeroing at the current position
+void handleCalibrationStart() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+  if (cal_state == CAL_RUNNING) {
+    server.send(409, "application/json", buildCalibrationJson());
+    return;
+  }
+  startCalibration();
+  server.send(202, "application/json", buildCalibrationJson());
+}
+
+// GET /samples?since=<seq>&limit=<n> -> buffered samples with seq > since, oldest first.
+// "more" is true when the limit cut the list short; ask again with the last seq.
+void handleSamples() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+
+  uint32_t since = server.hasArg("since") ? strtoul(server.arg("since").c_str(), NULL, 10) : 0;
+  int limit = server.hasArg("limit") ? server.arg("limit").toInt() : SAMPLES_DEFAULT_LIMIT;
+  if (limit < 1 || limit > SAMPLES_MAX_LIMIT) limit = SAMPLES_MAX_LIMIT;
+
+  uint32_t oldest = buffer_count > 0 ? sample_buffer[bufferIndex(0)].seq : latest.seq;
+
+  // Streamed in chunks of SAMPLES_CHUNK so the page never sits in memory whole
+  server.setContentLength(CONTENT_LENGTH_UNKNOWN);
+  server.send(200, "application/json", "");
+  server.sendContent("{\"latest\": " + String(latest.seq) + ", \"oldest\": " + String(oldest) + ", \"now\": " + String(millis()) + ", \"samples\": [");
+
+  String chunk;
+  chunk.reserve(SAMPLES_CHUNK * 80);
+  int sent = 0;
+  bool more = false;
+  for (int i = 0; i < buffer_count; i++) {
+    int index = bufferIndex(i);
+    const Sample& s = sample_buffer[index];
+    if (s.seq <= since) continue;
+    if (sent >= limit) {
+      more = true;
+      break;
+    }
+    bool alert = sample_alerts[index / 8] & (1 << (index % 8));
+    if (sent > 0) chunk += ",";
+    chunk += "{\"seq\": " + String(s.seq) + ", \"ts\": " + String(s.ts) + ", \"pitch\": " + String(s.pitch_cdeg / 100.0) + ", \"roll\": " + String(s.roll_cdeg / 100.0) + ", \"alert\": " + String(alert ? "true" : "false") + "}";
+    sent++;
+    if (sent % SAMPLES_CHUNK == 0) {
+      server.sendContent(chunk);
+      chunk = "";
+    }
+  }
+
+  chunk += "], \"more\": " + String(more ? "true" : "false") + "}";
+  server.sendContent(chunk);
+  server.sendContent("");  // ends the chunked response
+}
+
+// GET /config -> current haptic settings
+void handleConfigGet() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+  server.send(200, "application/json", buildConfigJson());
+}
+
+// PUT /config with a JSON body; any subset of fields may be sent
+void handleConfigPut() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+
+  JsonDocument doc;
+  DeserializationError err = deserializeJson(doc, server.arg("plain"));
+  if (err) {
+    server.send(400, "application/json", "{\"error\": \"Invalid JSON\"}");
+    return;
+  }
+
+  if (doc["haptic_threshold"].is<float>()) {
+    float threshold = doc["haptic_threshold"];
+    if (threshold < 1 || threshold > 90) {
+      server.send(400, "application/json", "{\"error\": \"haptic_threshold must be 1-90\"}");
+      return;
+    }
+    haptic.threshold = threshold;
+  }
+  if (doc["min_bad_ms"].is<unsigned long>()) {
+    haptic.min_bad_ms = min((unsigned long)doc["min_bad_ms"], 600000UL);
+  }
+  if (doc["pattern"].is<const char*>()) {
+    String name = doc["pattern"].as<String>();
+    bool known = false;
+    for (int i = 0; i < 3; i++) {
+      if (name == PATTERN_NAMES[i]) {
+        haptic.pattern = (BuzzPattern)i;
+        known = true;
+      }
+    }
+    if (!known) {
+      server.send(400, "application/json", "{\"error\": \"Unknown pattern\"}");
+      return;
+    }
+  }
+  if (doc["quiet_mode"].is<bool>()) {
+    haptic.quiet = doc["quiet_mode"];
+  }
+
+  saveHapticConfig();
+  server.send(200, "application/json", buildConfigJson());
+}
+
+// GET /identity -> who this device is and what it supports
+void handleIdentity() {
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+
+  String json = "{";
+  json += "\"device_id\": \"" + device_id + "\",";
+  json += "\"hostname\": \"" + device_id + ".local\",";
+  json += "\"model\": \"" + String(DEVICE_MODEL) + "\",";
+  json += "\"firmware\": \"" + String(FIRMWARE_VERSION) + "\",";
+  json += "\"ws_port\": 81,";
+  json += "\"capabilities\": [\"stream\", \"calibrate\", \"config\", \"buzz\", \"samples\", \"wifi\", \"pairing\"]";
+  json += "}";
   server.send(200, "application/json", json);
 }
 
+// GET /wifi -> network mode, saved SSID and link state
+void handleWifiGet() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+  server.send(200, "application/json", buildWifiJson());
+}
+
+// POST /wifi {"ssid": "...", "password": "..."} -> saves the home network and
+// restarts into station mode. The AP stays up if joining fails.
+void handleWifiPost() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+
+  JsonDocument doc;
+  DeserializationError err = deserializeJson(doc, server.arg("plain"));
+  if (err) {
+    server.send(400, "application/json", "{\"error\": \"Invalid JSON\"}");
+    return;
+  }
+
+  String newSsid = doc["ssid"] | "";
+  String newPassword = doc["password"] | "";
+  if (newSsid.length() < 1 || newSsid.length() > 32) {
+    server.send(400, "application/json", "{\"error\": \"ssid must be 1-32 characters\"}");
+    return;
+  }
+  if (newPassword.length() != 0 && (newPassword.length() < 8 || newPassword.length() > 63)) {
+    server.send(400, "application/json", "{\"error\": \"password must be empty or 8-63 characters\"}");
+    return;
+  }
+
+  wifi_ssid = newSsid;
+  wifi_password = newPassword;
+  saveWifiCredentials();
+
+  JsonDocument reply;
+  reply["saved"] = true;
+  reply["ssid"] = wifi_ssid;
+  reply["restarting"] = true;
+  String json;
+  serializeJson(reply, json);
+  server.send(202, "application/json", json);
+
+  // Give the response time to leave before rebooting
+  restart_at = millis() + 1000;
+}
+
+// DELETE /wifi -> forgets the home network; the device comes back as an AP
+void handleWifiDelete() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+  wifi_ssid = "";
+  wifi_password = "";
+  saveWifiCredentials();
+  server.send(202, "application/json", "{\"saved\": false, \"ssid\": \"\", \"restarting\": true}");
+  restart_at = millis() + 1000;
+}
+
+// POST /pair/start -> blink a new pairing code. Any client may ask; only
+// someone who can see the device can read the code. While a code is active
+// others get 409 with its digits and expiry, so they can go on reading it.
+void handlePairStart() {
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+
+  unsigned long locked = pairLockedFor();
+  if (locked > 0) {
+    sendPairRetry("Too many wrong pairing codes.", locked);
+    return;
+  }
+  if (pairingActive() && !hasValidBearer()) {
+    String json = "{";
+    json += "\"error\": \"A pairing code is already active\",";
+    json += "\"digits\": " + String(PAIR_CODE_DIGITS) + ",";
+    json += "\"expires_in\": " + String((PAIR_CODE_TTL_MS - (millis() - pair_started_at)) / 1000);
+    json += "}";
+    server.send(409, "application/json", json);
+    return;
+  }
+  unsigned long since_start = millis() - pair_started_at;
+  if (pair_started && since_start < PAIR_START_INTERVAL_MS) {
+    sendPairRetry("Pairing was just started.", (PAIR_START_INTERVAL_MS - since_start + 999) / 1000);
+    return;
+  }
+
+  pair_code = "";
+  for (int i = 0; i < PAIR_CODE_DIGITS; i++) {
+    pair_code += (char)('1' + esp_random() % 9); // no zeros: every digit is at least one flash
+  }
+  pair_started_at = millis();
+  pair_started = true;
+  Serial.print("Pairing code: "); Serial.println(pair_code);
+
+  String json = "{";
+  json += "\"pairing\": true,";
+  json += "\"digits\": " + String(PAIR_CODE_DIGITS) + ",";
+  json += "\"expires_in\": " + String(PAIR_CODE_TTL_MS / 1000);
+  json += "}";
+  server.send(202, "application/json", json);
+}
+
+// POST /pair {"code": "1234"} -> {"token": "..."}. The wrong guess that
+// locks pairing also ends the code; pairing has to be started again after it.
+void handlePair() {
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+
+  unsigned long locked = pairLockedFor();
+  if (locked > 0) {
+    sendPairRetry("Too many wrong pairing codes.", locked);
+    return;
+  }
+  if (!pairingActive()) {
+    server.send(409, "application/json", "{\"error\": \"No pairing code is active\"}");
+    return;
+  }
+
+  JsonDocument doc;
+  DeserializationError err = deserializeJson(doc, server.arg("plain"));
+  if (err) {
+    server.send(400, "application/json", "{\"error\": \"Invalid JSON\"}");
+    return;
+  }
+
+  String code = doc["code"] | "";
+  if (code != pair_code) {
+    pair_failures++;
+    savePairFailures();
+    if (pair_failures >= PAIR_MAX_ATTEMPTS) {
+      lockPairing();
+      sendPairRetry("Too many wrong pairing codes.", pairLockedFor());
+      return;
+    }
+    server.send(401, "application/json", "{\"error\": \"Wrong pairing code\"}");
+    return;
+  }
+
+  pair_code = "";
+  pair_failures = 0;
+  savePairFailures();
+  String token = randomToken();
+  tokens[token_next] = token;
+  token_next = (token_next + 1) % MAX_TOKENS;
+  saveTokens();
+  dropRevokedStreams(); // a replaced token may still have a stream open
+
+  server.send(200, "application/json", "{\"token\": \"" + token + "\"}");
+}
+
+// DELETE /pair -> revoke the caller's token; DELETE /pair?all=1 -> unpair every client
+void handleUnpair() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+
+  String own = server.header("Authorization").substring(7);
+  bool all = server.hasArg("all");
+  int revoked = 0;
+  for (int i = 0; i < MAX_TOKENS; i++) {
+    if (tokens[i].length() > 0 && (all || tokens[i] == own)) {
+      tokens[i] = "";
+      revoked++;
+    }
+  }
+  saveTokens();
+  dropRevokedStreams();
+
+  server.send(200, "application/json", "{\"revoked\": " + String(revoked) + "}");
+}
+
+// GET / -> minimal setup page so a phone on the AP can provision without the app
+void handleRoot() {
+  String html = "<!DOCTYPE html><html><head><meta name=\"viewport\" content=\"width=device-width\">";
+  html += "<title>SpineUp setup</title></head><body style=\"font-family:sans-serif;max-width:24em;margin:2em auto\">";
+  html += "<h2>" + device_id + "</h2>";
+  html += "<p>Firmware " + String(FIRMWARE_VERSION) + ". Join your home Wi-Fi:</p>";
+  html += "<form id=\"f\"><p><input name=\"code\" placeholder=\"Code blinked by the LED\" maxlength=\"4\" required></p>";
+  html += "<p><input name=\"ssid\" placeholder=\"Network name\" maxlength=\"32\" required></p>";
+  html += "<p><input name=\"password\" type=\"password\" placeholder=\"Password\" maxlength=\"63\"></p>";
+  html += "<p><button>Save and restart</button></p></form><p id=\"m\"></p>";
+  html += "<script>fetch('/pair/start',{method:'POST'});";
+  html += "const post=(u,b,h={})=>fetch(u,{method:'POST',headers:h,body:JSON.stringify(b)}).then(async r=>[r.ok,await r.json()]);";
+  html += "f.onsubmit=async e=>{e.preventDefault();";
+  html += "const [paired,p]=await post('/pair',{code:f.code.value});if(!paired){m.textContent=p.error;return;}";
+  html += "const [ok,j]=await post('/wifi',{ssid:f.ssid.value,password:f.password.value},{Authorization:'Bearer '+p.token});";
+  html += "m.textContent=ok?'Saved. Restarting...':j.error;}</script>";
+  html += "</body></html>";
+  server.send(200, "text/html", html);
+}
+
+// POST /buzz -> short test buzz using the configured pattern
+void handleBuzz() {
+  if (!authorized()) return;
+  server.sendHeader("Access-Control-Allow-Origin", "*");
+  test_buzz_until = millis() + TEST_BUZZ_MS;
+  server.send(202, "application/json", "{\"buzzing\": true}");
+}
+
 void handleNotFound() {
   if (server.method() == HTTP_OPTIONS) {
+    // CORS preflight for non-GET requests. Any origin is allowed: protected
+    // routes need the bearer token, which browsers never send on their own
+    // (see "Connecting to the sensor" in my-app/README.md)
     server.sendHeader("Access-Control-Allow-Origin", "*");
+    server.sendHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    server.sendHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
     server.send(204);
   } else {
     server.send(404, "text/plain", "Not found");
@@ -90,22 +1002,34 @@ void handleNotFound() {
 void setup(void) {
   Serial.begin(115200);
   pinMode(MOTOR_PIN, OUTPUT);
+  pinMode(LED_PIN, OUTPUT);
   
   // Wait for serial monitor to open
   while (!Serial) delay(10); 
 
-  // --- ACCESS POINT SETUP ---
+  // --- WI-FI SETUP ---
+  // Home network if one was provisioned, otherwise the device's own AP
   Serial.println();
-  Serial.print("Configuring Access Point...");
+  setupWifi();
 
-  // Create the Access Point
-  // If you want an open network (no password), use: WiFi.softAP(ssid);
-  WiFi.softAP(ssid, password);
+  // --- mDNS ---
+  // "spineup-" plus the last three MAC bytes, e.g. spineup-a1b2c3.local
+  uint64_t mac = ESP.getEfuseMac();
+  char idBuf[16];
+  snprintf(idBuf, sizeof(idBuf), "spineup-%02x%02x%02x",
+           (uint8_t)(mac >> 24), (uint8_t)(mac >> 32), (uint8_t)(mac >> 40));
+  device_id = idBuf;
 
-  IPAddress myIP = WiFi.softAPIP();
-  Serial.println("AP Created.");
-  Serial.print("AP SSID: "); Serial.println(ssid);
-  Serial.print("AP IP address: "); Serial.println(myIP); // Usually 192.168.4.1
+  if (MDNS.begin(device_id.c_str())) {
+    MDNS.addService("http", "tcp", 80);
+    MDNS.addService("spineup", "tcp", 80);
+    MDNS.addServiceTxt("spineup", "tcp", "id", device_id);
+    MDNS.addServiceTxt("spineup", "tcp", "fw", FIRMWARE_VERSION);
+    MDNS.addServiceTxt("spineup", "tcp", "ws", "81");
+    Serial.print("mDNS hostname: "); Serial.print(device_id); Serial.println(".local");
+  } else {
+    Serial.println("mDNS failed to start");
+  }
 
   // --- SENSOR SETUP ---
   if (!mpu.begin()) {
@@ -123,15 +1047,47 @@ void setup(void) {
 
   delay(100);
 
-  // Calibrate the sensor to set the zero point
-  calibrateSensor();
+  // Use the stored zero point if there is one, otherwise calibrate now
+  if (loadOffsets()) {
+    Serial.println("Loaded calibration offsets from flash.");
+    Serial.print("Pitch Offset: "); Serial.println(pitch_offset * RAD_TO_DEG);
+    Serial.print("Roll Offset: "); Serial.println(roll_offset * RAD_TO_DEG);
+  } else {
+    calibrateSensor();
+    saveOffsets();
+  }
+  loadHapticConfig();
+  loadTokens();
+  loadPairFailures();
 
   // --- WEB SERVER SETUP ---
-  server.on("/angle", handleAngle);
+  // Authorization is the only request header the handlers read
+  const char* headerKeys[] = { "Authorization" };
+  server.collectHeaders(headerKeys, 1);
+
+  server.on("/angle", HTTP_GET, handleAngle);
+  server.on("/calibrate", HTTP_GET, handleCalibrationStatus);
+  server.on("/calibrate", HTTP_POST, handleCalibrationStart);
+  server.on("/samples", HTTP_GET, handleSamples);
+  server.on("/config", HTTP_GET, handleConfigGet);
+  server.on("/config", HTTP_PUT, handleConfigPut);
+  server.on("/buzz", HTTP_POST, handleBuzz);
+  server.on("/identity", HTTP_GET, handleIdentity);
+  server.on("/wifi", HTTP_GET, handleWifiGet);
+  server.on("/wifi", HTTP_POST, handleWifiPost);
+  server.on("/wifi", HTTP_DELETE, handleWifiDelete);
+  server.on("/pair/start", HTTP_POST, handlePairStart);
+  server.on("/pair", HTTP_POST, handlePair);
+  server.on("/pair", HTTP_DELETE, handleUnpair);
+  server.on("/", HTTP_GET, handleRoot);
   server.onNotFound(handleNotFound);
   server.begin();
   Serial.println("HTTP server started");
 
+  webSocket.begin();
+  webSocket.onEvent(onWebSocketEvent);
+  Serial.println("WebSocket server started on port 81");
+
   // Initialize the time variable
   last_time = micros();
 }
@@ -139,6 +1095,9 @@ void setup(void) {
 void loop() {
   // Handle incoming web requests
   server.handleClient();
+  webSocket.loop();
+  checkWifi();
+  updatePairingLed();
 
   // --- 1. Calculate Delta Time (dt) ---
   unsigned long current_time = micros();
@@ -148,6 +1107,7 @@ void loop() {
   // --- 2. Get Raw Sensor Data ---
   sensors_event_t a, g, temp;
   mpu.getEvent(&a, &g, &temp);
+  updateCalibration(a, g);
 
   // --- 3. Calculate Angle from Accelerometer ---
   float acc_pitch = atan2(-a.acceleration.x, sqrt(pow(a.acceleration.y, 2) + pow(a.acceleration.z, 2)));
@@ -166,8 +1126,22 @@ void loop() {
   float final_pitch = (angle_pitch - pitch_offset) * RAD_TO_DEG;
   float final_roll = (angle_roll - roll_offset) * RAD_TO_DEG;
 
-  // Update global variable for web server
-  current_angle_for_web = final_roll; 
+  // Update the shared reading for the web server
+  latest.pitch = final_pitch;
+  latest.roll = final_roll;
+  latest.ax = a.acceleration.x;
+  latest.ay = a.acceleration.y;
+  latest.az = a.acceleration.z;
+  latest.gx = g.gyro.x;
+  latest.gy = g.gyro.y;
+  latest.gz = g.gyro.z;
+  latest.ts = millis();
+  latest.seq++;
+  // Threshold check: trigger motor when tilted past the configured threshold long enough.
+  // Done before the sample is stored and streamed, so its alert flag is this reading's
+  latest.alert = updateMotor(final_pitch, final_roll);
+  recordSample(latest);
+  streamAngle();
 
   // --- 7. Print and Control ---
   // Print less frequently to avoid slowing down the loop too much
@@ -180,13 +1154,6 @@ void loop() {
     lastPrint = millis();
   }
 
-  // Threshold check: trigger motor if tilted more than 40 degrees
-  if (abs(final_roll) > 40 || abs(final_pitch) > 40) {
-    digitalWrite(MOTOR_PIN, HIGH);
-  } else {
-    digitalWrite(MOTOR_PIN, LOW);
-  }
-
   // Small delay to prevent watchdog resets if loop is too tight, though handleClient helps
   delay(2); 
 }
\ No newline at end of file
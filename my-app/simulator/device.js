@@ -0,0 +1,393 @@
+const { getScenario } = require('./scenarios');
+
+// --- SIMULATED ESP32 ---
+// In-process model of PostureTracker.ino: same endpoints, JSON shapes, CORS
+// headers, sample buffer, calibration, haptic config, identity and pairing. The HTTP
+// server in server.js and the Jest suite both drive it through handle()/fetch().
+
+const SAMPLE_INTERVAL_MS = 10;    // firmware loop period; drives "seq"
+const BUFFER_INTERVAL_MS = 500;   // matches BUFFER_INTERVAL_MS on the device
+const BUFFER_SIZE = 2400;
+const CALIBRATION_MS = 2500;      // 500 readings x 5ms
+const SAMPLES_DEFAULT_LIMIT = 200;
+const SAMPLES_MAX_LIMIT = 500;
+const PATTERNS = ['continuous', 'pulse', 'double'];
+const FIRMWARE_VERSION = '1.5.0';
+const CAPABILITIES = ['stream', 'calibrate', 'config', 'buzz', 'samples', 'wifi', 'pairing'];
+const SOFT_AP_IP = '192.168.4.1';
+const PAIR_CODE_DIGITS = 4;
+const PAIR_CODE_TTL_MS = 120000;
+const PAIR_MAX_ATTEMPTS = 5;       // wrong codes before pairing locks
+const PAIR_LOCKOUT_MS = 60000;      // doubles with each further wrong code
+const PAIR_LOCKOUT_MAX_MS = 3600000;
+const PAIR_START_INTERVAL_MS = 10000;
+const MAX_TOKENS = 4;
+// Reachable without a token, as on the device
+const OPEN_ROUTES = ['GET /identity', 'POST /pair/start', 'POST /pair'];
+
+// Any origin, as on the device: protected routes need the bearer token, which
+// browsers never send on their own (see README.md)
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+// Arduino's String(float) prints two decimals
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Stand-in for the MAC-derived ID: the last three address octets in hex
+const idFromHost = (host) => `spineup-${host.split('.').slice(-3).map(n => (Number(n) || 0).toString(16).padStart(2, '0')).join('')}`;
+
+const randomDigits = (count) => Array.from({ length: count }, () => 1 + Math.floor(Math.random() * 9)).join('');
+// Mirrors pairLockoutFor() on the device
+const pairLockoutFor = (failures) => (failures < PAIR_MAX_ATTEMPTS ? 0
+  : Math.min(PAIR_LOCKOUT_MS * 2 ** Math.min(failures - PAIR_MAX_ATTEMPTS, 6), PAIR_LOCKOUT_MAX_MS));
+
+const randomToken = () => Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+
+// `tokens` pre-pairs clients; `onPairingCode` is told each code the LED would blink
+function createDevice({
+  scenario = 'good',
+  host = '192.168.4.1',
+  port = 80,
+  deviceId = idFromHost(host),
+  tokens = [],
+  onPairingCode,
+  now = Date.now
+} = {}) {
+  let activeScenario = getScenario(scenario);
+  const bootAt = now();
+
+  const state = {
+    offsets: { pitch: 0, roll: 0 },
+    config: { haptic_threshold: 40, min_bad_ms: 0, pattern: 'continuous', quiet_mode: false },
+    calibration: { state: 'idle', startedAt: 0, error: '' },
+    buffer: [],
+    lastBuffered: 0,
+    badSince: null,
+    alert: false,
+    buzzCount: 0,
+    // Saved home network; the restart after provisioning is instant here
+    wifi: { ssid: '', password: '' },
+    // `failures` lives in NVS on the device and only resets on a successful pairing
+    pairing: { code: '', startedAt: null, failures: 0, lockedAt: 0, lockMs: 0 },
+    tokens: tokens.slice(-MAX_TOKENS)
+  };
+
+  const uptime = () => now() - bootAt;
+  const seqAt = (t) => Math.floor(t / SAMPLE_INTERVAL_MS);
+  const rawAt = (t) => activeScenario.reading(t);
+
+  const readingAt = (t) => {
+    const raw = rawAt(t);
+    return { pitch: raw.pitch - state.offsets.pitch, roll: raw.roll - state.offsets.roll };
+  };
+
+  // Mirrors updateMotor(): alert once past the threshold for min_bad_ms
+  const updateAlert = (t, reading) => {
+    const { haptic_threshold: threshold, min_bad_ms: minBadMs, quiet_mode: quiet } = state.config;
+    if (Math.abs(reading.pitch) > threshold || Math.abs(reading.roll) > threshold) {
+      if (state.badSince === null) state.badSince = t;
+    } else {
+      state.badSince = null;
+    }
+    state.alert = !quiet && state.badSince !== null && t - state.badSince >= minBadMs;
+  };
+
+  // Catches the device state up to "now": buffer, alert and calibration
+  const advance = () => {
+    const t = uptime();
+    const earliest = Math.max(state.lastBuffered + BUFFER_INTERVAL_MS, t - BUFFER_SIZE * BUFFER_INTERVAL_MS);
+    for (let st = earliest; st <= t; st += BUFFER_INTERVAL_MS) {
+      const reading = readingAt(st);
+      updateAlert(st, reading);
+      state.buffer.push({ seq: seqAt(st), ts: st, pitch: round2(reading.pitch), roll: round2(reading.roll), alert: state.alert });
+      state.lastBuffered = st;
+    }
+    if (state.buffer.length > BUFFER_SIZE) state.buffer.splice(0, state.buffer.length - BUFFER_SIZE);
+
+    const cal = state.calibration;
+    if (cal.state === 'running' && t - cal.startedAt >= CALIBRATION_MS) {
+      state.offsets = rawAt(t);
+      cal.state = 'done';
+    }
+    return t;
+  };
+
+  const telemetry = () => {
+    const t = advance();
+    const { pitch, roll } = readingAt(t);
+    const rad = (deg) => (deg * Math.PI) / 180;
+    return {
+      angle: round2(roll),
+      pitch: round2(pitch),
+      roll: round2(roll),
+      accel: {
+        x: round2(-9.81 * Math.sin(rad(pitch))),
+        y: round2(9.81 * Math.sin(rad(roll))),
+        z: round2(9.81 * Math.cos(rad(pitch)) * Math.cos(rad(roll)))
+      },
+      gyro: { x: 0, y: 0, z: 0 },
+      ts: t,
+      seq: seqAt(t),
+      alert: state.alert
+    };
+  };
+
+  const calibrationJson = () => {
+    const t = advance();
+    const cal = state.calibration;
+    const progress = cal.state === 'done' ? 100
+      : cal.state === 'running' ? Math.floor(((t - cal.startedAt) / CALIBRATION_MS) * 100) : 0;
+    return {
+      state: cal.state,
+      progress,
+      pitch_offset: round2(state.offsets.pitch),
+      roll_offset: round2(state.offsets.roll),
+      error: cal.error
+    };
+  };
+
+  const wifiJson = () => {
+    const station = state.wifi.ssid !== '';
+    return {
+      mode: station ? 'station' : 'ap',
+      ssid: state.wifi.ssid,
+      connected: station,
+      ip: station ? host : '',
+      rssi: station ? -58 : null,
+      ap_active: !station,
+      ap_ip: station ? '' : SOFT_AP_IP
+    };
+  };
+
+  const pairingActive = () => state.pairing.code !== '' && uptime() - state.pairing.startedAt < PAIR_CODE_TTL_MS;
+
+  // Seconds until pairing unlocks, 0 when it is not locked
+  const pairLockedFor = () => Math.max(0, Math.ceil((state.pairing.lockMs - (uptime() - state.pairing.lockedAt)) / 1000));
+
+  const pairRetry = (error, seconds) => ({ status: 429, body: { error: `${error} Try again in ${seconds} s.`, retry_after: seconds } });
+
+  const bearerToken = (headers = {}) => {
+    const key = Object.keys(headers).find(k => k.toLowerCase() === 'authorization');
+    const value = key ? String(headers[key]) : '';
+    return value.startsWith('Bearer ') ? value.slice(7) : '';
+  };
+
+  // --- ROUTES ---
+  const routes = {
+    'GET /angle': () => ({ status: 200, body: telemetry() }),
+
+    'GET /samples': ({ query }) => {
+      const t = advance();
+      const since = Number(query.since || 0);
+      let limit = query.limit ? Number(query.limit) : SAMPLES_DEFAULT_LIMIT;
+      if (!(limit >= 1 && limit <= SAMPLES_MAX_LIMIT)) limit = SAMPLES_MAX_LIMIT;
+      const after = state.buffer.filter(s => s.seq > since);
+      return {
+        status: 200,
+        body: {
+          latest: seqAt(t),
+          oldest: state.buffer.length ? state.buffer[0].seq : seqAt(t),
+          now: t,
+          samples: after.slice(0, limit),
+          more: after.length > limit
+        }
+      };
+    },
+
+    'GET /calibrate': () => ({ status: 200, body: calibrationJson() }),
+
+    'POST /calibrate': () => {
+      advance();
+      if (state.calibration.state === 'running') return { status: 409, body: calibrationJson() };
+      state.calibration = { state: 'running', startedAt: uptime(), error: '' };
+      return { status: 202, body: calibrationJson() };
+    },
+
+    'GET /config': () => ({ status: 200, body: { ...state.config } }),
+
+    'PUT /config': ({ body }) => {
+      let changes;
+      try {
+        changes = JSON.parse(body || '');
+      } catch (err) {
+        return { status: 400, body: { error: 'Invalid JSON' } };
+      }
+      const next = { ...state.config };
+      if (typeof changes.haptic_threshold === 'number') {
+        if (changes.haptic_threshold < 1 || changes.haptic_threshold > 90) {
+          return { status: 400, body: { error: 'haptic_threshold must be 1-90' } };
+        }
+        next.haptic_threshold = changes.haptic_threshold;
+      }
+      if (typeof changes.min_bad_ms === 'number') next.min_bad_ms = Math.min(changes.min_bad_ms, 600000);
+      if (typeof changes.pattern === 'string') {
+        if (!PATTERNS.includes(changes.pattern)) return { status: 400, body: { error: 'Unknown pattern' } };
+        next.pattern = changes.pattern;
+      }
+      if (typeof changes.quiet_mode === 'boolean') next.quiet_mode = changes.quiet_mode;
+      state.config = next;
+      return { status: 200, body: { ...state.config } };
+    },
+
+    'GET /identity': () => ({
+      status: 200,
+      body: {
+        device_id: deviceId,
+        hostname: `${deviceId}.local`,
+        model: 'PostureTracker',
+        firmware: FIRMWARE_VERSION,
+        ws_port: 81,
+        capabilities: CAPABILITIES
+      }
+    }),
+
+    'GET /wifi': () => ({ status: 200, body: wifiJson() }),
+
+    'POST /wifi': ({ body }) => {
+      let request;
+      try {
+        request = JSON.parse(body || '');
+      } catch (err) {
+        return { status: 400, body: { error: 'Invalid JSON' } };
+      }
+      const ssid = typeof request.ssid === 'string' ? request.ssid : '';
+      const password = typeof request.password === 'string' ? request.password : '';
+      if (ssid.length < 1 || ssid.length > 32) return { status: 400, body: { error: 'ssid must be 1-32 characters' } };
+      if (password.length !== 0 && (password.length < 8 || password.length > 63)) {
+        return { status: 400, body: { error: 'password must be empty or 8-63 characters' } };
+      }
+      state.wifi = { ssid, password };
+      return { status: 202, body: { saved: true, ssid, restarting: true } };
+    },
+
+    'DELETE /wifi': () => {
+      state.wifi = { ssid: '', password: '' };
+      return { status: 202, body: { saved: false, ssid: '', restarting: true } };
+    },
+
+    'POST /pair/start': ({ token }) => {
+      const { pairing } = state;
+      const locked = pairLockedFor();
+      if (locked > 0) return pairRetry('Too many wrong pairing codes.', locked);
+      if (pairingActive() && !state.tokens.includes(token)) {
+        const expiresIn = Math.floor((PAIR_CODE_TTL_MS - (uptime() - pairing.startedAt)) / 1000);
+        return { status: 409, body: { error: 'A pairing code is already active', digits: PAIR_CODE_DIGITS, expires_in: expiresIn } };
+      }
+      const sinceStart = uptime() - pairing.startedAt;
+      if (pairing.startedAt !== null && sinceStart < PAIR_START_INTERVAL_MS) {
+        return pairRetry('Pairing was just started.', Math.ceil((PAIR_START_INTERVAL_MS - sinceStart) / 1000));
+      }
+      pairing.code = randomDigits(PAIR_CODE_DIGITS);
+      pairing.startedAt = uptime();
+      if (onPairingCode) onPairingCode(pairing.code);
+      return { status: 202, body: { pairing: true, digits: PAIR_CODE_DIGITS, expires_in: PAIR_CODE_TTL_MS / 1000 } };
+    },
+
+    'POST /pair': ({ body }) => {
+      const { pairing } = state;
+      const locked = pairLockedFor();
+      if (locked > 0) return pairRetry('Too many wrong pairing codes.', locked);
+      if (!pairingActive()) return { status: 409, body: { error: 'No pairing code is active' } };
+      let request;
+      try {
+        request = JSON.parse(body || '');
+      } catch (err) {
+        return { status: 400, body: { error: 'Invalid JSON' } };
+      }
+      if (String(request.code) !== pairing.code) {
+        pairing.failures += 1;
+        if (pairing.failures >= PAIR_MAX_ATTEMPTS) {
+          Object.assign(pairing, { code: '', lockedAt: uptime(), lockMs: pairLockoutFor(pairing.failures) });
+          return pairRetry('Too many wrong pairing codes.', pairLockedFor());
+        }
+        return { status: 401, body: { error: 'Wrong pairing code' } };
+      }
+      pairing.code = '';
+      pairing.failures = 0;
+      const token = randomToken();
+      // Once every slot is taken the oldest token is replaced
+      state.tokens = [...state.tokens, token].slice(-MAX_TOKENS);
+      return { status: 200, body: { token } };
+    },
+
+    'DELETE /pair': ({ query, token }) => {
+      const before = state.tokens.length;
+      state.tokens = query.all ? [] : state.tokens.filter(t => t !== token);
+      return { status: 200, body: { revoked: before - state.tokens.length } };
+    },
+
+    'POST /buzz': () => {
+      state.buzzCount += 1;
+      return { status: 202, body: { buzzing: true } };
+    }
+  };
+
+  // Handles one request; returns { status, headers, body } with body as a string
+  const handle = ({ method = 'GET', path, query = {}, headers = {}, body }) => {
+    const respond = (status, payload, headers = {}) => ({
+      status,
+      headers: { ...headers, 'Access-Control-Allow-Origin': '*' },
+      body: payload === undefined ? '' : typeof payload === 'string' ? payload : JSON.stringify(payload)
+    });
+
+    if (method === 'OPTIONS') return { status: 204, headers: { ...CORS_HEADERS }, body: '' };
+
+    const key = `${method} ${path}`;
+    const route = routes[key];
+    if (!route) return respond(404, 'Not found', { 'Content-Type': 'text/plain' });
+
+    const token = bearerToken(headers);
+    if (!OPEN_ROUTES.includes(key) && !state.tokens.includes(token)) {
+      return respond(401, { error: 'Pairing required' }, { 'Content-Type': 'application/json' });
+    }
+
+    const result = route({ query, body, token });
+    return respond(result.status, result.body, { 'Content-Type': 'application/json' });
+  };
+
+  // fetch() stand-in for tests: routes requests for this device's address to
+  // handle() and fails like a network error for anything else or while offline
+  const fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    if (init.signal && init.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+    if (url.hostname !== host || Number(url.port || 80) !== Number(port) || !activeScenario.isOnline(uptime())) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    const result = handle({
+      method: (init.method || 'GET').toUpperCase(),
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: init.headers || {},
+      body: init.body
+    });
+
+    return {
+      ok: result.status >= 200 && result.status < 300,
+      status: result.status,
+      headers: result.headers,
+      json: async () => JSON.parse(result.body),
+      text: async () => result.body
+    };
+  };
+
+  return {
+    host,
+    port,
+    deviceId,
+    handle,
+    fetch,
+    telemetry,
+    // What the LED is blinking right now ('' when not pairing)
+    pairingCode: () => (pairingActive() ? state.pairing.code : ''),
+    isAuthorized: (token) => state.tokens.includes(token),
+    isOnline: () => activeScenario.isOnline(uptime()),
+    setScenario: (name) => { activeScenario = getScenario(name); },
+    getState: () => state
+  };
+}
+
+module.exports = { createDevice, CORS_HEADERS };
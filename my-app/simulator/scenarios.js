@@ -0,0 +1,79 @@
+// --- POSTURE SCENARIOS ---
+// Each scenario maps time since the simulator started (ms) to a reading, and
+// may take the device offline for a while to imitate Wi-Fi dropouts.
+// Noise comes from a seeded PRNG so runs are reproducible.
+
+const mulberry32 = (seed) => () => {
+  let t = (seed += 0x6d2b79f5);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Deterministic noise in [-amplitude, amplitude] for a given time and channel
+const noise = (t, amplitude, channel = 0) => {
+  const random = mulberry32(Math.floor(t / 10) * 31 + channel);
+  return (random() * 2 - 1) * amplitude;
+};
+
+const SCENARIOS = {
+  // Upright with small natural sway
+  good: {
+    description: 'Steady good posture',
+    reading: (t) => ({ pitch: 2 + noise(t, 1.5, 1), roll: noise(t, 1, 2) })
+  },
+
+  // Pitch drifts forward from 0° to 35° over two minutes, then stays there
+  slouch: {
+    description: 'Slow forward slouch',
+    reading: (t) => ({
+      pitch: Math.min(35, (t / 120000) * 35) + noise(t, 1, 1),
+      roll: noise(t, 1, 2)
+    })
+  },
+
+  // Good posture with a 4 s sideways lean every 15 s, alternating sides
+  leans: {
+    description: 'Sudden sideways leans',
+    reading: (t) => {
+      const cycle = Math.floor(t / 15000);
+      const leaning = t % 15000 > 11000;
+      return {
+        pitch: 3 + noise(t, 1, 1),
+        roll: (leaning ? (cycle % 2 ? -30 : 30) : 0) + noise(t, 1, 2)
+      };
+    }
+  },
+
+  // Good posture under heavy sensor noise with occasional single-sample spikes
+  noisy: {
+    description: 'Sensor noise and spikes',
+    reading: (t) => {
+      const spike = noise(t, 1, 3) > 0.95 ? 40 : 0;
+      return { pitch: 4 + noise(t, 6, 1) + spike, roll: noise(t, 5, 2) };
+    }
+  },
+
+  // Worn with good posture for two minutes, then taken off and left on the desk
+  unworn: {
+    description: 'Sensor taken off after two minutes',
+    reading: (t) => (t < 120000
+      ? { pitch: 2 + noise(t, 1.5, 1), roll: noise(t, 1, 2) }
+      : { pitch: 12 + noise(t, 0.02, 1), roll: -4 + noise(t, 0.02, 2) })
+  },
+
+  // Good posture, but the device drops off the network for 5 s every 20 s
+  dropout: {
+    description: 'Periodic network dropouts',
+    reading: (t) => ({ pitch: 3 + noise(t, 1, 1), roll: noise(t, 1, 2) }),
+    isOnline: (t) => t % 20000 < 15000
+  }
+};
+
+const getScenario = (name) => {
+  const scenario = SCENARIOS[name];
+  if (!scenario) throw new Error(`Unknown scenario "${name}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+  return { isOnline: () => true, ...scenario };
+};
+
+module.exports = { SCENARIOS, getScenario };
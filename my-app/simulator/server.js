@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// --- DEVICE SIMULATOR SERVER ---
+// Serves the simulated ESP32 over real HTTP (and a WebSocket push stream) so
+// the dashboard can be developed without hardware.
+//
+//   npm run simulate -- --scenario=slouch --port=8080 --ws-port=8081
+//
+// Then enter this machine's address and port in Settings > Device Connection.
+
+const http = require('http');
+const { createDevice } = require('./device');
+const { SCENARIOS } = require('./scenarios');
+
+const STREAM_INTERVAL_MS = 50;
+
+const parseArgs = (argv) => Object.fromEntries(argv
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => {
+    const [key, value = 'true'] = arg.slice(2).split('=');
+    return [key, value];
+  }));
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help) {
+  console.log('Usage: node simulator/server.js [--scenario=name] [--host=0.0.0.0] [--port=80] [--ws-port=81]\n');
+  console.log('Scenarios:');
+  Object.entries(SCENARIOS).forEach(([name, s]) => console.log(`  ${name.padEnd(10)} ${s.description}`));
+  process.exit(0);
+}
+
+const listenHost = args.host || '0.0.0.0';
+const port = Number(args.port || 80);
+const wsPort = Number(args['ws-port'] || 81);
+const scenario = args.scenario || 'good';
+
+// The real device blinks the pairing code; here it goes to the console
+const device = createDevice({
+  scenario,
+  host: listenHost,
+  port,
+  onPairingCode: (code) => console.log(`Pairing code: ${code}`)
+});
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (!device.isOnline()) {
+      // Imitate a dropout: drop the connection without answering
+      req.socket.destroy();
+      return;
+    }
+    const result = device.handle({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body
+    });
+    res.writeHead(result.status, result.headers);
+    res.end(result.body);
+  });
+});
+
+server.listen(port, listenHost, () => {
+  console.log(`Simulated ESP32 (${scenario}: ${SCENARIOS[scenario].description})`);
+  console.log(`HTTP      http://${listenHost}:${port}/angle`);
+});
+
+// WebSocket stream, if the "ws" package is installed
+let WebSocketServer;
+try {
+  ({ Server: WebSocketServer } = require('ws'));
+} catch (err) {
+  console.log('WebSocket stream disabled ("ws" is not installed); the app will poll over HTTP.');
+}
+
+if (WebSocketServer) {
+  // Like the firmware, only clients that connect with a valid ?token= stay connected
+  const wss = new WebSocketServer({ port: wsPort, host: listenHost });
+  wss.on('connection', (client, req) => {
+    const token = new URL(req.url, 'ws://localhost').searchParams.get('token');
+    if (!device.isAuthorized(token)) client.close(4001, 'Pairing required');
+    client.token = token;
+  });
+  setInterval(() => {
+    if (!wss.clients.size || !device.isOnline()) return;
+    const frame = JSON.stringify(device.telemetry());
+    wss.clients.forEach(client => {
+      if (!device.isAuthorized(client.token)) client.close(4001, 'Pairing required');
+      else if (client.readyState === client.OPEN) client.send(frame);
+    });
+  }, STREAM_INTERVAL_MS);
+  console.log(`WebSocket ws://${listenHost}:${wsPort}/`);
+}
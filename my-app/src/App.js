@@ -1,15 +1,57 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer,
   BarChart, Bar, Cell
 } from 'recharts';
 import {
-  Play, Pause, Wifi, WifiOff, Activity, TrendingUp, Award, Target,
+  Play, Pause, Wifi, WifiHigh, WifiLow, WifiZero, WifiOff, Activity, TrendingUp, Award, Target,
   Zap, CheckCircle2, AlertCircle, Calendar as CalendarIcon,
   Settings as SettingsIcon, LayoutDashboard, ChevronLeft, ChevronRight,
-  Save, RotateCcw, Monitor
+  Save, RotateCcw, Monitor, Vibrate, Download, Upload, Plus, Trash2, Bell, BellOff, Coffee,
+  Square, Timer
 } from 'lucide-react';
+import {
+  buildSessionRecord, saveSession, loadMonthHistory, mergeSamples,
+  getSessionsInRange, getSessionSummaries, summarizeDay, summarizeAlerts, toDayKey, importSessions,
+  selectProfile, deleteProfileSessions
+} from './sessionStore';
+import { exportSessions, exportFileBase, parseJSONExport, downloadFile } from './historyExport';
+import {
+  DEFAULT_SETTINGS, loadSettings, saveSettings, setThreshold, buildSettingsExport, parseSettingsExport
+} from './settings';
+import { isGoalMet, goalProgress, computeGoalStreak } from './goals';
+import { computeSessionStats, findGaps, ZONES, ZONE_SCORES } from './sessionStats';
+import { createPosturePipeline, classifyAngle, classifyPosture } from './posturePipeline';
+import { zoneColor, scoreColor } from './colors';
+import { createAlertEngine } from './alertEngine';
+import { createBreakTracker } from './breakTracker';
+import { createAutoSession } from './autoSession';
+import CalibrationWizard from './CalibrationWizard';
+import AppleRing from './AppleRing';
+import DayDetail from './DayDetail';
+import DeviceLink from './DeviceLink';
+import DeviceScanner from './DeviceScanner';
+import WifiProvisioning from './WifiProvisioning';
+import DevicePairing from './DevicePairing';
+import { reconnectBackoff } from './useDeviceStream';
+import { QUALITY_LABELS, worstHealth } from './connectionHealth';
+import { WEEKDAYS, TREND_DAYS, averageBestStreakMs, dailyTrend } from './analytics';
+import TrendAnalytics from './TrendAnalytics';
+import { DEFAULT_ADAPTIVE_RULES, pickSessions, learnFromCalibration, learnFromSessions } from './adaptiveThresholds';
+import { BUZZ_PATTERNS, fetchBackfill, testBuzz, getAngle, unpairDevice, isUnauthorized, isMixedContentBlocked } from './deviceApi';
+import { BODY_LOCATIONS, newDevice, nextDeviceName, loadDevices, saveDevices, describeDevices } from './devices';
+import {
+  scopedKey, newProfile, nextProfileName, loadProfiles, saveProfiles,
+  loadActiveProfileId, saveActiveProfileId, clearProfileStorage
+} from './profiles';
+import ProfileSwitcher from './ProfileSwitcher';
+import ProfileLock from './ProfileLock';
+import ProfileSettings from './ProfileSettings';
+import {
+  notificationsSupported, notificationPermission, requestNotificationPermission,
+  isAppInBackground, showSystemNotification, playAlertSound
+} from './notifications';
 
 // --- CONSTANTS & THEME ---
 const THEMES = {
@@ -91,141 +133,479 @@ const THEMES = {
   }
 };
 
-const DEFAULT_SETTINGS = {
-  smoothingAlpha: 0.15,
-  excellentThreshold: 5,
-  goodThreshold: 15,
-  fairThreshold: 25,
-  pollInterval: 200,
-  targetDurationMins: 30
-};
+// Snooze button on the alert banner
+const ALERT_SNOOZE_MINS = 15;
+// "Later" on a break reminder
+const BREAK_SNOOZE_MINS = 10;
 
-// --- HELPER FUNCTIONS ---
-const smooth = (prev, next, alpha) => prev * (1 - alpha) + next * alpha;
-
-// Generate mock history data for a specific month
-// Generate mock history data for a specific month
-const generateMockMonthData = (year, month) => {
-  const daysInMonth = new Date(year, month + 1, 0).getDate();
-  const days = [];
-  const today = new Date();
-
-  for (let i = 1; i <= daysInMonth; i++) {
-    const date = new Date(year, month, i);
-    // Stop if the date is in the future
-    if (date > today) break;
-
-    // Random realistic score between 40 and 100
-    // Bias towards better scores
-    const baseScore = Math.floor(Math.random() * 40) + 60;
-    const score = Math.min(100, baseScore);
-    const duration = Math.floor(Math.random() * 60) + 10;
-
-    days.push({
-      date: date.toISOString().split('T')[0],
-      dayNum: i,
-      score: score,
-      duration: duration,
-      status: score > 90 ? 'Excellent' : score > 75 ? 'Good' : score > 50 ? 'Fair' : 'Poor'
-    });
-  }
-  return days;
+// A pause between readings longer than this triggers a backfill from the device buffer
+const BACKFILL_GAP_MS = 2000;
+
+// Time spent in a session's pauses up to `now`; the last one may still be open (end: null)
+const pausedMsUntil = (pauses, now) => pauses.reduce((sum, p) => sum + (p.end === null ? now : p.end) - p.start, 0);
+
+// Live chart points with a null point inside each dropout, so the lines break there
+const withGapBreaks = (points = []) => {
+  const breaks = findGaps(points).map(gap => ({ t: gap.start + 1, pitch: null, roll: null }));
+  return breaks.length ? [...points, ...breaks].sort((a, b) => a.t - b.t) : points;
 };
 
+// Picks the profile to open and asks for its PIN first if it has one. The
+// dashboard is keyed by profile, so switching starts it afresh on the other
+// profile's settings, devices and history.
 export default function App() {
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [openId, setOpenId] = useState(() => {
+    const id = loadActiveProfileId(profiles);
+    if (profiles.find(p => p.id === id).pin) return null;
+    selectProfile(id);
+    return id;
+  });
+  // Profile waiting for its PIN
+  const [lockedId, setLockedId] = useState(() => (openId ? null : loadActiveProfileId(profiles)));
+
+  useEffect(() => {
+    saveProfiles(profiles);
+  }, [profiles]);
+
+  const openProfile = (id) => {
+    selectProfile(id);
+    saveActiveProfileId(id);
+    setOpenId(id);
+    setLockedId(null);
+  };
+
+  const switchProfile = (id) => {
+    if (id === openId) return;
+    if (profiles.find(p => p.id === id).pin) setLockedId(id);
+    else openProfile(id);
+  };
+
+  const addProfile = () => {
+    const profile = newProfile(nextProfileName(profiles));
+    setProfiles(list => [...list, profile]);
+    openProfile(profile.id);
+  };
+
+  const updateProfile = (patch) => {
+    setProfiles(list => list.map(p => (p.id === openId ? { ...p, ...patch } : p)));
+  };
+
+  const deleteProfile = () => {
+    const id = openId;
+    const rest = profiles.filter(p => p.id !== id);
+    if (!rest.length) return;
+    setProfiles(rest);
+    clearProfileStorage(id);
+    // Best effort: history left behind is never shown, no profile has the id any more
+    deleteProfileSessions(id).catch(() => {});
+    setOpenId(null);
+    if (rest[0].pin) setLockedId(rest[0].id);
+    else openProfile(rest[0].id);
+  };
+
+  if (lockedId) {
+    const theme = localStorage.getItem(scopedKey(lockedId, 'appTheme'));
+    return (
+      <ProfileLock
+        key={lockedId}
+        profile={profiles.find(p => p.id === lockedId)}
+        profiles={profiles}
+        onUnlock={() => openProfile(lockedId)}
+        onPick={switchProfile}
+        onCancel={openId ? () => setLockedId(null) : null}
+        colors={THEMES[theme] || THEMES.base}
+      />
+    );
+  }
+
+  return (
+    <Dashboard
+      key={openId}
+      profile={profiles.find(p => p.id === openId)}
+      profiles={profiles}
+      onSwitchProfile={switchProfile}
+      onAddProfile={addProfile}
+      onUpdateProfile={updateProfile}
+      onDeleteProfile={deleteProfile}
+    />
+  );
+}
+
+function Dashboard({ profile, profiles, onSwitchProfile, onAddProfile, onUpdateProfile, onDeleteProfile }) {
   // --- STATE ---
   const [activeTab, setActiveTab] = useState('dashboard'); // dashboard, history, settings
-  const [currentTheme, setCurrentTheme] = useState(() => localStorage.getItem('appTheme') || 'base');
-  const colors = useMemo(() => THEMES[currentTheme], [currentTheme]);
-
-  // Connection
-  // Connection
-  const [espIP, setEspIP] = useState(() => localStorage.getItem('espIP') || '192.168.0.159');
-  const [espPort, setEspPort] = useState('80');
-  const [isConnected, setIsConnected] = useState(false);
-  const [connectionError, setConnectionError] = useState('');
+  const [currentTheme, setCurrentTheme] = useState(() => localStorage.getItem(scopedKey(profile.id, 'appTheme')) || 'base');
+  const colors = useMemo(() => THEMES[currentTheme] || THEMES.base, [currentTheme]);
+
+  // Devices
+  const [devices, setDevices] = useState(() => loadDevices(profile.id));
+  const [connections, setConnections] = useState({}); // by device id: { connected, reconnecting, error, needsPairing, transport, syncState }
+  const [linkHealth, setLinkHealth] = useState({}); // latest connectionHealth snapshot by device id
+  const [focusedDeviceId, setFocusedDeviceId] = useState(null); // device shown in the main gauge
+
+  const connectionOf = (id) => connections[id] || {};
+  const focusedDevice = devices.find(d => d.id === focusedDeviceId) || devices[0];
+  const linkedDevices = devices.filter(d => connectionOf(d.id).connected);
+  const isConnected = linkedDevices.length > 0;
+  const isReconnecting = devices.some(d => connectionOf(d.id).reconnecting);
+  // Overall signal is that of the weakest linked sensor
+  const signal = worstHealth(linkedDevices.map(d => linkHealth[d.id]).filter(Boolean));
+  const signalBars = isConnected ? (signal ? signal.bars : 4) : 0;
 
   // Session
   const [isActive, setIsActive] = useState(false);
-  const [currentAngle, setCurrentAngle] = useState(0);
-  const [liveData, setLiveData] = useState([]);
+  const [pausedSince, setPausedSince] = useState(null);
+  const [autoStarted, setAutoStarted] = useState(false);
+  const [readings, setReadings] = useState({}); // latest processed reading by device id
+  const [liveData, setLiveData] = useState({}); // recent points by device id
   const [sessionData, setSessionData] = useState([]);
   const [notification, setNotification] = useState(null);
   const [streak, setStreak] = useState(0);
+  const [sessionSummary, setSessionSummary] = useState(null);
 
   // Configuration
-  const [settings, setSettings] = useState(() => {
-    const saved = localStorage.getItem('postureSettings');
-    return saved ? JSON.parse(saved) : DEFAULT_SETTINGS;
-  });
+  const [loadedSettings] = useState(() => loadSettings(profile.id));
+  const [settings, setSettings] = useState(loadedSettings.settings);
+
+  // The gauge and chart follow the focused device
+  const focusedReading = readings[focusedDevice.id];
+  const currentAngle = focusedReading ? focusedReading.angle : 0;
+  const currentAxes = useMemo(
+    () => (focusedReading ? { pitch: focusedReading.pitch, roll: focusedReading.roll } : { pitch: 0, roll: 0 }),
+    [focusedReading]
+  );
+
+  // Per-device processing state: signal pipeline (smoothing, zone labels,
+  // streaks), sequence tracking and the device clock offset for backfill
+  const runtimesRef = useRef(new Map());
+  const deviceIds = devices.map(d => d.id).join(',');
+
+  useEffect(() => {
+    const ids = deviceIds.split(',');
+    const runtimes = runtimesRef.current;
+    ids.forEach(id => {
+      if (!runtimes.has(id)) {
+        runtimes.set(id, { pipeline: createPosturePipeline(), lastSeq: null, lastReadingAt: null, clockOffset: 0, backfilling: false });
+      }
+    });
+    [...runtimes.keys()].forEach(id => { if (!ids.includes(id)) runtimes.delete(id); });
+  }, [deviceIds]);
+
+  useEffect(() => {
+    runtimesRef.current.forEach(({ pipeline }) => pipeline.configure({
+      filter: {
+        type: settings.filterType,
+        alpha: settings.smoothingAlpha,
+        window: settings.medianWindow,
+        tauMs: settings.filterTauMs
+      }
+    }));
+  }, [deviceIds, settings.filterType, settings.smoothingAlpha, settings.medianWindow, settings.filterTauMs]);
+
+  // Zone boundaries in effect: learned ones in adaptive mode, once there are any
+  const adaptiveProfile = settings.adaptiveThresholds ? settings.adaptiveProfile : null;
+  const thresholds = adaptiveProfile ? adaptiveProfile.thresholds : {
+    excellent: settings.excellentThreshold,
+    good: settings.goodThreshold,
+    fair: settings.fairThreshold
+  };
+
+  useEffect(() => {
+    runtimesRef.current.forEach(({ pipeline }) => pipeline.configure({
+      thresholds: { excellent: thresholds.excellent, good: thresholds.good, fair: thresholds.fair }
+    }));
+  }, [deviceIds, thresholds.excellent, thresholds.good, thresholds.fair]);
+
+  // Sitting time, stillness and breaks for the running session
+  const [breakTracker] = useState(createBreakTracker);
+  const [breakPrompt, setBreakPrompt] = useState(null); // open reminder: { reason, sittingMs, stillMs }
+  const [onBreakSince, setOnBreakSince] = useState(null);
+
+  useEffect(() => {
+    breakTracker.configure({
+      intervalMins: settings.breakReminders ? settings.breakIntervalMins : 0,
+      stillnessMins: settings.stillnessReminders ? settings.stillnessMins : 0
+    });
+  }, [breakTracker, settings.breakReminders, settings.breakIntervalMins, settings.stillnessReminders, settings.stillnessMins]);
+
+  // Posture alerts across all sensors; escalation steps follow the alert settings
+  const [alertEngine] = useState(createAlertEngine);
+  const [activeAlerts, setActiveAlerts] = useState({}); // open alert by device id
+  const [alertsSnoozedUntil, setAlertsSnoozedUntil] = useState(null);
+  const sessionAlertsRef = useRef([]); // finished alerts of the running session
+
+  useEffect(() => {
+    const levels = ['toast'];
+    if (settings.alertSound) levels.push('sound');
+    if (settings.systemNotifications) levels.push('system');
+    if (settings.alertBuzz) levels.push('buzz');
+    alertEngine.configure({
+      zone: settings.alertZone,
+      delaySecs: settings.postureAlertDelaySecs,
+      escalateSecs: settings.alertEscalateSecs,
+      cooldownSecs: settings.alertCooldownSecs,
+      levels: settings.postureAlerts ? levels : [],
+      quietHours: settings.quietHoursEnabled ? { start: settings.quietHoursStart, end: settings.quietHoursEnd } : null
+    });
+  }, [
+    alertEngine, settings.postureAlerts, settings.alertZone, settings.postureAlertDelaySecs, settings.alertEscalateSecs,
+    settings.alertCooldownSecs, settings.alertSound, settings.systemNotifications, settings.alertBuzz,
+    settings.quietHoursEnabled, settings.quietHoursStart, settings.quietHoursEnd
+  ]);
 
   // Calendar State
   const [currentDate, setCurrentDate] = useState(new Date());
   const [historyData, setHistoryData] = useState([]);
 
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [selectedDay, setSelectedDay] = useState(null); // YYYY-MM-DD shown in the day detail view
+
+  useEffect(() => {
+    let cancelled = false;
+    loadMonthHistory(currentDate.getFullYear(), currentDate.getMonth())
+      .then(days => { if (!cancelled) setHistoryData(days); })
+      .catch(() => { if (!cancelled) setHistoryData([]); });
+    return () => { cancelled = true; };
+  }, [currentDate, historyVersion]);
+
+  // Summaries (no samples) of the last year of sessions, for today's goal
+  // progress, the goal streak and the trend figures
+  const [recentSessions, setRecentSessions] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const from = new Date();
+    from.setFullYear(from.getFullYear() - 1);
+    getSessionSummaries(from.getTime(), Date.now() + 1)
+      .then(sessions => { if (!cancelled) setRecentSessions(sessions); })
+      .catch(() => { if (!cancelled) setRecentSessions([]); });
+    return () => { cancelled = true; };
+  }, [historyVersion]);
+
+  // Sessions with their samples for the trend charts: only the days they can
+  // show, and only while History is open
+  const [trendSessions, setTrendSessions] = useState([]);
+
+  useEffect(() => {
+    if (activeTab !== 'history') {
+      setTrendSessions([]);
+      return;
+    }
+    let cancelled = false;
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - (TREND_DAYS - 1));
+    getSessionsInRange(from.getTime(), Date.now() + 1)
+      .then(sessions => { if (!cancelled) setTrendSessions(sessions); })
+      .catch(() => { if (!cancelled) setTrendSessions([]); });
+    return () => { cancelled = true; };
+  }, [activeTab, historyVersion]);
+
+  // Adaptive zones relearn whenever the saved sessions change. Only the
+  // sessions picked to learn from are loaded with their samples.
+  const calibratedAt = settings.adaptiveProfile ? settings.adaptiveProfile.calibratedAt : null;
+
   useEffect(() => {
-    setHistoryData(generateMockMonthData(currentDate.getFullYear(), currentDate.getMonth()));
-  }, [currentDate]);
+    if (!settings.adaptiveThresholds || settings.adaptiveLocked) return;
+    const picked = pickSessions(recentSessions, calibratedAt);
+    if (!picked.length) return;
+    let cancelled = false;
+    const ids = new Set(picked.map(s => s.id));
+    getSessionsInRange(Math.min(...picked.map(s => s.startedAt)), Date.now() + 1)
+      .then(sessions => {
+        if (cancelled) return;
+        const learnFrom = sessions.filter(s => ids.has(s.id));
+        setSettings(s => {
+          const profile = learnFromSessions(s.adaptiveProfile, learnFrom, Date.now());
+          return profile === s.adaptiveProfile ? s : { ...s, adaptiveProfile: profile };
+        });
+      })
+      .catch(() => {
+        // Nothing learned this time; the zones stay as they are
+      });
+    return () => { cancelled = true; };
+  }, [recentSessions, calibratedAt, settings.adaptiveThresholds, settings.adaptiveLocked]);
+
+  const resetAdaptiveZones = () => {
+    setSettings(s => ({ ...s, adaptiveThresholds: false, adaptiveLocked: false, adaptiveProfile: null }));
+    showNotification('success', 'Back to manual zones');
+  };
 
   // Refs
-  const lastSmoothedRef = useRef(0);
-  const pollingRef = useRef(null);
   const sessionStartTimeRef = useRef(null);
+  const pausesRef = useRef([]); // pauses of the running session: { start, end }
+  const resumedDevicesRef = useRef(new Set()); // devices whose next sample is the first after a pause
   const [elapsedTime, setElapsedTime] = useState(0);
 
+  // Automatic start and stop (see autoSession.js)
+  const [autoSession] = useState(createAutoSession);
+  const autoTickRef = useRef(() => {});
+
+  useEffect(() => {
+    autoSession.configure({
+      autoStart: settings.autoStart,
+      autoStop: settings.autoStop,
+      absenceMins: settings.autoStartAbsenceMins,
+      idleMins: settings.autoStopIdleMins,
+      disconnectMins: settings.autoStopDisconnectMins
+    });
+  }, [autoSession, settings.autoStart, settings.autoStop, settings.autoStartAbsenceMins, settings.autoStopIdleMins, settings.autoStopDisconnectMins]);
+
   // Save settings on change
   useEffect(() => {
-    localStorage.setItem('postureSettings', JSON.stringify(settings));
-    localStorage.setItem('espIP', espIP);
-    localStorage.setItem('appTheme', currentTheme);
-  }, [settings, espIP, currentTheme]);
+    saveSettings(settings, profile.id);
+    saveDevices(devices, profile.id);
+    localStorage.setItem(scopedKey(profile.id, 'appTheme'), currentTheme);
+  }, [settings, devices, currentTheme, profile.id]);
 
   // --- LOGIC ---
 
   const getStatus = (angle) => {
-    const absAngle = Math.abs(angle);
-    if (absAngle <= settings.excellentThreshold) return { label: 'Excellent', color: colors.exerciseGreen, score: 100 };
-    if (absAngle <= settings.goodThreshold) return { label: 'Good', color: colors.standBlue, score: 80 };
-    if (absAngle <= settings.fairThreshold) return { label: 'Fair', color: colors.warningYellow, score: 50 };
-    return { label: 'Poor', color: colors.moveRed, score: 20 };
+    const label = classifyAngle(angle, thresholds);
+    return { label, color: zoneColor(label, colors), score: ZONE_SCORES[label] };
   };
 
-  const getScoreColor = (score) => {
-    if (score >= 90) return colors.exerciseGreen;
-    if (score >= 75) return colors.standBlue;
-    if (score >= 50) return colors.warningYellow;
-    return colors.moveRed;
+  const getPostureStatus = (pitch, roll) => {
+    const { label, axis } = classifyPosture(pitch, roll, thresholds);
+    return { label, axis, color: zoneColor(label, colors), score: ZONE_SCORES[label] };
   };
 
-  const connectToESP = async () => {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 2000);
+  const updateConnection = useCallback((id, patch) => {
+    setConnections(prev => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+  }, []);
 
-      const response = await fetch(`http://${espIP}:${espPort}/angle`, {
-        method: 'GET',
-        signal: controller.signal
-      }).catch(err => { throw new Error('Timeout or Network Error'); });
+  // Pending automatic reconnects by device id
+  const reconnectTimersRef = useRef(new Map());
 
-      clearTimeout(timeoutId);
+  const cancelReconnect = (id) => {
+    clearTimeout(reconnectTimersRef.current.get(id));
+    reconnectTimersRef.current.delete(id);
+  };
+
+  useEffect(() => {
+    const timers = reconnectTimersRef.current;
+    return () => timers.forEach(timer => clearTimeout(timer));
+  }, []);
 
-      if (response.ok) {
-        setIsConnected(true);
-        setConnectionError('');
-        showNotification('success', 'Connected to device');
+  const connectDevice = async (device) => {
+    cancelReconnect(device.id);
+    try {
+      await getAngle(device, 2000);
+      updateConnection(device.id, { connected: true, reconnecting: false, error: '', needsPairing: false });
+      showNotification('success', `Connected to ${device.name}`);
+    } catch (error) {
+      if (isUnauthorized(error)) {
+        updateConnection(device.id, { connected: false, reconnecting: false, error: device.token ? 'Pairing expired or revoked' : 'Pairing required', needsPairing: true });
       } else {
-        throw new Error('Device found but refused connection');
+        const error = isMixedContentBlocked() ? 'Blocked on HTTPS: open SpineUp over http to reach the sensor' : 'Cannot reach device';
+        updateConnection(device.id, { connected: false, reconnecting: false, error, needsPairing: false });
       }
-    } catch (error) {
-      setConnectionError('Cannot reach device');
-      setIsConnected(false);
     }
   };
 
-  const showNotification = (type, message) => {
+  const disconnectDevice = (device) => {
+    cancelReconnect(device.id);
+    alertEngine.disconnect(device.id);
+    updateConnection(device.id, { connected: false, reconnecting: false, error: '' });
+  };
+
+  // Retries a lost device with growing pauses until it answers, the user
+  // disconnects it, or it turns out to need pairing
+  const scheduleReconnect = (device, attempt) => {
+    cancelReconnect(device.id);
+    reconnectTimersRef.current.set(device.id, setTimeout(async () => {
+      reconnectTimersRef.current.delete(device.id);
+      try {
+        await getAngle(device, 2000);
+        updateConnection(device.id, { connected: true, reconnecting: false, error: '' });
+        showNotification('success', `Reconnected to ${device.name}`);
+      } catch (error) {
+        if (isUnauthorized(error)) {
+          updateConnection(device.id, { reconnecting: false, error: 'Pairing expired or revoked', needsPairing: true });
+        } else {
+          updateConnection(device.id, { error: `Connection lost, retrying (attempt ${attempt + 2})` });
+          scheduleReconnect(device, attempt + 1);
+        }
+      }
+    }, reconnectBackoff(attempt)));
+  };
+
+  // Health reports arrive once a second from every linked device
+  const handleHealth = (deviceId, health) => {
+    setLinkHealth(prev => ({ ...prev, [deviceId]: health }));
+    const device = devices.find(d => d.id === deviceId);
+    if (!health.lost || !device || !connectionOf(deviceId).connected) return;
+    alertEngine.disconnect(deviceId);
+    updateConnection(deviceId, { connected: false, reconnecting: true, error: 'Connection lost, reconnecting' });
+    showNotification('error', `Lost connection to ${device.name}`);
+    scheduleReconnect(device, 0);
+  };
+
+  // The device rejected a saved token mid-session: forget it and ask to pair again
+  const handleUnauthorized = (deviceId) => {
+    const device = devices.find(d => d.id === deviceId);
+    if (!device || !connectionOf(deviceId).connected) return;
+    cancelReconnect(deviceId);
+    alertEngine.disconnect(deviceId);
+    setDevices(prev => prev.map(d => (d.id === deviceId ? { ...d, token: null } : d)));
+    updateConnection(deviceId, { connected: false, reconnecting: false, error: 'Pairing expired or revoked', needsPairing: true });
+    showNotification('error', `${device.name} needs to be paired again`);
+  };
+
+  const completePairing = (device, token) => {
+    const paired = { ...device, token };
+    setDevices(prev => prev.map(d => (d.id === device.id ? paired : d)));
+    connectDevice(paired);
+  };
+
+  // Revokes this app's token on the device; the local copy goes even if the device is unreachable
+  const unpair = async (device) => {
+    try {
+      await unpairDevice(device);
+    } catch (err) {
+      // Already revoked, or the device is offline
+    }
+    cancelReconnect(device.id);
+    alertEngine.disconnect(device.id);
+    setDevices(prev => prev.map(d => (d.id === device.id ? { ...d, token: null } : d)));
+    updateConnection(device.id, { connected: false, reconnecting: false, error: '', needsPairing: true });
+  };
+
+  const updateDevice = (id, patch) => setDevices(prev => prev.map(d => (d.id === id ? { ...d, ...patch } : d)));
+
+  const addDevice = () => {
+    setDevices(prev => {
+      const last = prev[prev.length - 1];
+      return [...prev, newDevice({ name: nextDeviceName(prev), host: last ? last.host : '', port: last ? last.port : '80' })];
+    });
+  };
+
+  // Connects a device found by a scan, reusing its saved entry when there is one
+  const connectDiscovered = ({ host, port, identity }) => {
+    const existing = devices.find(d => d.deviceId === identity.device_id)
+      || devices.find(d => d.host === host && String(d.port) === String(port));
+    const device = existing
+      ? { ...existing, host, port, deviceId: identity.device_id }
+      : newDevice({ name: identity.device_id, host, port, deviceId: identity.device_id });
+    setDevices(prev => (existing ? prev.map(d => (d.id === existing.id ? device : d)) : [...prev, device]));
+    connectDevice(device);
+  };
+
+  const removeDevice = (device) => {
+    disconnectDevice(device);
+    setDevices(prev => prev.filter(d => d.id !== device.id));
+  };
+
+  const showNotification = useCallback((type, message) => {
     setNotification({ type, message });
     setTimeout(() => setNotification(null), 3000);
-  };
+  }, []);
+
+  // Stored settings that could not be read were replaced with the defaults
+  useEffect(() => {
+    if (loadedSettings.recovered) showNotification('error', 'Settings were unreadable and have been reset');
+  }, [loadedSettings, showNotification]);
 
   // Timer
   useEffect(() => {
@@ -233,7 +613,9 @@ export default function App() {
     if (isActive) {
       if (!sessionStartTimeRef.current) sessionStartTimeRef.current = Date.now();
       interval = setInterval(() => {
-        setElapsedTime(Math.floor((Date.now() - sessionStartTimeRef.current) / 1000));
+        const now = Date.now();
+        setElapsedTime(Math.floor((now - sessionStartTimeRef.current - pausedMsUntil(pausesRef.current, now)) / 1000));
+        autoTickRef.current(now);
       }, 1000);
     } else {
       sessionStartTimeRef.current = null;
@@ -241,86 +623,372 @@ export default function App() {
     return () => clearInterval(interval);
   }, [isActive]);
 
-  // Polling Loop
+  // Reading Handler (shared by every device's WebSocket stream and HTTP polling fallback)
+  const handleReading = (deviceId, { pitch: rawPitch, roll: rawRoll, deviceTs, seq, alert }) => {
+    const runtime = runtimesRef.current.get(deviceId);
+    if (!runtime) return;
+    const now = Date.now();
+    if (deviceTs !== null) runtime.clockOffset = now - deviceTs;
+
+    const recording = isActive && pausedSince === null;
+
+    // After a dropout or a sleeping tab, recover the missed samples from the device buffer
+    const lastSeq = runtime.lastSeq;
+    const hadGap = runtime.lastReadingAt && now - runtime.lastReadingAt > BACKFILL_GAP_MS;
+    if (recording && hadGap && lastSeq !== null && seq !== null && seq > lastSeq) backfill(deviceId, lastSeq, seq);
+    runtime.lastReadingAt = now;
+    if (seq !== null) runtime.lastSeq = seq;
+
+    // The gauge follows whichever axis is further from upright
+    const { angle, pitch, roll, status } = runtime.pipeline.push({ t: now, pitch: rawPitch, roll: rawRoll });
+    setReadings(prev => ({ ...prev, [deviceId]: { angle, pitch, roll, status } }));
+
+    // Raw readings, as smoothing would hide how still the sensor is
+    if (autoSession.push({ t: now, device: deviceId, pitch: rawPitch, roll: rawRoll, status }) === 'start' && !isActive) {
+      startSession({ auto: true });
+    }
+
+    if (recording) {
+      const point = { t: now, device: deviceId, angle, pitch, roll, status, seq, alert };
+      if (onBreakSince !== null) point.onBreak = true;
+      if (resumedDevicesRef.current.delete(deviceId)) point.resumed = true;
+      setLiveData(prev => ({ ...prev, [deviceId]: [...(prev[deviceId] || []).slice(-100), point] }));
+      setSessionData(prev => [...prev, point]);
+      breakTracker.push(point);
+      if (!point.onBreak) alertEngine.push(point);
+    }
+  };
+
+  // Fetches one device's buffered samples with since < seq < until and merges them into the session
+  const backfill = async (deviceId, since, until) => {
+    const runtime = runtimesRef.current.get(deviceId);
+    const device = devices.find(d => d.id === deviceId);
+    if (!runtime || !device || runtime.backfilling) return;
+    runtime.backfilling = true;
+    try {
+      const samples = await fetchBackfill(device, since);
+      const startedAt = sessionStartTimeRef.current;
+      const points = samples
+        .filter(s => s.seq < until)
+        .map(s => {
+          const pitch = Number(s.pitch.toFixed(1));
+          const roll = Number(s.roll.toFixed(1));
+          const { label, angle } = classifyPosture(pitch, roll, thresholds);
+          const point = {
+            t: s.ts + runtime.clockOffset,
+            device: deviceId,
+            angle,
+            pitch,
+            roll,
+            status: label,
+            seq: s.seq,
+            alert: Boolean(s.alert),
+            backfilled: true
+          };
+          // Flagged like live samples, so break time stays out of scoring
+          if (breakTracker.onBreakAt(point.t)) point.onBreak = true;
+          return point;
+        })
+        .filter(p => !startedAt || p.t >= startedAt)
+        .filter(p => !pausesRef.current.some(pause => p.t >= pause.start && (pause.end === null || p.t < pause.end)));
+
+      if (points.length) setSessionData(prev => mergeSamples(prev, points));
+    } catch (err) {
+      // Device buffer unavailable; the gap stays in the session
+    } finally {
+      runtime.backfilling = false;
+    }
+  };
+
+  // Haptic config shared with every connected device
+  const hapticConfig = {
+    haptic_threshold: settings.hapticSync ? thresholds.fair : settings.hapticThreshold,
+    min_bad_ms: settings.hapticDelaySecs * 1000,
+    pattern: settings.hapticPattern,
+    quiet_mode: settings.hapticQuiet
+  };
+
+  // The least settled device decides the overall sync state
+  const syncStates = linkedDevices.map(d => connectionOf(d.id).syncState || 'idle');
+  const hapticSyncState = ['error', 'syncing', 'idle'].find(state => syncStates.includes(state)) || 'synced';
+
+  const buzzDevices = () => {
+    Promise.all(linkedDevices.map(d => testBuzz(d)))
+      .catch(() => showNotification('error', 'Buzz failed'));
+  };
+
+  // Streak (measured by the focused device's pipeline from reading timestamps)
+  const focusedId = focusedDevice.id;
   useEffect(() => {
-    if (!isActive && !isConnected) {
-      if (pollingRef.current) clearInterval(pollingRef.current);
+    const runtime = runtimesRef.current.get(focusedId);
+    if (!isActive || !runtime) {
+      setStreak(0);
+      return;
+    }
+    runtime.pipeline.resetStreak();
+    return runtime.pipeline.subscribe(event => {
+      if (event.type === 'sample') setStreak(Math.floor(event.point.streakMs / 1000));
+      if (event.type === 'streak') showNotification('achievement', `${event.minutes} Min Perfect Streak!`);
+    });
+  }, [isActive, focusedId, showNotification]);
+
+  // Acts on each escalation step and keeps finished alerts for the session record
+  useEffect(() => alertEngine.subscribe(event => {
+    const { alert } = event;
+    if (event.type === 'resolved') {
+      sessionAlertsRef.current.push(alert);
+      setActiveAlerts(prev => {
+        const next = { ...prev };
+        delete next[alert.device];
+        return next;
+      });
       return;
     }
 
-    const pollESP = async () => {
-      if (!isConnected) return;
-      try {
-        const response = await fetch(`http://${espIP}:${espPort}/angle`);
-        if (response.ok) {
-          const data = await response.json();
-          const rawAngle = parseFloat(data.angle || 0);
+    setActiveAlerts(prev => ({ ...prev, [alert.device]: alert }));
+    const device = devices.find(d => d.id === alert.device);
+    const where = device && devices.length > 1 ? ` (${device.name})` : '';
+    const title = `${alert.zone} posture${where}`;
+    const body = `You've been tilted ${Math.abs(alert.angle).toFixed(0)}° for ${Math.round((Date.now() - alert.badSince) / 1000)}s. Time to sit up straight.`;
+    const notifySystem = () => showSystemNotification(title, { body, tag: 'spineup-posture', renotify: true });
+
+    showNotification('error', `${title}: sit up straight`);
+    if (alert.level === 'toast' && settings.systemNotifications && isAppInBackground()) notifySystem();
+    if (alert.level === 'sound') playAlertSound();
+    if (alert.level === 'system') notifySystem();
+    if (alert.level === 'buzz' && device) testBuzz(device).catch(() => {});
+  }), [alertEngine, devices, settings.systemNotifications, showNotification]);
+
+  const snoozeAlerts = () => {
+    const until = Date.now() + ALERT_SNOOZE_MINS * 60000;
+    alertEngine.snooze(until);
+    setAlertsSnoozedUntil(until);
+  };
 
-          const smoothed = Number(smooth(lastSmoothedRef.current, rawAngle, settings.smoothingAlpha).toFixed(1));
-          lastSmoothedRef.current = smoothed;
-          setCurrentAngle(smoothed);
+  const resumeAlerts = () => {
+    alertEngine.snooze(null);
+    setAlertsSnoozedUntil(null);
+  };
 
-          const status = getStatus(smoothed);
+  useEffect(() => breakTracker.subscribe(event => {
+    if (event.type !== 'prompt') return;
+    setBreakPrompt(event);
+    if (settings.systemNotifications && isAppInBackground()) {
+      showSystemNotification('Time for a break', { body: describeBreakPrompt(event), tag: 'spineup-break' });
+    }
+  }), [breakTracker, settings.systemNotifications]);
+
+  const startBreak = () => {
+    const now = Date.now();
+    breakTracker.startBreak(now);
+    alertEngine.end(now); // an open posture alert doesn't carry into the break
+    setOnBreakSince(now);
+    setBreakPrompt(null);
+  };
 
-          if (isActive) {
-            const now = Date.now();
-            const point = { t: now, angle: smoothed, status: status.label };
-            setLiveData(prev => [...prev.slice(-100), point]);
-            setSessionData(prev => [...prev, point]);
+  const endBreak = () => {
+    breakTracker.endBreak(Date.now());
+    setOnBreakSince(null);
+  };
 
+  const snoozeBreak = () => {
+    breakTracker.snooze(Date.now() + BREAK_SNOOZE_MINS * 60000);
+    setBreakPrompt(null);
+  };
 
-          }
-        }
-      } catch (err) {
-        // Silent fail on individual poll
-      }
-    };
+  const setSystemNotifications = async (enabled) => {
+    if (!enabled) {
+      setSettings(s => ({ ...s, systemNotifications: false }));
+      return;
+    }
+    const permission = await requestNotificationPermission();
+    if (permission === 'granted') {
+      setSettings(s => ({ ...s, systemNotifications: true }));
+    } else {
+      showNotification('error', permission === 'unsupported' ? 'Notifications are not supported here' : 'Notifications are blocked for this site');
+    }
+  };
 
-    pollingRef.current = setInterval(pollESP, settings.pollInterval);
-    return () => clearInterval(pollingRef.current);
-  }, [isActive, isConnected, espIP, espPort, settings]);
+  const startSession = ({ auto = false } = {}) => {
+    if (!isConnected) return showNotification('error', 'Connect device first');
+    const now = Date.now();
+    setIsActive(true);
+    setSessionData([]);
+    setLiveData({});
+    setElapsedTime(0);
+    pausesRef.current = [];
+    setPausedSince(null);
+    setAutoStarted(auto);
+    autoSession.started(now);
+    sessionAlertsRef.current = [];
+    breakTracker.start(now);
+    setBreakPrompt(null);
+    setOnBreakSince(null);
+    if (auto) showNotification('success', 'Session started automatically');
+  };
 
-  // Streak Timer
-  useEffect(() => {
-    let interval;
-    if (isActive && ['Excellent', 'Good'].includes(getStatus(currentAngle).label)) {
-      interval = setInterval(() => {
-        setStreak(s => {
-          const newStreak = s + 1;
-          if (newStreak % 60 === 0) showNotification('achievement', `${newStreak / 60} Min Perfect Streak!`);
-          return newStreak;
-        });
-      }, 1000);
-    } else {
-      setStreak(0);
+  // Stops recording without ending the session; paused time is left out of
+  // the session's duration and stats
+  const pauseSession = () => {
+    const now = Date.now();
+    alertEngine.end(now);
+    if (onBreakSince !== null) endBreak();
+    setBreakPrompt(null);
+    pausesRef.current = [...pausesRef.current, { start: now, end: null }];
+    setPausedSince(now);
+  };
+
+  const resumeSession = () => {
+    const now = Date.now();
+    pausesRef.current = pausesRef.current.map(p => (p.end === null ? { ...p, end: now } : p));
+    resumedDevicesRef.current = new Set(devices.map(d => d.id));
+    breakTracker.resetSitting(now);
+    setPausedSince(null);
+  };
+
+  // `until` ends the session earlier than now: an automatic stop leaves out
+  // the time the sensor sat idle
+  const endSession = async ({ until = null, reason = null } = {}) => {
+    const endedAt = until || Date.now();
+    setIsActive(false);
+    setPausedSince(null);
+    autoSession.stopped(endedAt);
+    alertEngine.end(endedAt); // logs alerts still open
+    const breaks = breakTracker.end(endedAt);
+    setBreakPrompt(null);
+    setOnBreakSince(null);
+    const pauses = pausesRef.current.map(p => ({ start: p.start, end: p.end === null ? endedAt : Math.min(p.end, endedAt) }))
+      .filter(p => p.start < endedAt);
+    const samples = until ? sessionData.filter(p => p.t <= until) : sessionData;
+    const startedAt = sessionStartTimeRef.current || (samples[0] && samples[0].t);
+    if (!samples.length || !startedAt) {
+      showNotification('error', 'No data recorded');
+      return;
     }
-    return () => clearInterval(interval);
-  }, [isActive, currentAngle, settings.excellentThreshold, settings.goodThreshold]);
-
-  const toggleSession = () => {
-    if (!isActive) {
-      if (!isConnected) return showNotification('error', 'Connect device first');
-      setIsActive(true);
-      setSessionData([]);
-      setLiveData([]);
-      setStreak(0);
-      setElapsedTime(0);
-    } else {
-      setIsActive(false);
-      showNotification('achievement', 'Session Saved');
+    try {
+      const record = buildSessionRecord({
+        samples,
+        startedAt,
+        endedAt,
+        stats: samples === sessionData ? sessionStats : computeSessionStats(samples),
+        devices: describeDevices(devices, samples),
+        alerts: sessionAlertsRef.current,
+        breaks,
+        pauses
+      });
+      await saveSession(record);
+      setHistoryVersion(v => v + 1);
+      setSessionSummary(record);
+      showNotification('achievement', reason ? `Session Saved (${reason})` : 'Session Saved');
+    } catch (err) {
+      showNotification('error', 'Could not save session');
     }
   };
 
+  // Runs every second of a session, with this render's state
+  useEffect(() => {
+    autoTickRef.current = (now) => {
+      if (pausedSince !== null) return;
+      const decision = autoSession.tick(now, { connected: isConnected });
+      if (decision) endSession({ until: decision.at, reason: decision.stop === 'idle' ? 'sensor idle' : 'sensor disconnected' });
+    };
+  });
+
   // Stats
-  const sessionStats = useMemo(() => {
-    if (!sessionData.length) return { score: 0, perfect: 0 };
-    const total = sessionData.length;
-    const good = sessionData.filter(d => ['Excellent', 'Good'].includes(d.status)).length;
+  const sessionStats = useMemo(() => computeSessionStats(sessionData), [sessionData]);
+
+  // Export & Import
+  const [exportRange, setExportRange] = useState(() => {
+    const now = new Date();
+    return { from: toDayKey(new Date(now.getFullYear(), now.getMonth(), 1).getTime()), to: toDayKey(now.getTime()) };
+  });
+
+  const exportRangeAs = async (format) => {
+    const from = new Date(`${exportRange.from}T00:00`);
+    const to = new Date(`${exportRange.to}T00:00`);
+    to.setDate(to.getDate() + 1);
+    try {
+      const sessions = await getSessionsInRange(from.getTime(), to.getTime());
+      if (!sessions.length) return showNotification('error', 'No sessions in range');
+      exportSessions(sessions, format, settings, exportFileBase(exportRange.from, exportRange.to));
+    } catch (err) {
+      showNotification('error', 'Export failed');
+    }
+  };
+
+  const exportSessionAs = (session, format) => {
+    exportSessions([session], format, settings, `spineup-session-${session.id}`);
+  };
+
+  const exportSettingsFile = () => {
+    downloadFile(`spineup-settings-${toDayKey(Date.now())}.json`, buildSettingsExport(settings), 'application/json');
+  };
+
+  const importSettingsFile = async (file) => {
+    try {
+      setSettings(parseSettingsExport(await file.text()));
+      showNotification('success', 'Settings Imported');
+    } catch (err) {
+      showNotification('error', err.message);
+    }
+  };
+
+  const importHistoryFile = async (file) => {
+    try {
+      const sessions = parseJSONExport(await file.text());
+      const { added, skipped } = await importSessions(sessions);
+      setHistoryVersion(v => v + 1);
+      showNotification('success', `Imported ${added} sessions${skipped ? `, ${skipped} already present` : ''}`);
+    } catch (err) {
+      showNotification('error', err.message);
+    }
+  };
+
+  // Daily Goal
+  const goals = { targetDurationMins: settings.targetDurationMins, targetScore: settings.targetScore };
+
+  const todaySummary = useMemo(() => {
+    const todayKey = toDayKey(Date.now());
+    const today = recentSessions.filter(s => toDayKey(s.startedAt) === todayKey);
+    // Count the running session as if it ended now
+    if (isActive && elapsedTime > 0) today.push({ duration: elapsedTime, score: sessionStats.score });
+    return summarizeDay(today);
+  }, [recentSessions, isActive, elapsedTime, sessionStats.score]);
+
+  const todayGoalMet = isGoalMet(todaySummary, goals);
+  const todayProgress = goalProgress(todaySummary, goals);
+
+  const goalStreak = useMemo(
+    () => computeGoalStreak(recentSessions, { targetDurationMins: settings.targetDurationMins, targetScore: settings.targetScore }),
+    [recentSessions, settings.targetDurationMins, settings.targetScore]
+  );
+
+  // Celebrate once per day when the goal is reached
+  useEffect(() => {
+    const todayKey = toDayKey(Date.now());
+    const goalKey = scopedKey(profile.id, 'goalMetDate');
+    if (todayGoalMet && localStorage.getItem(goalKey) !== todayKey) {
+      localStorage.setItem(goalKey, todayKey);
+      showNotification('achievement', 'Daily Goal Reached!');
+    }
+  }, [todayGoalMet, showNotification, profile.id]);
+
+  // The running streak against the user's usual best streak over the last week
+  const usualBestStreakMs = useMemo(() => averageBestStreakMs(recentSessions), [recentSessions]);
+  const streakPercent = usualBestStreakMs ? Math.round(((streak * 1000) / usualBestStreakMs) * 100) : null;
+
+  // Daily scores for the last seven days, today last
+  const lastWeekTrend = useMemo(() => dailyTrend(recentSessions, 7), [recentSessions]);
+
+  const monthSummary = useMemo(() => {
+    const tracked = historyData.filter(d => d.score !== null);
+    const minutes = tracked.reduce((sum, d) => sum + d.duration, 0);
     return {
-      score: Math.round((good / total) * 100),
-      perfect: Math.round((sessionData.filter(d => d.status === 'Excellent').length / total) * 100)
+      average: tracked.length ? Math.round(tracked.reduce((sum, d) => sum + d.score, 0) / tracked.length) : null,
+      trackedDays: tracked.length,
+      hours: Number((minutes / 60).toFixed(1))
     };
-  }, [sessionData]);
+  }, [historyData]);
 
   // Calendar Helpers
   const getMonthName = (date) => date.toLocaleString('default', { month: 'long', year: 'numeric' });
@@ -339,6 +1007,24 @@ export default function App() {
     // Use inline style to force the dark background color consistently
     <div className="flex h-[100dvh] font-sans overflow-hidden selection:bg-pink-500 selection:text-white transition-colors duration-500" style={{ backgroundColor: colors.darkBg, color: colors.lightText }}>
 
+      {/* One stream and config sync per device; renders nothing */}
+      {devices.map(device => (
+        <DeviceLink
+          key={device.id}
+          device={device}
+          enabled={Boolean(connectionOf(device.id).connected)}
+          wsPort={settings.wsPort}
+          preferWebSocket={settings.useWebSocket}
+          pollInterval={settings.pollInterval}
+          maxFailures={settings.linkMaxFailures}
+          desiredConfig={hapticConfig}
+          onReading={handleReading}
+          onStatus={updateConnection}
+          onHealth={handleHealth}
+          onUnauthorized={handleUnauthorized}
+        />
+      ))}
+
       {/* --- SIDEBAR (Desktop) --- */}
       <aside
         className="hidden md:flex w-72 flex-col border-r backdrop-blur-xl p-6 transition-colors duration-300"
@@ -354,6 +1040,15 @@ export default function App() {
           </div>
         </div>
 
+        <ProfileSwitcher
+          profile={profile}
+          profiles={profiles}
+          disabled={isActive}
+          onSwitch={onSwitchProfile}
+          onAdd={onAddProfile}
+          colors={colors}
+        />
+
         <nav className="flex-1 space-y-2">
           <SidebarLink
             icon={<LayoutDashboard />}
@@ -383,9 +1078,9 @@ export default function App() {
             <div className="flex items-center gap-3">
               {/* Use the new, brighter green/red colors */}
               <div className={`w-2.5 h-2.5 rounded-full ${isConnected ? 'bg-green-500 shadow-[0_0_8px_rgba(52,199,89,0.7)]' : 'bg-red-500 shadow-[0_0_8px_rgba(255,69,58,0.7)]'}`} />
-              <span className="text-sm font-medium" style={{ color: colors.mutedText }}>{isConnected ? 'Online' : 'Offline'}</span>
+              <span className="text-sm font-medium" style={{ color: colors.mutedText }}>{isReconnecting && !isConnected ? 'Reconnecting…' : !isConnected ? 'Offline' : devices.length > 1 ? `${linkedDevices.length}/${devices.length} Online` : 'Online'}</span>
             </div>
-            {isConnected && <Wifi size={16} className="text-green-500" />}
+            <SignalIndicator bars={signalBars} reconnecting={isReconnecting} />
           </div>
         </div>
       </aside>
@@ -399,8 +1094,19 @@ export default function App() {
             <Activity style={{ color: colors.accentPink }} size={24} />
             <span className="font-bold text-lg">SpineUp</span>
           </div>
-          {/* Use the new, brighter green/red colors */}
-          <div className={`w-2 h-2 rounded-full ${isConnected ? 'bg-green-500' : 'bg-red-500'}`} />
+          <div className="flex items-center gap-3">
+            <ProfileSwitcher
+              profile={profile}
+              profiles={profiles}
+              disabled={isActive}
+              onSwitch={onSwitchProfile}
+              onAdd={onAddProfile}
+              colors={colors}
+              compact
+            />
+            {/* Use the new, brighter green/red colors */}
+            <div className={`w-2 h-2 rounded-full ${isConnected ? 'bg-green-500' : isReconnecting ? 'bg-yellow-500 animate-pulse' : 'bg-red-500'}`} />
+          </div>
         </div>
 
         <div className="flex-1 overflow-y-auto p-4 md:p-8 lg:p-12 scrollbar-thin scrollbar-thumb-white/10 scrollbar-track-transparent">
@@ -418,10 +1124,43 @@ export default function App() {
                 >
                   {/* Left Col: Main Gauge */}
                   <div className="lg:col-span-2 space-y-6">
+                    <AlertBanner
+                      alerts={Object.values(activeAlerts)}
+                      devices={devices}
+                      snoozedUntil={alertsSnoozedUntil && alertsSnoozedUntil > Date.now() ? alertsSnoozedUntil : null}
+                      onSnooze={snoozeAlerts}
+                      onResume={resumeAlerts}
+                      colors={colors}
+                    />
+                    <BreakBanner
+                      prompt={breakPrompt}
+                      onBreakSince={onBreakSince}
+                      onStart={startBreak}
+                      onSnooze={snoozeBreak}
+                      onEnd={endBreak}
+                      colors={colors}
+                    />
+
                     <div className="relative border rounded-[2.5rem] p-8 md:p-12 flex flex-col items-center justify-center overflow-hidden transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
                       {/* Using the new accent colors for a better gradient effect */}
                       <div className="absolute top-0 left-0 right-0 h-1" style={{ background: `linear-gradient(to right, ${colors.accentPink}, #5856D6, ${colors.accentBlue})`, opacity: 0.5 }} />
 
+                      {devices.length > 1 && (
+                        <span className="absolute top-6 left-8 text-xs uppercase tracking-wider font-bold" style={{ color: colors.mutedText }}>
+                          {focusedDevice.name} · {BODY_LOCATIONS[focusedDevice.location]}
+                        </span>
+                      )}
+
+                      <SessionStatus
+                        isActive={isActive}
+                        pausedSince={pausedSince}
+                        autoStarted={autoStarted}
+                        autoStart={settings.autoStart}
+                        autoStop={settings.autoStop}
+                        seatedFor={isConnected ? autoSession.seatedFor(Date.now()) : null}
+                        colors={colors}
+                      />
+
                       <AppleRing angle={currentAngle} status={getStatus(currentAngle)} size="large" />
 
                       <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none mt-6">
@@ -439,29 +1178,77 @@ export default function App() {
                         >
                           {getStatus(currentAngle).label}
                         </div>
+                        {getStatus(currentAngle).score < 100 && (
+                          <span className="mt-2 text-xs font-medium" style={{ color: colors.mutedText }}>
+                            {getPostureStatus(currentAxes.pitch, currentAxes.roll).axis === 'pitch' ? 'Forward slouch' : 'Sideways lean'}
+                          </span>
+                        )}
                       </div>
 
                       {/* Desktop Controls overlay */}
                       <div className="absolute bottom-8 left-0 right-0 flex justify-center gap-4 px-8 translate-y-8">
+                        {isActive && (
+                          <button
+                            onClick={pausedSince === null ? pauseSession : resumeSession}
+                            className="px-6 py-3 rounded-full font-bold text-lg flex items-center gap-3 transition-all hover:scale-105 active:scale-95 shadow-xl border hover:brightness-90"
+                            style={{ backgroundColor: colors.cardBg, borderColor: colors.borderColor, color: colors.lightText }}
+                          >
+                            {pausedSince === null
+                              ? <><Pause fill="currentColor" size={20} /> Pause</>
+                              : <><Play fill="currentColor" size={20} /> Resume</>}
+                          </button>
+                        )}
                         <button
-                          onClick={toggleSession}
+                          onClick={() => (isActive ? endSession() : startSession())}
                           className={`px-8 py-3 rounded-full font-bold text-lg flex items-center gap-3 transition-all hover:scale-105 active:scale-95 shadow-xl ${isActive
                             ? `bg-red-500/10 text-[${colors.moveRed}] border border-red-500/50 hover:bg-red-500/20`
                             : 'hover:brightness-90' // Removed fixed colors
                             }`}
                           style={!isActive ? { backgroundColor: colors.buttonBg, color: colors.buttonText } : {}}
                         >
-                          {isActive ? <><Pause fill="currentColor" size={20} /> End Session</> : <><Play fill="currentColor" size={20} /> Start Tracking</>}
+                          {isActive ? <><Square fill="currentColor" size={18} /> End Session</> : <><Play fill="currentColor" size={20} /> Start Tracking</>}
                         </button>
                       </div>
                     </div>
 
+                    {/* Per-device gauges; picking one moves it into the main gauge */}
+                    {devices.length > 1 && (
+                      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                        {devices.map(device => {
+                          const reading = readings[device.id];
+                          const connected = Boolean(connectionOf(device.id).connected);
+                          return (
+                            <SensorTile
+                              key={device.id}
+                              device={device}
+                              angle={connected && reading ? reading.angle : 0}
+                              status={connected && reading ? getPostureStatus(reading.pitch, reading.roll) : null}
+                              connected={connected}
+                              focused={device.id === focusedDevice.id}
+                              onClick={() => setFocusedDeviceId(device.id)}
+                              colors={colors}
+                            />
+                          );
+                        })}
+                      </div>
+                    )}
+
                     {/* Live Graph - Wide */}
                     <div className="p-6 rounded-3xl border h-64 md:h-80 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
                       <div className="flex items-center justify-between mb-6">
                         <h3 className="font-semibold flex items-center gap-2" style={{ color: colors.mutedText }}>
                           <Activity size={18} /> Live Posture
                         </h3>
+                        <div className="flex items-center gap-4 text-xs font-medium tabular-nums" style={{ color: colors.mutedText }}>
+                          <span className="flex items-center gap-1.5">
+                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: colors.exerciseGreen }} />
+                            Pitch {currentAxes.pitch.toFixed(0)}°
+                          </span>
+                          <span className="flex items-center gap-1.5">
+                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: colors.standBlue }} />
+                            Roll {currentAxes.roll.toFixed(0)}°
+                          </span>
+                        </div>
                         <AnimatePresence>
                           {isActive && <motion.span
                             key="live"
@@ -474,22 +1261,37 @@ export default function App() {
                       </div>
                       <div className="h-full w-full pb-6">
                         <ResponsiveContainer width="100%" height="100%">
-                          <AreaChart data={liveData}>
+                          <AreaChart data={withGapBreaks(liveData[focusedDevice.id])}>
                             <defs>
                               {/* Using COLORS.exerciseGreen for the graph fill */}
                               <linearGradient id="grad" x1="0" y1="0" x2="0" y2="1">
                                 <stop offset="0%" stopColor={colors.exerciseGreen} stopOpacity={0.4} />
                                 <stop offset="100%" stopColor={colors.exerciseGreen} stopOpacity={0} />
                               </linearGradient>
+                              <linearGradient id="gradRoll" x1="0" y1="0" x2="0" y2="1">
+                                <stop offset="0%" stopColor={colors.standBlue} stopOpacity={0.3} />
+                                <stop offset="100%" stopColor={colors.standBlue} stopOpacity={0} />
+                              </linearGradient>
                             </defs>
+                            {/* Pitch = forward slouch, Roll = sideways lean */}
                             <Area
                               type="monotone"
-                              dataKey="angle"
+                              dataKey="pitch"
+                              name="Pitch"
                               stroke={colors.exerciseGreen}
                               fill="url(#grad)"
                               strokeWidth={3}
                               isAnimationActive={false}
                             />
+                            <Area
+                              type="monotone"
+                              dataKey="roll"
+                              name="Roll"
+                              stroke={colors.standBlue}
+                              fill="url(#gradRoll)"
+                              strokeWidth={2}
+                              isAnimationActive={false}
+                            />
                             <YAxis hide domain={[-45, 45]} />
                           </AreaChart>
                         </ResponsiveContainer>
@@ -504,7 +1306,9 @@ export default function App() {
                       value={`${streak}s`}
                       icon={<Zap size={24} />}
                       color={colors.warningYellow}
-                      trend="+12%"
+                      trend={streakPercent === null ? null
+                        : streakPercent >= 100 ? `+${streakPercent - 100}% over your usual best` : `${streakPercent}% of your usual best`}
+                      trendUp={streakPercent >= 100}
                       colors={colors}
                       large
                     />
@@ -525,6 +1329,40 @@ export default function App() {
                       large
                     />
 
+                    {/* Daily Goal */}
+                    <div className="border p-6 rounded-3xl space-y-4 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+                      <div className="flex items-center justify-between">
+                        <h4 className="text-xs uppercase tracking-wider font-bold flex items-center gap-2" style={{ color: colors.mutedText }}>
+                          <Target size={16} /> Daily Goal
+                        </h4>
+                        {todayGoalMet && <CheckCircle2 size={18} style={{ color: colors.exerciseGreen }} />}
+                      </div>
+                      <GoalBar
+                        label="Tracked"
+                        value={`${Math.floor(todaySummary.minutes)} / ${settings.targetDurationMins} min`}
+                        progress={todayProgress.minutes}
+                        color={colors.standBlue}
+                        colors={colors}
+                      />
+                      <GoalBar
+                        label="Score"
+                        value={`${todaySummary.score === null ? '--' : todaySummary.score} / ${settings.targetScore}`}
+                        progress={todayProgress.score}
+                        color={colors.exerciseGreen}
+                        colors={colors}
+                      />
+                    </div>
+
+                    {/* Sitting time, stillness and breaks */}
+                    <MovementCard
+                      isActive={isActive}
+                      status={breakTracker.status(Date.now())}
+                      intervalMins={settings.breakReminders ? settings.breakIntervalMins : null}
+                      onStartBreak={startBreak}
+                      onEndBreak={endBreak}
+                      colors={colors}
+                    />
+
                     <div className="border p-6 rounded-3xl mt-auto transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
                       <h4 className="text-sm font-medium mb-2" style={{ color: colors.mutedText }}>Pro Tip</h4>
                       <p className="text-sm leading-relaxed" style={{ color: colors.lightText }}>
@@ -549,6 +1387,12 @@ export default function App() {
                       <h2 className="text-3xl font-bold">{getMonthName(currentDate)}</h2>
                       <p style={{ color: colors.mutedText }}>Your posture consistency over time</p>
                     </div>
+                    <div
+                      className="hidden sm:flex items-center gap-2 px-4 py-2 rounded-full text-sm font-bold ml-auto mr-4"
+                      style={{ backgroundColor: `${colors.warningYellow}20`, color: colors.warningYellow }}
+                    >
+                      <Award size={16} /> {goalStreak}-day goal streak
+                    </div>
                     <div className="flex gap-2">
                       <button
                         onClick={() => setCurrentDate(new Date(currentDate.setMonth(currentDate.getMonth() - 1)))}
@@ -580,15 +1424,23 @@ export default function App() {
                     <div className="grid grid-cols-7 gap-2 md:gap-4">
                       {getCalendarDays().map((day, i) => {
                         if (!day) return <div key={`empty-${i}`} className="aspect-square" />;
+                        if (day.score === null) {
+                          return (
+                            <div key={i} className="aspect-square rounded-xl md:rounded-2xl relative border" style={{ borderColor: colors.borderColor }}>
+                              <div className="absolute top-2 left-3 text-xs md:text-sm font-medium opacity-30">{day.dayNum}</div>
+                            </div>
+                          );
+                        }
 
                         return (
                           <motion.div
                             key={i}
+                            onClick={() => setSelectedDay(day.date)}
                             whileHover={{ scale: 1.05, y: -2 }}
                             className="aspect-square rounded-xl md:rounded-2xl relative group cursor-pointer border transition-colors"
                             style={{
-                              backgroundColor: `${getScoreColor(day.score)}15`, // 15% opacity background
-                              borderColor: colors.borderColor
+                              backgroundColor: `${scoreColor(day.score, colors)}15`, // 15% opacity background
+                              borderColor: selectedDay === day.date ? colors.accentPink : colors.borderColor
                             }}
                           >
                             <div className="absolute top-2 left-3 text-xs md:text-sm font-medium opacity-50">{day.dayNum}</div>
@@ -598,12 +1450,12 @@ export default function App() {
                               <div
                                 className="w-8 h-8 md:w-12 md:h-12 rounded-full flex items-center justify-center text-xs md:text-sm font-bold shadow-lg"
                                 style={{
-                                  background: `conic-gradient(${getScoreColor(day.score)} ${day.score}%, transparent ${day.score}%)`,
-                                  boxShadow: `0 0 20px ${getScoreColor(day.score)}30`
+                                  background: `conic-gradient(${scoreColor(day.score, colors)} ${day.score}%, transparent ${day.score}%)`,
+                                  boxShadow: `0 0 20px ${scoreColor(day.score, colors)}30`
                                 }}
                               >
                                 <div className="w-[85%] h-[85%] rounded-full flex items-center justify-center" style={{ backgroundColor: colors.cardBg }}>
-                                  <span style={{ color: getScoreColor(day.score) }}>{day.score}</span>
+                                  <span style={{ color: scoreColor(day.score, colors) }}>{day.score}</span>
                                 </div>
                               </div>
                             </div>
@@ -611,7 +1463,7 @@ export default function App() {
                             {/* Tooltip */}
                             <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 bg-gray-800/90 backdrop-blur text-white text-xs py-2 px-3 rounded-lg opacity-0 group-hover:opacity-100 whitespace-nowrap z-20 pointer-events-none shadow-xl transition-opacity">
                               <p className="font-bold">{day.status}</p>
-                              <p className="opacity-80">{day.duration} mins tracked</p>
+                              <p className="opacity-80">{day.duration} mins tracked · {day.sessions} {day.sessions === 1 ? 'session' : 'sessions'}</p>
                             </div>
                           </motion.div>
                         );
@@ -619,6 +1471,20 @@ export default function App() {
                     </div>
                   </div>
 
+                  {/* Day Detail */}
+                  <AnimatePresence>
+                    {selectedDay && (
+                      <DayDetail
+                        key={selectedDay}
+                        dayKey={selectedDay}
+                        version={historyVersion}
+                        colors={colors}
+                        onClose={() => setSelectedDay(null)}
+                        onExport={exportSessionAs}
+                      />
+                    )}
+                  </AnimatePresence>
+
                   {/* Stats Row */}
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     <div className="p-6 rounded-3xl border transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
@@ -627,10 +1493,11 @@ export default function App() {
                       </h3>
                       <div className="h-40">
                         <ResponsiveContainer width="100%" height="100%">
-                          <BarChart data={historyData.slice(0, 7)}>
+                          <BarChart data={lastWeekTrend}>
+                            <XAxis dataKey="weekday" tickFormatter={(day) => WEEKDAYS[day]} stroke={colors.mutedText} fontSize={11} tickLine={false} axisLine={false} />
                             <Bar dataKey="score" radius={[4, 4, 0, 0]}>
-                              {historyData.slice(0, 7).map((entry, index) => (
-                                <Cell key={`cell-${index}`} fill={getScoreColor(entry.score)} />
+                              {lastWeekTrend.map((entry, index) => (
+                                <Cell key={`cell-${index}`} fill={scoreColor(entry.score, colors)} />
                               ))}
                             </Bar>
                             <Tooltip cursor={{ fill: 'transparent' }} contentStyle={{ backgroundColor: '#333', borderRadius: '8px', border: 'none' }} />
@@ -641,16 +1508,84 @@ export default function App() {
                     <div className="grid grid-cols-2 gap-4">
                       <div className="p-6 rounded-3xl border flex flex-col justify-center transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
                         <span className="text-sm" style={{ color: colors.mutedText }}>Monthly Average</span>
-                        <span className="text-3xl font-bold mt-1" style={{ color: colors.lightText }}>84%</span>
-                        <span className="text-xs text-green-400 mt-2">+2% from last month</span>
+                        <span className="text-3xl font-bold mt-1" style={{ color: colors.lightText }}>{monthSummary.average === null ? '--' : `${monthSummary.average}%`}</span>
+                        <span className="text-xs mt-2" style={{ color: colors.mutedText }}>{monthSummary.trackedDays} days tracked</span>
                       </div>
                       <div className="p-6 rounded-3xl border flex flex-col justify-center transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
                         <span className="text-sm" style={{ color: colors.mutedText }}>Total Hours</span>
-                        <span className="text-3xl font-bold mt-1" style={{ color: colors.lightText }}>42h</span>
+                        <span className="text-3xl font-bold mt-1" style={{ color: colors.lightText }}>{monthSummary.hours}h</span>
                         <span className="text-xs mt-2" style={{ color: colors.mutedText }}>Active Tracking</span>
                       </div>
                     </div>
                   </div>
+
+                  <TrendAnalytics
+                    sessions={recentSessions}
+                    sampledSessions={trendSessions}
+                    thresholds={thresholds}
+                    colors={colors}
+                    onSelectDay={setSelectedDay}
+                  />
+
+                  {/* Export & Import */}
+                  <div className="p-6 rounded-3xl border space-y-4 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+                    <h3 className="font-semibold flex items-center gap-2" style={{ color: colors.mutedText }}>
+                      <Download size={18} /> Export & Import
+                    </h3>
+                    <div className="flex flex-wrap items-end gap-3">
+                      <label className="text-xs uppercase font-bold tracking-wider" style={{ color: colors.mutedText }}>
+                        From
+                        <input
+                          type="date"
+                          value={exportRange.from}
+                          max={exportRange.to}
+                          onChange={(e) => setExportRange(r => ({ ...r, from: e.target.value }))}
+                          className="block mt-1 border rounded-xl px-3 py-2 outline-none font-mono normal-case"
+                          style={{ backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText }}
+                        />
+                      </label>
+                      <label className="text-xs uppercase font-bold tracking-wider" style={{ color: colors.mutedText }}>
+                        To
+                        <input
+                          type="date"
+                          value={exportRange.to}
+                          min={exportRange.from}
+                          onChange={(e) => setExportRange(r => ({ ...r, to: e.target.value }))}
+                          className="block mt-1 border rounded-xl px-3 py-2 outline-none font-mono normal-case"
+                          style={{ backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText }}
+                        />
+                      </label>
+                      <button
+                        onClick={() => exportRangeAs('csv')}
+                        className="px-4 py-2 rounded-xl font-bold text-sm border hover:opacity-80 transition-opacity"
+                        style={{ borderColor: colors.borderColor, color: colors.lightText }}
+                      >
+                        CSV
+                      </button>
+                      <button
+                        onClick={() => exportRangeAs('json')}
+                        className="px-4 py-2 rounded-xl font-bold text-sm border hover:opacity-80 transition-opacity"
+                        style={{ borderColor: colors.borderColor, color: colors.lightText }}
+                      >
+                        JSON
+                      </button>
+                      <label
+                        className="ml-auto px-4 py-2 rounded-xl font-bold text-sm flex items-center gap-2 cursor-pointer hover:brightness-90 transition-all"
+                        style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+                      >
+                        <Upload size={16} /> Import JSON
+                        <input
+                          type="file"
+                          accept="application/json,.json"
+                          className="hidden"
+                          onChange={(e) => {
+                            if (e.target.files[0]) importHistoryFile(e.target.files[0]);
+                            e.target.value = '';
+                          }}
+                        />
+                      </label>
+                    </div>
+                  </div>
                 </motion.div>
               )}
 
@@ -668,32 +1603,97 @@ export default function App() {
                     <p style={{ color: colors.mutedText }}>Customize your posture preferences</p>
                   </div>
 
+                  <ProfileSettings
+                    profile={profile}
+                    profileCount={profiles.length}
+                    sessionActive={isActive}
+                    onUpdate={onUpdateProfile}
+                    onDelete={onDeleteProfile}
+                    colors={colors}
+                  />
+
                   {/* Connection Settings */}
                   <div className="p-8 rounded-[2rem] border space-y-6 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
                     <h3 className="text-lg font-semibold text-white flex items-center gap-2">
-                      <Wifi size={20} className="text-blue-500" /> Device Connection
+                      <Wifi size={20} className="text-blue-500" /> Devices
                     </h3>
-                    <div>
-                      <label className="text-xs uppercase font-bold tracking-wider ml-1" style={{ color: colors.mutedText }}>ESP32 IP Address</label>
-                      <div className="flex gap-3 mt-2">
-                        <input
-                          type="text"
-                          value={espIP}
-                          onChange={(e) => setEspIP(e.target.value)}
-                          className="flex-1 border rounded-xl px-5 py-4 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none transition-all font-mono"
-                          style={{
-                            backgroundColor: colors.inputBg,
-                            borderColor: colors.borderColor,
-                            color: colors.lightText
-                          }}
-                          placeholder="192.168.0.159"
+                    <div className="space-y-4">
+                      {devices.map((device, index) => (
+                        <DeviceCard
+                          key={device.id}
+                          index={index}
+                          device={device}
+                          connection={connectionOf(device.id)}
+                          health={linkHealth[device.id]}
+                          onChange={(patch) => updateDevice(device.id, patch)}
+                          onConnect={() => connectDevice(device)}
+                          onDisconnect={() => disconnectDevice(device)}
+                          onPaired={(token) => completePairing(device, token)}
+                          onUnpair={() => unpair(device)}
+                          onRemove={devices.length > 1 ? () => removeDevice(device) : null}
+                          colors={colors}
+                        />
+                      ))}
+                      <button
+                        onClick={addDevice}
+                        className="w-full py-3 rounded-xl border border-dashed flex items-center justify-center gap-2 text-sm font-bold hover:bg-white/5 transition-colors"
+                        style={{ borderColor: colors.borderColor, color: colors.mutedText }}
+                      >
+                        <Plus size={16} /> Add Device
+                      </button>
+                    </div>
+                    <div className="pt-6 border-t" style={{ borderColor: colors.borderColor }}>
+                      <DeviceScanner devices={devices} colors={colors} onConnect={connectDiscovered} />
+                    </div>
+                    <ToggleRow
+                      label="Live Stream"
+                      description="Push readings over WebSocket, fall back to polling"
+                      checked={settings.useWebSocket}
+                      onChange={(v) => setSettings(s => ({ ...s, useWebSocket: v }))}
+                      colors={colors}
+                    />
+                    <div className="pt-6 border-t space-y-4" style={{ borderColor: colors.borderColor }}>
+                      {devices.length > 1 && (
+                        <div className="flex flex-wrap gap-2">
+                          {devices.map(device => (
+                            <button
+                              key={device.id}
+                              onClick={() => setFocusedDeviceId(device.id)}
+                              className={`px-3 py-1.5 rounded-lg border text-xs font-bold transition-all ${device.id === focusedDevice.id ? 'bg-white/10' : 'border-white/10 hover:bg-white/5'}`}
+                              style={device.id === focusedDevice.id ? { borderColor: colors.accentPink } : { color: colors.mutedText }}
+                            >
+                              {device.name}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      <CalibrationWizard
+                        key={focusedDevice.id}
+                        host={focusedDevice.host}
+                        port={focusedDevice.port}
+                        token={focusedDevice.token}
+                        axes={currentAxes}
+                        isConnected={Boolean(connectionOf(focusedDevice.id).connected)}
+                        colors={colors}
+                        onComplete={(status, readings) => {
+                          const runtime = runtimesRef.current.get(focusedDevice.id);
+                          if (runtime) runtime.pipeline.reset();
+                          // A new zero point: adaptive learning starts over from here
+                          if (!settings.adaptiveLocked) {
+                            setSettings(s => ({ ...s, adaptiveProfile: learnFromCalibration(readings, thresholds, Date.now()) }));
+                          }
+                          showNotification('success', `${focusedDevice.name} Calibrated`);
+                        }}
+                      />
+                      <div className="pt-6 border-t" style={{ borderColor: colors.borderColor }}>
+                        <WifiProvisioning
+                          key={focusedDevice.id}
+                          host={focusedDevice.host}
+                          port={focusedDevice.port}
+                          token={focusedDevice.token}
+                          isConnected={Boolean(connectionOf(focusedDevice.id).connected)}
+                          colors={colors}
                         />
-                        <button
-                          onClick={connectToESP}
-                          className="bg-blue-600 px-8 rounded-xl font-bold hover:bg-blue-500 transition-colors shadow-lg shadow-blue-900/20"
-                        >
-                          Connect
-                        </button>
                       </div>
                     </div>
                   </div>
@@ -728,55 +1728,476 @@ export default function App() {
                       <Target size={20} style={{ color: colors.accentPink }} /> Posture Zones
                     </h3>
 
-                    <ThresholdSlider
-                      label="Excellent Zone (Strict)"
-                      description="Green Zone - Perfect posture range"
-                      value={settings.excellentThreshold}
-                      color={colors.exerciseGreen}
-                      max={15}
-                      onChange={(v) => setSettings(s => ({ ...s, excellentThreshold: v }))}
+                    <ToggleRow
+                      label="Adaptive Zones"
+                      description="Learn your zones from calibration and your best sessions"
+                      checked={settings.adaptiveThresholds}
+                      onChange={(v) => setSettings(s => ({ ...s, adaptiveThresholds: v }))}
+                      colors={colors}
+                    />
+                    {settings.adaptiveThresholds ? (
+                      <AdaptiveZones
+                        profile={settings.adaptiveProfile}
+                        locked={settings.adaptiveLocked}
+                        onLock={(v) => setSettings(s => ({ ...s, adaptiveLocked: v }))}
+                        onReset={resetAdaptiveZones}
+                        colors={colors}
+                      />
+                    ) : (
+                      <>
+                        <ThresholdSlider
+                          label="Excellent Zone (Strict)"
+                          description="Green Zone - Perfect posture range"
+                          value={settings.excellentThreshold}
+                          color={colors.exerciseGreen}
+                          max={15}
+                          onChange={(v) => setSettings(s => setThreshold(s, 'excellentThreshold', v))}
+                          colors={colors}
+                        />
+                        <ThresholdSlider
+                          label="Good Zone"
+                          description="Blue Zone - Acceptable range"
+                          value={settings.goodThreshold}
+                          color={colors.standBlue}
+                          max={30}
+                          onChange={(v) => setSettings(s => setThreshold(s, 'goodThreshold', v))}
+                          colors={colors}
+                        />
+                        <ThresholdSlider
+                          label="Fair Zone (Warning)"
+                          description="Yellow Zone - Getting slouchy"
+                          value={settings.fairThreshold}
+                          color={colors.warningYellow}
+                          max={45}
+                          onChange={(v) => setSettings(s => setThreshold(s, 'fairThreshold', v))}
+                          colors={colors}
+                        />
+                      </>
+                    )}
+
+                    <div className="pt-6 border-t space-y-8" style={{ borderColor: colors.borderColor }}>
+                      <ThresholdSlider
+                        label="Daily Goal: Time"
+                        description="Minutes of tracking per day"
+                        value={settings.targetDurationMins}
+                        color={colors.accentBlue}
+                        min={5}
+                        max={240}
+                        unit=" min"
+                        onChange={(v) => setSettings(s => ({ ...s, targetDurationMins: v }))}
+                        colors={colors}
+                      />
+                      <ThresholdSlider
+                        label="Daily Goal: Score"
+                        description="Day score needed to keep your streak"
+                        value={settings.targetScore}
+                        color={colors.accentPink}
+                        min={20}
+                        max={100}
+                        unit=""
+                        onChange={(v) => setSettings(s => ({ ...s, targetScore: v }))}
+                        colors={colors}
+                      />
+                    </div>
+
+                    <div className="pt-6 border-t" style={{ borderColor: colors.borderColor }}>
+                      <span className="text-sm font-bold block" style={{ color: colors.lightText }}>Smoothing Filter</span>
+                      <span className="text-xs mt-0.5 block mb-3" style={{ color: colors.mutedText }}>Median rejects sudden spikes; time constant ignores the update rate</span>
+                      <div className="grid grid-cols-3 gap-3">
+                        {[['ema', 'Average'], ['median', 'Median'], ['timeConstant', 'Time Constant']].map(([type, label]) => (
+                          <button
+                            key={type}
+                            onClick={() => setSettings(s => ({ ...s, filterType: type }))}
+                            className={`py-2.5 rounded-xl border text-sm font-medium transition-all ${settings.filterType === type ? 'bg-white/10' : 'border-white/10 hover:bg-white/5'}`}
+                            style={settings.filterType === type ? { borderColor: colors.accentPink } : {}}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    {settings.filterType === 'median' && (
+                      <ThresholdSlider
+                        label="Median Window"
+                        description="Readings compared for each value"
+                        value={settings.medianWindow}
+                        color={colors.accentBlue}
+                        min={3}
+                        max={15}
+                        unit=""
+                        onChange={(v) => setSettings(s => ({ ...s, medianWindow: v }))}
+                        colors={colors}
+                      />
+                    )}
+
+                    {settings.filterType === 'timeConstant' && (
+                      <ThresholdSlider
+                        label="Response Time"
+                        description="Time to follow about two thirds of a change"
+                        value={settings.filterTauMs}
+                        color={colors.accentBlue}
+                        min={100}
+                        max={3000}
+                        unit=" ms"
+                        onChange={(v) => setSettings(s => ({ ...s, filterTauMs: v }))}
+                        colors={colors}
+                      />
+                    )}
+
+                    {settings.filterType === 'ema' && (
+                      <div>
+                        <div className="flex justify-between items-center mb-4">
+                          <div>
+                            <span className="text-base font-medium block" style={{ color: colors.lightText }}>Sensitivity</span>
+                            <span className="text-xs mt-0.5" style={{ color: colors.mutedText }}>Adjust how quickly the angle updates</span>
+                          </div>
+                          <span className="text-xs px-2 py-1 rounded" style={{ backgroundColor: colors.inputBg, color: colors.lightText }}>{settings.smoothingAlpha}</span>
+                        </div>
+                        <input
+                          type="range"
+                          min="0.01"
+                          max="0.5"
+                          step="0.01"
+                          value={settings.smoothingAlpha}
+                          onChange={(e) => setSettings(s => ({ ...s, smoothingAlpha: parseFloat(e.target.value) }))}
+                          className="w-full h-2 bg-gray-800 rounded-lg appearance-none cursor-pointer accent-white"
+                        />
+                        <div className="flex justify-between text-[10px] text-gray-500 mt-2 font-medium uppercase tracking-wider">
+                          <span>Very Smooth</span>
+                          <span>Responsive</span>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Haptic Feedback */}
+                  <div className="p-8 rounded-[2rem] border space-y-8 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+                    <div className="flex items-center justify-between">
+                      <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: colors.lightText }}>
+                        <Vibrate size={20} style={{ color: colors.accentBlue }} /> Haptic Feedback
+                      </h3>
+                      <span className="text-xs font-medium" style={{ color: hapticSyncState === 'error' ? colors.moveRed : colors.mutedText }}>
+                        {!isConnected ? 'Device offline' : {
+                          idle: 'Not synced',
+                          syncing: 'Syncing…',
+                          synced: 'Synced with device',
+                          error: 'Sync failed'
+                        }[hapticSyncState]}
+                      </span>
+                    </div>
+
+                    <ToggleRow
+                      label="Match Fair Zone"
+                      description={`Buzz when you pass the Fair zone limit (${thresholds.fair}°)`}
+                      checked={settings.hapticSync}
+                      onChange={(v) => setSettings(s => ({ ...s, hapticSync: v }))}
                       colors={colors}
                     />
+                    {!settings.hapticSync && (
+                      <ThresholdSlider
+                        label="Buzz Threshold"
+                        description="Angle on either axis that triggers the motor"
+                        value={settings.hapticThreshold}
+                        color={colors.accentBlue}
+                        max={60}
+                        onChange={(v) => setSettings(s => ({ ...s, hapticThreshold: v }))}
+                        colors={colors}
+                      />
+                    )}
                     <ThresholdSlider
-                      label="Good Zone"
-                      description="Blue Zone - Acceptable range"
-                      value={settings.goodThreshold}
-                      color={colors.standBlue}
+                      label="Delay"
+                      description="Time in bad posture before buzzing"
+                      value={settings.hapticDelaySecs}
+                      color={colors.accentBlue}
+                      min={0}
                       max={30}
-                      onChange={(v) => setSettings(s => ({ ...s, goodThreshold: v }))}
+                      unit="s"
+                      onChange={(v) => setSettings(s => ({ ...s, hapticDelaySecs: v }))}
+                      colors={colors}
+                    />
+
+                    <div>
+                      <span className="text-sm font-bold block mb-3" style={{ color: colors.lightText }}>Pattern</span>
+                      <div className="grid grid-cols-3 gap-3">
+                        {BUZZ_PATTERNS.map(pattern => (
+                          <button
+                            key={pattern}
+                            onClick={() => setSettings(s => ({ ...s, hapticPattern: pattern }))}
+                            className={`py-2.5 rounded-xl border text-sm font-medium capitalize transition-all ${settings.hapticPattern === pattern ? 'bg-white/10' : 'border-white/10 hover:bg-white/5'}`}
+                            style={settings.hapticPattern === pattern ? { borderColor: colors.accentPink } : {}}
+                          >
+                            {pattern}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    <ToggleRow
+                      label="Quiet Mode"
+                      description="Keep tracking but never buzz"
+                      checked={settings.hapticQuiet}
+                      onChange={(v) => setSettings(s => ({ ...s, hapticQuiet: v }))}
+                      colors={colors}
+                    />
+
+                    <button
+                      onClick={buzzDevices}
+                      disabled={!isConnected}
+                      className="w-full py-3 rounded-xl font-bold flex items-center justify-center gap-2 transition-all hover:brightness-90 disabled:opacity-40"
+                      style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+                    >
+                      <Vibrate size={18} /> Buzz Now
+                    </button>
+                  </div>
+
+                  {/* Alerts */}
+                  <div className="p-8 rounded-[2rem] border space-y-8 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+                    <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: colors.lightText }}>
+                      <Bell size={20} style={{ color: colors.warningYellow }} /> Alerts
+                    </h3>
+
+                    <ToggleRow
+                      label="Posture Alerts"
+                      description="Warn me when I stay in bad posture, more insistently the longer it lasts"
+                      checked={settings.postureAlerts}
+                      onChange={(v) => setSettings(s => ({ ...s, postureAlerts: v }))}
                       colors={colors}
                     />
+
+                    <div>
+                      <span className="text-sm font-bold block mb-3" style={{ color: colors.lightText }}>Alert On</span>
+                      <div className="grid grid-cols-2 gap-3">
+                        {[['Fair', 'Fair or Poor'], ['Poor', 'Poor only']].map(([zone, label]) => (
+                          <button
+                            key={zone}
+                            onClick={() => setSettings(s => ({ ...s, alertZone: zone }))}
+                            className={`py-2.5 rounded-xl border text-sm font-medium transition-all ${settings.alertZone === zone ? 'bg-white/10' : 'border-white/10 hover:bg-white/5'}`}
+                            style={settings.alertZone === zone ? { borderColor: colors.warningYellow } : {}}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
                     <ThresholdSlider
-                      label="Fair Zone (Warning)"
-                      description="Yellow Zone - Getting slouchy"
-                      value={settings.fairThreshold}
+                      label="Alert Delay"
+                      description="Time in bad posture before the first warning"
+                      value={settings.postureAlertDelaySecs}
                       color={colors.warningYellow}
-                      max={45}
-                      onChange={(v) => setSettings(s => ({ ...s, fairThreshold: v }))}
+                      min={5}
+                      max={120}
+                      unit="s"
+                      onChange={(v) => setSettings(s => ({ ...s, postureAlertDelaySecs: v }))}
+                      colors={colors}
+                    />
+                    <ThresholdSlider
+                      label="Escalate Every"
+                      description="Toast, then sound, then system notification, then a buzz on the sensor"
+                      value={settings.alertEscalateSecs}
+                      color={colors.moveRed}
+                      min={10}
+                      max={300}
+                      unit="s"
+                      onChange={(v) => setSettings(s => ({ ...s, alertEscalateSecs: v }))}
+                      colors={colors}
+                    />
+                    <ThresholdSlider
+                      label="Cooldown"
+                      description="Quiet time for a sensor after you sit up"
+                      value={settings.alertCooldownSecs}
+                      color={colors.standBlue}
+                      min={0}
+                      max={600}
+                      unit="s"
+                      onChange={(v) => setSettings(s => ({ ...s, alertCooldownSecs: v }))}
                       colors={colors}
                     />
 
-                    <div className="pt-6 border-t" style={{ borderColor: colors.borderColor }}>
-                      <div className="flex justify-between items-center mb-4">
-                        <div>
-                          <span className="text-base font-medium block" style={{ color: colors.lightText }}>Sensitivity</span>
-                          <span className="text-xs mt-0.5" style={{ color: colors.mutedText }}>Adjust how quickly the angle updates</span>
-                        </div>
-                        <span className="text-xs px-2 py-1 rounded" style={{ backgroundColor: colors.inputBg, color: colors.lightText }}>{settings.smoothingAlpha}</span>
-                      </div>
-                      <input
-                        type="range"
-                        min="0.01"
-                        max="0.5"
-                        step="0.01"
-                        value={settings.smoothingAlpha}
-                        onChange={(e) => setSettings(s => ({ ...s, smoothingAlpha: parseFloat(e.target.value) }))}
-                        className="w-full h-2 bg-gray-800 rounded-lg appearance-none cursor-pointer accent-white"
-                      />
-                      <div className="flex justify-between text-[10px] text-gray-500 mt-2 font-medium uppercase tracking-wider">
-                        <span>Very Smooth</span>
-                        <span>Responsive</span>
+                    <ToggleRow
+                      label="Sound"
+                      description="Beep when an alert escalates past the toast"
+                      checked={settings.alertSound}
+                      onChange={(v) => setSettings(s => ({ ...s, alertSound: v }))}
+                      colors={colors}
+                    />
+                    <ToggleRow
+                      label="Background Notifications"
+                      description={!notificationsSupported()
+                        ? 'Not supported by this browser'
+                        : notificationPermission() === 'denied'
+                          ? 'Blocked: allow notifications for this site in the browser'
+                          : 'Show alerts as system notifications while SpineUp is in the background'}
+                      checked={settings.systemNotifications && notificationPermission() === 'granted'}
+                      onChange={setSystemNotifications}
+                      colors={colors}
+                    />
+                    <ToggleRow
+                      label="Buzz the Sensor"
+                      description="Last step: the sensor that caught the slouch vibrates"
+                      checked={settings.alertBuzz}
+                      onChange={(v) => setSettings(s => ({ ...s, alertBuzz: v }))}
+                      colors={colors}
+                    />
+
+                    <ToggleRow
+                      label="Quiet Hours"
+                      description="No alerts during these hours"
+                      checked={settings.quietHoursEnabled}
+                      onChange={(v) => setSettings(s => ({ ...s, quietHoursEnabled: v }))}
+                      colors={colors}
+                    />
+                    {settings.quietHoursEnabled && (
+                      <div className="flex flex-wrap gap-3">
+                        {[['quietHoursStart', 'From'], ['quietHoursEnd', 'Until']].map(([key, label]) => (
+                          <label key={key} className="text-xs uppercase font-bold tracking-wider" style={{ color: colors.mutedText }}>
+                            {label}
+                            <input
+                              type="time"
+                              value={settings[key]}
+                              onChange={(e) => e.target.value && setSettings(s => ({ ...s, [key]: e.target.value }))}
+                              aria-label={`Quiet hours ${label.toLowerCase()}`}
+                              className="block mt-1 border rounded-xl px-3 py-2 outline-none font-mono normal-case"
+                              style={{ backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText }}
+                            />
+                          </label>
+                        ))}
                       </div>
+                    )}
+                  </div>
+
+                  {/* Breaks */}
+                  <div className="p-8 rounded-[2rem] border space-y-8 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+                    <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: colors.lightText }}>
+                      <Coffee size={20} style={{ color: colors.standBlue }} /> Breaks
+                    </h3>
+
+                    <ToggleRow
+                      label="Break Reminders"
+                      description="Remind me to stand up after sitting for a while, even with good posture"
+                      checked={settings.breakReminders}
+                      onChange={(v) => setSettings(s => ({ ...s, breakReminders: v }))}
+                      colors={colors}
+                    />
+                    <ThresholdSlider
+                      label="Break Every"
+                      description="Sitting time before a reminder"
+                      value={settings.breakIntervalMins}
+                      color={colors.standBlue}
+                      min={15}
+                      max={120}
+                      unit=" min"
+                      onChange={(v) => setSettings(s => ({ ...s, breakIntervalMins: v }))}
+                      colors={colors}
+                    />
+                    <ToggleRow
+                      label="Stillness Reminders"
+                      description="Remind me to stretch when I've hardly moved"
+                      checked={settings.stillnessReminders}
+                      onChange={(v) => setSettings(s => ({ ...s, stillnessReminders: v }))}
+                      colors={colors}
+                    />
+                    <ThresholdSlider
+                      label="Stillness Limit"
+                      description="Time without moving before a reminder"
+                      value={settings.stillnessMins}
+                      color={colors.accentPink}
+                      min={5}
+                      max={60}
+                      unit=" min"
+                      onChange={(v) => setSettings(s => ({ ...s, stillnessMins: v }))}
+                      colors={colors}
+                    />
+                  </div>
+
+                  {/* Automatic start and stop */}
+                  <div className="p-8 rounded-[2rem] border space-y-8 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+                    <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: colors.lightText }}>
+                      <Timer size={20} style={{ color: colors.exerciseGreen }} /> Auto Start & Stop
+                    </h3>
+
+                    <ToggleRow
+                      label="Auto Start"
+                      description="Start a session when I sit down wearing the sensor after being away"
+                      checked={settings.autoStart}
+                      onChange={(v) => setSettings(s => ({ ...s, autoStart: v }))}
+                      colors={colors}
+                    />
+                    <ThresholdSlider
+                      label="Away For"
+                      description="Time away before sitting down starts a new session"
+                      value={settings.autoStartAbsenceMins}
+                      color={colors.exerciseGreen}
+                      min={1}
+                      max={60}
+                      unit=" min"
+                      onChange={(v) => setSettings(s => ({ ...s, autoStartAbsenceMins: v }))}
+                      colors={colors}
+                    />
+                    <ToggleRow
+                      label="Auto Stop"
+                      description="End the session when the sensor is taken off or goes offline"
+                      checked={settings.autoStop}
+                      onChange={(v) => setSettings(s => ({ ...s, autoStop: v }))}
+                      colors={colors}
+                    />
+                    <ThresholdSlider
+                      label="Idle Timeout"
+                      description="Time the sensor can lie unworn before the session ends"
+                      value={settings.autoStopIdleMins}
+                      color={colors.warningYellow}
+                      min={1}
+                      max={60}
+                      unit=" min"
+                      onChange={(v) => setSettings(s => ({ ...s, autoStopIdleMins: v }))}
+                      colors={colors}
+                    />
+                    <ThresholdSlider
+                      label="Disconnect Timeout"
+                      description="Time without a connected sensor before the session ends"
+                      value={settings.autoStopDisconnectMins}
+                      color={colors.moveRed}
+                      min={1}
+                      max={30}
+                      unit=" min"
+                      onChange={(v) => setSettings(s => ({ ...s, autoStopDisconnectMins: v }))}
+                      colors={colors}
+                    />
+                  </div>
+
+                  {/* Settings file */}
+                  <div className="p-8 rounded-[2rem] border space-y-6 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+                    <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: colors.lightText }}>
+                      <Download size={20} className="text-blue-500" /> Backup
+                    </h3>
+                    <p className="text-xs" style={{ color: colors.mutedText }}>
+                      Save these settings to a file, or load them from one exported on another computer or profile.
+                    </p>
+                    <div className="flex flex-wrap gap-3">
+                      <button
+                        onClick={exportSettingsFile}
+                        className="px-4 py-2 rounded-xl font-bold text-sm border hover:opacity-80 transition-opacity flex items-center gap-2"
+                        style={{ borderColor: colors.borderColor, color: colors.lightText }}
+                      >
+                        <Download size={16} /> Export Settings
+                      </button>
+                      <label
+                        className="px-4 py-2 rounded-xl font-bold text-sm flex items-center gap-2 cursor-pointer hover:brightness-90 transition-all"
+                        style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+                      >
+                        <Upload size={16} /> Import Settings
+                        <input
+                          type="file"
+                          accept="application/json,.json"
+                          aria-label="Import settings file"
+                          className="hidden"
+                          onChange={(e) => {
+                            if (e.target.files[0]) importSettingsFile(e.target.files[0]);
+                            e.target.value = '';
+                          }}
+                        />
+                      </label>
                     </div>
                   </div>
 
@@ -826,6 +2247,18 @@ export default function App() {
 
       </main>
 
+      {/* Session Summary */}
+      <AnimatePresence>
+        {sessionSummary && (
+          <SessionSummary
+            session={sessionSummary}
+            colors={colors}
+            onClose={() => setSessionSummary(null)}
+            onExport={(format) => exportSessionAs(sessionSummary, format)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Notifications Overlay */}
       <AnimatePresence>
         {notification && (
@@ -882,7 +2315,7 @@ const NavIcon = ({ icon, label, active, onClick, colors }) => (
   </button>
 );
 
-const StatBox = ({ label, value, icon, color, trend, large, colors }) => (
+const StatBox = ({ label, value, icon, color, trend, trendUp = true, large, colors }) => (
   <div
     className={`rounded-3xl p-6 flex items-center justify-between border transition-transform hover:scale-[1.02] ${large ? 'py-8' : ''}`}
     style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}
@@ -890,7 +2323,7 @@ const StatBox = ({ label, value, icon, color, trend, large, colors }) => (
     <div className="flex flex-col justify-center">
       <span className="text-xs uppercase tracking-wider font-bold mb-1" style={{ color: colors.mutedText }}>{label}</span>
       <span className="text-3xl font-bold" style={{ color: colors.lightText }}>{value}</span>
-      {trend && <span className="text-xs text-green-400 mt-1 font-medium">{trend} this session</span>}
+      {trend && <span className={`text-xs mt-1 font-medium ${trendUp ? 'text-green-400' : ''}`} style={trendUp ? {} : { color: colors.mutedText }}>{trend}</span>}
     </div>
     <div
       className="w-12 h-12 rounded-full flex items-center justify-center opacity-80"
@@ -905,8 +2338,19 @@ const StatBox = ({ label, value, icon, color, trend, large, colors }) => (
   </div>
 );
 
-const ThresholdSlider = ({ label, description, value, color, max, onChange, colors }) => {
-  const min = 1;
+const GoalBar = ({ label, value, progress, color, colors }) => (
+  <div>
+    <div className="flex justify-between text-sm mb-2">
+      <span style={{ color: colors.mutedText }}>{label}</span>
+      <span className="font-bold tabular-nums" style={{ color: colors.lightText }}>{value}</span>
+    </div>
+    <div className="w-full h-2 rounded-full overflow-hidden" style={{ backgroundColor: colors.inputBg }}>
+      <div className="h-full rounded-full transition-all duration-500" style={{ width: `${progress * 100}%`, backgroundColor: color }} />
+    </div>
+  </div>
+);
+
+const ThresholdSlider = ({ label, description, value, color, min = 1, max, unit = '°', onChange, colors }) => {
   const percentage = ((value - min) / (max - min)) * 100;
 
   return (
@@ -917,7 +2361,7 @@ const ThresholdSlider = ({ label, description, value, color, max, onChange, colo
           <span className="text-xs mt-0.5" style={{ color: colors.mutedText }}>{description}</span>
         </div>
         <span className="px-3 py-1 rounded-lg text-sm font-bold border min-w-[3rem] text-center" style={{ backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText }}>
-          {value}°
+          {value}{unit}
         </span>
       </div>
       <input
@@ -936,45 +2380,481 @@ const ThresholdSlider = ({ label, description, value, color, max, onChange, colo
   );
 };
 
-function AppleRing({ angle, status, size }) {
-  const isLarge = size === 'large';
-  const radius = isLarge ? 140 : 120;
-  const stroke = isLarge ? 28 : 24;
-  const width = radius * 2 + stroke * 2;
+const formatDate = (t) => new Date(t).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+// Learned zone boundaries in adaptive mode, with where they came from
+const AdaptiveZones = ({ profile, locked, onLock, onReset, colors }) => {
+  const learned = profile && (profile.sessions.length > 0 || profile.calibratedAt !== null);
+  const zones = [
+    ['Excellent', 'excellent', colors.exerciseGreen],
+    ['Good', 'good', colors.standBlue],
+    ['Fair', 'fair', colors.warningYellow]
+  ];
+
+  return (
+    <div className="space-y-6">
+      {learned ? (
+        <div className="rounded-2xl p-5 space-y-4" style={{ backgroundColor: colors.inputBg }}>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Baseline</span>
+              <span className="text-2xl font-bold tabular-nums" aria-label="Learned baseline">{profile.baseline.toFixed(1)}°</span>
+            </div>
+            <div>
+              <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Natural Variance</span>
+              <span className="text-2xl font-bold tabular-nums" aria-label="Learned variance">±{profile.spread.toFixed(1)}°</span>
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-3">
+            {zones.map(([label, key, color]) => (
+              <div key={key} className="rounded-xl px-3 py-2 border" style={{ borderColor: `${color}60` }}>
+                <span className="text-xs font-bold block" style={{ color }}>{label}</span>
+                <span className="font-bold tabular-nums" aria-label={`Learned ${label} limit`}>≤ {profile.thresholds[key]}°</span>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs" style={{ color: colors.mutedText }}>
+            {profile.sessions.length
+              ? `Learned from your ${profile.sessions.length === 1 ? 'best session' : `${profile.sessions.length} best sessions`}${profile.calibratedAt ? ` since calibrating on ${formatDate(profile.calibratedAt)}` : ''} · updated ${formatDate(profile.learnedAt)}`
+              : `Calibrated on ${formatDate(profile.calibratedAt)}. Your zones adapt once you record a session.`}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm rounded-2xl p-5" style={{ backgroundColor: colors.inputBg, color: colors.mutedText }}>
+          Still learning: calibrate, or record a session of at least {Math.round(DEFAULT_ADAPTIVE_RULES.minSessionSecs / 60)} minutes. Your manual zones apply until then.
+        </p>
+      )}
+      <ToggleRow
+        label="Lock Learned Zones"
+        description="Stop adapting and keep the current values"
+        checked={locked}
+        onChange={onLock}
+        colors={colors}
+      />
+      <button
+        onClick={onReset}
+        className="w-full py-3 rounded-xl border hover:bg-white/5 transition-colors flex items-center justify-center gap-2 text-sm font-bold"
+        style={{ borderColor: colors.borderColor, color: colors.lightText }}
+      >
+        <RotateCcw size={16} /> Reset to Manual
+      </button>
+    </div>
+  );
+};
+
+// Top corner of the gauge: recording, paused, or what automatic start is waiting for
+const SessionStatus = ({ isActive, pausedSince, autoStarted, autoStart, autoStop, seatedFor, colors }) => {
+  let label = null;
+  let color = colors.mutedText;
+  if (isActive && pausedSince !== null) {
+    label = `Paused since ${new Date(pausedSince).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    color = colors.warningYellow;
+  } else if (isActive) {
+    label = `Recording${autoStarted ? ' · started automatically' : ''}${autoStop ? ' · auto stop on' : ''}`;
+    color = colors.moveRed;
+  } else if (autoStart) {
+    label = seatedFor === null ? 'Auto start: waiting for you to sit down' : `Auto start: seated for ${seatedFor}s`;
+  }
+  if (!label) return null;
+
+  return (
+    <span role="status" aria-label="Session status" className="absolute top-6 right-8 flex items-center gap-2 text-xs uppercase tracking-wider font-bold" style={{ color }}>
+      {isActive && pausedSince === null
+        ? <span className="w-2 h-2 rounded-full animate-pulse" style={{ backgroundColor: color }} />
+        : isActive ? <Pause size={12} fill="currentColor" /> : <Timer size={12} />}
+      {label}
+    </span>
+  );
+};
+
+const describeBreakPrompt = ({ reason, sittingMs, stillMs }) => (reason === 'sitting'
+  ? `You've been sitting for ${Math.round(sittingMs / 60000)} min. Stand up and walk around for a few minutes.`
+  : `You've barely moved for ${Math.round(stillMs / 60000)} min. Time for a stretch.`);
+
+// Break reminder, or the running break with a way back
+const BreakBanner = ({ prompt, onBreakSince, onStart, onSnooze, onEnd, colors }) => {
+  if (onBreakSince !== null) {
+    return (
+      <div role="status" className="flex items-center justify-between gap-4 px-5 py-3 rounded-2xl border" style={{ backgroundColor: `${colors.standBlue}15`, borderColor: `${colors.standBlue}60` }}>
+        <span className="flex items-center gap-2 text-sm font-bold" style={{ color: colors.standBlue }}>
+          <Coffee size={16} /> On a break since {new Date(onBreakSince).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}. Posture isn't scored until you're back.
+        </span>
+        <button
+          onClick={onEnd}
+          className="px-4 py-1.5 rounded-lg text-sm font-bold shrink-0 hover:brightness-90"
+          style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+        >
+          Back to Work
+        </button>
+      </div>
+    );
+  }
+  if (!prompt) return null;
+
+  return (
+    <div role="status" className="flex items-center justify-between gap-4 px-5 py-3 rounded-2xl border" style={{ backgroundColor: `${colors.standBlue}15`, borderColor: `${colors.standBlue}60` }}>
+      <span className="flex items-center gap-2 text-sm font-bold" style={{ color: colors.standBlue }}>
+        <Coffee size={16} className="shrink-0" /> {describeBreakPrompt(prompt)}
+      </span>
+      <div className="flex gap-2 shrink-0">
+        <button
+          onClick={onSnooze}
+          className="px-4 py-1.5 rounded-lg border text-sm font-bold hover:bg-white/5"
+          style={{ borderColor: colors.borderColor, color: colors.lightText }}
+        >
+          Later
+        </button>
+        <button
+          onClick={onStart}
+          className="px-4 py-1.5 rounded-lg text-sm font-bold hover:brightness-90"
+          style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+        >
+          Start Break
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Sitting time towards the next break reminder, whether the user is moving,
+// and break time so far
+const MovementCard = ({ isActive, status, intervalMins, onStartBreak, onEndBreak, colors }) => {
+  const onBreak = status.onBreakSince !== null;
+  const stillMins = Math.floor(status.stillMs / 60000);
 
-  // Adjusted progress calculation to represent 'clearing' the ring more clearly
-  // 0 degrees (perfect) = 100% progress
-  // fairThreshold (25 degrees default) = 0% progress (or worse)
-  // Max angle for 100% fill is excellentThreshold (5 degrees default)
-  const maxAngle = 45; // Max angle to consider for progress calculation
-  const progress = Math.min(100, Math.max(0, 100 - (Math.abs(angle) / maxAngle) * 100));
+  return (
+    <div className="border p-6 rounded-3xl space-y-4 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+      <h4 className="text-xs uppercase tracking-wider font-bold flex items-center gap-2" style={{ color: colors.mutedText }}>
+        <Activity size={16} /> Movement
+      </h4>
+      <GoalBar
+        label="Sitting"
+        value={`${formatTime(Math.floor(status.sittingMs / 1000))}${intervalMins ? ` / ${intervalMins} min` : ''}`}
+        progress={intervalMins ? Math.min(1, status.sittingMs / (intervalMins * 60000)) : 0}
+        color={colors.accentPink}
+        colors={colors}
+      />
+      <div className="flex justify-between text-sm">
+        <span style={{ color: colors.mutedText }}>
+          {!isActive ? 'Not tracking' : onBreak ? 'On a break' : status.moving ? 'Moving' : stillMins ? `Still for ${stillMins} min` : 'Settling in'}
+        </span>
+        <span className="font-bold tabular-nums" style={{ color: colors.lightText }} aria-label="Break time">
+          {formatTime(Math.floor(status.breakMs / 1000))} on breaks
+        </span>
+      </div>
+      {isActive && (
+        <button
+          onClick={onBreak ? onEndBreak : onStartBreak}
+          className="w-full py-2.5 rounded-xl border text-sm font-bold flex items-center justify-center gap-2 hover:bg-white/5"
+          style={{ borderColor: colors.borderColor, color: colors.lightText }}
+        >
+          <Coffee size={16} /> {onBreak ? 'End Break' : 'Take a Break'}
+        </button>
+      )}
+    </div>
+  );
+};
 
-  const circumference = 2 * Math.PI * radius;
+// Open posture alerts with a snooze button, or the time a snooze runs until
+const AlertBanner = ({ alerts, devices, snoozedUntil, onSnooze, onResume, colors }) => {
+  if (snoozedUntil) {
+    return (
+      <div role="status" className="flex items-center justify-between gap-4 px-5 py-3 rounded-2xl border" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+        <span className="flex items-center gap-2 text-sm" style={{ color: colors.mutedText }}>
+          <BellOff size={16} /> Alerts snoozed until {new Date(snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </span>
+        <button onClick={onResume} className="text-sm font-bold hover:opacity-80" style={{ color: colors.lightText }}>
+          Resume Alerts
+        </button>
+      </div>
+    );
+  }
+  if (!alerts.length) return null;
 
+  const names = alerts.map(alert => (devices.find(d => d.id === alert.device) || { name: 'Sensor' }).name);
   return (
-    <div className={`relative flex items-center justify-center ${isLarge ? 'w-80 h-80' : 'w-64 h-64'}`}>
-      <svg width={width} height={width} className="transform -rotate-90">
-        <circle
-          cx="50%" cy="50%" r={radius}
-          fill="none" stroke="#222" strokeWidth={stroke} strokeLinecap="round"
+    <div role="alert" className="flex items-center justify-between gap-4 px-5 py-3 rounded-2xl border" style={{ backgroundColor: `${colors.moveRed}15`, borderColor: `${colors.moveRed}60` }}>
+      <span className="flex items-center gap-2 text-sm font-bold" style={{ color: colors.moveRed }}>
+        <AlertCircle size={16} /> Sit up straight{devices.length > 1 ? `: ${names.join(', ')}` : ''}
+      </span>
+      <button
+        onClick={onSnooze}
+        className="px-4 py-1.5 rounded-lg border text-sm font-bold hover:bg-white/5 shrink-0"
+        style={{ borderColor: colors.borderColor, color: colors.lightText }}
+      >
+        Snooze {ALERT_SNOOZE_MINS} min
+      </button>
+    </div>
+  );
+};
+
+const ToggleRow = ({ label, description, checked, onChange, colors }) => (
+  <div className="flex justify-between items-center gap-4">
+    <div>
+      <span className="text-sm font-bold block" style={{ color: colors.lightText }}>{label}</span>
+      <span className="text-xs mt-0.5" style={{ color: colors.mutedText }}>{description}</span>
+    </div>
+    <button
+      role="switch"
+      aria-checked={checked}
+      aria-label={label}
+      onClick={() => onChange(!checked)}
+      className="relative w-12 h-7 rounded-full transition-colors shrink-0"
+      style={{ backgroundColor: checked ? colors.exerciseGreen : colors.inputBg, border: `1px solid ${colors.borderColor}` }}
+    >
+      <span
+        className="absolute top-0.5 w-5 h-5 rounded-full bg-white shadow transition-all"
+        style={{ left: checked ? '1.5rem' : '0.25rem' }}
+      />
+    </button>
+  </div>
+);
+
+const SIGNAL_ICONS = [WifiOff, WifiZero, WifiLow, WifiHigh, Wifi];
+const SIGNAL_COLORS = ['text-red-500', 'text-red-500', 'text-yellow-500', 'text-green-500', 'text-green-500'];
+
+// Wi-Fi style bars for link quality (0-4)
+const SignalIndicator = ({ bars, reconnecting }) => {
+  const Icon = SIGNAL_ICONS[bars];
+  const label = bars === 0 && reconnecting ? 'Reconnecting' : QUALITY_LABELS[bars];
+  return (
+    <span role="img" aria-label={`Signal: ${label}`} title={label} className={`${SIGNAL_COLORS[bars]} ${bars === 0 && reconnecting ? 'animate-pulse' : ''}`}>
+      <Icon size={16} />
+    </span>
+  );
+};
+
+// One line of link figures for a connected device
+const describeHealth = ({ successRate, latencyMs, sinceLastGoodMs, frozen }) => [
+  successRate !== null && `${Math.round(successRate * 100)}% ok`,
+  latencyMs !== null && `${latencyMs} ms`,
+  sinceLastGoodMs !== null && `last sample ${Math.floor(sinceLastGoodMs / 1000)}s ago`,
+  frozen && 'readings frozen'
+].filter(Boolean).join(' · ');
+
+const DeviceCard = ({ index, device, connection, health, onChange, onConnect, onDisconnect, onPaired, onUnpair, onRemove, colors }) => {
+  const inputStyle = { backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText };
+
+  return (
+    <div className="p-5 rounded-2xl border space-y-4" style={{ borderColor: colors.borderColor }}>
+      <div className="flex items-center gap-3">
+        <div className={`w-2.5 h-2.5 rounded-full shrink-0 ${connection.connected ? 'bg-green-500' : connection.reconnecting ? 'bg-yellow-500 animate-pulse' : 'bg-red-500'}`} />
+        <input
+          type="text"
+          value={device.name}
+          onChange={(e) => onChange({ name: e.target.value })}
+          aria-label={`Device ${index + 1} name`}
+          className="flex-1 min-w-0 bg-transparent font-bold outline-none"
+          style={{ color: colors.lightText }}
+        />
+        <select
+          value={device.location}
+          onChange={(e) => onChange({ location: e.target.value })}
+          aria-label={`Device ${index + 1} location`}
+          className="border rounded-lg px-3 py-1.5 text-sm outline-none"
+          style={inputStyle}
+        >
+          {Object.entries(BODY_LOCATIONS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {onRemove && (
+          <button onClick={onRemove} className="p-2 rounded-lg hover:bg-white/5" style={{ color: colors.mutedText }} aria-label={`Remove ${device.name}`}>
+            <Trash2 size={16} />
+          </button>
+        )}
+      </div>
+      <div className="flex gap-3">
+        <input
+          type="text"
+          value={device.host}
+          onChange={(e) => onChange({ host: e.target.value })}
+          aria-label={`Device ${index + 1} address`}
+          className="flex-1 min-w-0 border rounded-xl px-4 py-3 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none transition-all font-mono"
+          style={inputStyle}
+          placeholder="192.168.4.1"
         />
-        <motion.circle
-          cx="50%" cy="50%" r={radius}
-          fill="none" stroke={status.color} strokeWidth={stroke} strokeLinecap="round"
-          strokeDasharray={circumference}
-          initial={{ strokeDashoffset: circumference }}
-          animate={{ strokeDashoffset: circumference - (progress / 100) * circumference }}
-          transition={{ type: "spring", stiffness: 60, damping: 20 }}
-          style={{
-            filter: `drop-shadow(0 0 15px ${status.color}60)`,
-            // Applying a subtle shadow to the stroke
-            stroke: status.color
-          }}
+        <input
+          type="text"
+          inputMode="numeric"
+          value={device.port}
+          onChange={(e) => onChange({ port: e.target.value.replace(/\D/g, '') })}
+          aria-label={`Device ${index + 1} port`}
+          className="w-20 border rounded-xl px-3 py-3 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none transition-all font-mono"
+          style={inputStyle}
+          placeholder="80"
         />
-      </svg>
+        {connection.connected || connection.reconnecting ? (
+          <button
+            onClick={onDisconnect}
+            aria-label={`Disconnect ${device.name}`}
+            className="px-5 rounded-xl font-bold border hover:bg-white/5 transition-colors"
+            style={{ borderColor: colors.borderColor, color: colors.lightText }}
+          >
+            Disconnect
+          </button>
+        ) : (
+          <button
+            onClick={onConnect}
+            aria-label={`Connect ${device.name}`}
+            className="bg-blue-600 px-6 rounded-xl font-bold hover:bg-blue-500 transition-colors shadow-lg shadow-blue-900/20"
+          >
+            Connect
+          </button>
+        )}
+      </div>
+      <div className="flex items-center justify-between gap-3">
+        <span className="text-xs block" style={{ color: connection.error ? colors.moveRed : colors.mutedText }}>
+          {connection.error || (connection.connected
+            ? `Receiving data via ${connection.transport === 'websocket' ? 'WebSocket stream' : 'HTTP polling'}`
+            : 'Not connected')}
+          {connection.connected && health && (
+            <span className="block mt-1" style={{ color: health.frozen ? colors.warningYellow : colors.mutedText }}>
+              {QUALITY_LABELS[health.bars]} signal · {describeHealth(health)}
+            </span>
+          )}
+        </span>
+        {device.token && (
+          <button
+            onClick={onUnpair}
+            aria-label={`Unpair ${device.name}`}
+            className="text-xs font-bold hover:underline shrink-0"
+            style={{ color: colors.mutedText }}
+          >
+            Unpair
+          </button>
+        )}
+      </div>
+      {connection.needsPairing && (
+        <DevicePairing key={`${device.host}:${device.port}`} index={index} device={device} colors={colors} onPaired={onPaired} />
+      )}
     </div>
   );
-}
+};
+
+const SensorTile = ({ device, angle, status, connected, focused, onClick, colors }) => {
+  const color = status ? status.color : colors.mutedText;
+
+  return (
+    <button
+      onClick={onClick}
+      className="p-4 rounded-3xl border flex flex-col items-center gap-2 transition-colors hover:opacity-90"
+      style={{ backgroundColor: colors.panelBg, borderColor: focused ? colors.accentPink : colors.borderColor }}
+    >
+      <div className="relative">
+        <AppleRing angle={angle} status={{ color }} size="small" />
+        <span className="absolute inset-0 flex items-center justify-center text-xl font-bold tabular-nums">
+          {connected ? `${Math.abs(angle).toFixed(0)}°` : '--'}
+        </span>
+      </div>
+      <span className="text-sm font-bold" style={{ color: colors.lightText }}>{device.name}</span>
+      <span className="text-xs" style={{ color: colors.mutedText }}>
+        {BODY_LOCATIONS[device.location]} · <span style={{ color }}>{connected ? (status ? status.label : 'Waiting') : 'Offline'}</span>
+      </span>
+    </button>
+  );
+};
+
+const SessionSummary = ({ session, colors, onClose, onExport }) => {
+  const totalMs = ZONES.reduce((sum, zone) => sum + session.breakdown[zone], 0) || 1;
+  const alerts = summarizeAlerts(session.alerts);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-40 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, y: 10 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.95, y: 10 }}
+        role="dialog"
+        aria-label="Session summary"
+        className="w-full max-w-md rounded-[2rem] border p-8 space-y-6"
+        style={{ backgroundColor: colors.cardBg, borderColor: colors.borderColor, color: colors.lightText }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-end justify-between">
+          <div>
+            <h3 className="text-2xl font-bold">Session Complete</h3>
+            <span className="text-sm" style={{ color: colors.mutedText }}>
+              {formatTime(session.duration)} tracked{session.pausedMs ? ` · ${formatTime(Math.round(session.pausedMs / 1000))} paused` : ''}
+            </span>
+          </div>
+          <span className="text-4xl font-bold tabular-nums" aria-label="Session score">{session.score}</span>
+        </div>
+
+        {/* Time per zone */}
+        <div>
+          <div className="flex h-3 rounded-full overflow-hidden mb-4">
+            {ZONES.map(zone => (
+              <div key={zone} style={{ width: `${(session.breakdown[zone] / totalMs) * 100}%`, backgroundColor: zoneColor(zone, colors) }} />
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            {ZONES.map(zone => (
+              <div key={zone} className="flex items-center justify-between text-sm px-3 py-2 rounded-xl" style={{ backgroundColor: colors.inputBg }}>
+                <span className="flex items-center gap-2">
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: zoneColor(zone, colors) }} />
+                  {zone}
+                </span>
+                <span className="font-bold tabular-nums">{(session.breakdown[zone] / 60000).toFixed(1)} min</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3 text-center">
+          <div>
+            <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Best Streak</span>
+            <span className="text-lg font-bold">{formatTime(Math.round(session.longestGoodStreakMs / 1000))}</span>
+          </div>
+          <div>
+            <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Slips</span>
+            <span className="text-lg font-bold">{session.poorEpisodes}</span>
+          </div>
+          <div>
+            <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Recovery</span>
+            <span className="text-lg font-bold">{session.avgRecoveryMs === null ? '--' : `${Math.round(session.avgRecoveryMs / 1000)}s`}</span>
+          </div>
+        </div>
+
+        {session.breakMs > 0 && (
+          <p className="text-sm text-center" style={{ color: colors.mutedText }} aria-label="Break time">
+            {formatTime(Math.round(session.breakMs / 1000))} on {session.breaks.length} break{session.breaks.length === 1 ? '' : 's'}, not scored
+          </p>
+        )}
+        <p className="text-sm text-center" style={{ color: colors.mutedText }} aria-label="Posture alerts">
+          {!alerts.count ? 'No posture alerts'
+            : `${alerts.count} posture alert${alerts.count === 1 ? '' : 's'}${alerts.avgCorrectionMs === null ? '' : ` · fixed in ${Math.round(alerts.avgCorrectionMs / 1000)}s on average`}`}
+        </p>
+
+        <div className="flex gap-3">
+          {['csv', 'json'].map(format => (
+            <button
+              key={format}
+              onClick={() => onExport(format)}
+              className="px-4 py-3 rounded-xl font-bold text-sm border uppercase flex items-center gap-2 hover:opacity-80 transition-opacity"
+              style={{ borderColor: colors.borderColor, color: colors.lightText }}
+            >
+              <Download size={16} /> {format}
+            </button>
+          ))}
+          <button
+            onClick={onClose}
+            className="flex-1 py-3 rounded-xl font-bold transition-all hover:brightness-90"
+            style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+          >
+            Done
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
 
 const formatTime = (seconds) => {
   const mins = Math.floor(seconds / 60);
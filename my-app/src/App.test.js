@@ -1,8 +1,665 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
 import App from './App';
+import { MotionGlobalConfig } from 'framer-motion';
+import { createDevice } from '../simulator/device';
+import { getAllSessions, saveSession, deleteProfileSessions } from './sessionStore';
+import { DEFAULT_PROFILE_ID, scopedKey, createPin } from './profiles';
+import { DEFAULT_SETTINGS, SETTINGS_VERSION, buildSettingsExport } from './settings';
+import { newDevice } from './devices';
 
-test('renders learn react link', () => {
+// The app is driven against the in-process device simulator: fetch() is routed
+// to the simulated ESP32 and fake timers stand in for the polling clock.
+
+const DEVICE_IP = '192.168.4.1';
+// Sensor 1 starts out paired with this token
+const TOKEN = '0123456789abcdef0123456789abcdef';
+
+// Tab and dialog transitions finish instantly instead of on animation frames
+MotionGlobalConfig.skipAnimations = true;
+
+// Advances fake time in poll-sized steps, letting fetch promises settle in between
+const advance = async (ms, step = 200) => {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    await act(async () => {
+      jest.advanceTimersByTime(step);
+      for (let i = 0; i < 5; i++) await Promise.resolve();
+    });
+  }
+};
+
+const setup = (scenario = 'good', { paired = true, settings = {} } = {}) => {
+  const device = createDevice({ scenario, host: DEVICE_IP, port: 80, tokens: [TOKEN] });
+  global.fetch = jest.fn(device.fetch);
+  if (paired) {
+    localStorage.setItem('devices', JSON.stringify([newDevice({ name: 'Sensor 1', host: DEVICE_IP, token: TOKEN })]));
+  } else {
+    // A install from before pairing: just the legacy address keys
+    localStorage.setItem('espIP', DEVICE_IP);
+    localStorage.setItem('espPort', '80');
+  }
+  // jsdom has no device WebSocket to talk to; exercise the HTTP transport
+  localStorage.setItem('postureSettings', JSON.stringify({ version: SETTINGS_VERSION, settings: { useWebSocket: false, ...settings } }));
+  render(<App />);
+  return device;
+};
+
+// Tab changes wait for the outgoing panel's exit animation
+const openTab = async (name) => {
+  fireEvent.click(screen.getAllByRole('button', { name })[0]);
+  await advance(1000);
+};
+
+const connect = async () => {
+  await openTab(/settings/i);
+  fireEvent.click(screen.getByRole('button', { name: 'Connect Sensor 1' }));
+  await advance(200);
+  await openTab(/dashboard/i);
+};
+
+// Types in the code the simulated LED is blinking
+const pair = async (index, name, sensor) => {
+  fireEvent.click(screen.getByRole('button', { name: `Pair ${name}` }));
+  await advance(200);
+  fireEvent.change(screen.getByLabelText(`Device ${index} pairing code`), { target: { value: sensor.pairingCode() } });
+  fireEvent.click(screen.getByRole('button', { name: 'Pair' }));
+  await advance(200);
+};
+
+const runSession = async (ms, step) => {
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  await advance(ms, step);
+  fireEvent.click(screen.getByRole('button', { name: /end session/i }));
+  await advance(200);
+  return screen.getByRole('dialog', { name: 'Session summary' });
+};
+
+// Each test starts with no saved sessions, so the one it records is the last
+beforeEach(async () => {
+  jest.useFakeTimers();
+  localStorage.clear();
+  await deleteProfileSessions(DEFAULT_PROFILE_ID);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+test('renders the dashboard', () => {
+  setup();
+  expect(screen.getByRole('button', { name: /start tracking/i })).toBeInTheDocument();
+});
+
+test('connects to the device', async () => {
+  setup();
+  await connect();
+  expect(screen.getByText('Connected to Sensor 1')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith(`http://${DEVICE_IP}:80/angle`, expect.anything());
+});
+
+test('reports an unreachable device', async () => {
+  setup();
+  await openTab(/settings/i);
+  fireEvent.change(screen.getByLabelText('Device 1 address'), { target: { value: '10.0.0.99' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Connect Sensor 1' }));
+  await advance(200);
+  expect(screen.getByText('Cannot reach device')).toBeInTheDocument();
+  expect(screen.queryByText('Connected to Sensor 1')).not.toBeInTheDocument();
+});
+
+test('requires a connection before starting a session', async () => {
+  setup();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  expect(screen.getByText('Connect device first')).toBeInTheDocument();
+});
+
+test('starts and ends a session with a summary', async () => {
+  setup('good');
+  await connect();
+  const summary = await runSession(10000);
+
+  expect(within(summary).getByText('Session Complete')).toBeInTheDocument();
+  expect(Number(within(summary).getByLabelText('Session score').textContent)).toBeGreaterThanOrEqual(80);
+  expect(screen.getByText('Session Saved')).toBeInTheDocument();
+});
+
+test('scores a slouching session lower than good posture', async () => {
+  setup('slouch');
+  await connect();
+  const summary = await runSession(120000, 1000);
+  const score = Number(within(summary).getByLabelText('Session score').textContent);
+
+  expect(score).toBeLessThan(80);
+  // The saved record shows the slouch itself, not just a lower score
+  const [saved] = (await getAllSessions()).sort((a, b) => b.startedAt - a.startedAt);
+  expect(saved.breakdown.Poor).toBeGreaterThan(0);
+  expect(saved.poorEpisodes).toBeGreaterThanOrEqual(1);
+});
+
+test('announces a one-minute perfect streak', async () => {
+  setup('good');
+  await connect();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  await advance(61000, 1000);
+
+  expect(screen.getByText('1 Min Perfect Streak!')).toBeInTheDocument();
+});
+
+test('backfills readings missed during a dropout', async () => {
+  setup('dropout');
+  await connect();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  // Online for 15s, offline 15-20s, back online afterwards
+  await advance(22000);
+
+  expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/samples?since='), expect.anything());
+});
+
+test('marks a dropped device disconnected and reconnects it on its own', async () => {
+  setup('dropout', { settings: { linkMaxFailures: 5 } });
+  await connect();
+  await advance(3000);
+  expect(screen.getByRole('img', { name: 'Signal: Excellent' })).toBeInTheDocument();
+
+  // Offline from 15s of uptime: five failed polls later the link counts as lost
+  await advance(13000);
+  expect(screen.getByText('Lost connection to Sensor 1')).toBeInTheDocument();
+  expect(screen.getByText('Reconnecting…')).toBeInTheDocument();
+  expect(screen.getByRole('img', { name: 'Signal: Reconnecting' })).toBeInTheDocument();
+
+  // Back online at 20s; retries 1s, 2s and 4s apart, so the third finds it
+  await advance(7000);
+  expect(screen.getByText('Reconnected to Sensor 1')).toBeInTheDocument();
+  expect(screen.getByText('Online')).toBeInTheDocument();
+});
+
+test('tracks two devices at once and records where each sample came from', async () => {
+  setup('good');
+  const neck = createDevice({ scenario: 'slouch', host: '192.168.4.2', port: 80 });
+  const back = global.fetch.getMockImplementation();
+  global.fetch.mockImplementation((url, init) => (url.includes(neck.host) ? neck.fetch(url, init) : back(url, init)));
+
+  await openTab(/settings/i);
+  fireEvent.click(screen.getByRole('button', { name: 'Add Device' }));
+  fireEvent.change(screen.getByLabelText('Device 2 address'), { target: { value: neck.host } });
+  fireEvent.change(screen.getByLabelText('Device 2 location'), { target: { value: 'neck' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Connect Sensor 1' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Connect Sensor 2' }));
+  await advance(200);
+  expect(screen.getByText('Pairing required')).toBeInTheDocument();
+  await pair(2, 'Sensor 2', neck);
+  expect(screen.getByText('2/2 Online')).toBeInTheDocument();
+
+  await openTab(/dashboard/i);
+  expect(screen.getByRole('button', { name: /Sensor 2.*Neck/ })).toBeInTheDocument();
+  await runSession(5000);
+
+  // The in-memory store is shared by every test in this file
+  const session = (await getAllSessions()).find(s => s.devices.length === 2);
+  expect(session.devices.map(d => [d.name, d.location])).toEqual([['Sensor 1', 'upper-back'], ['Sensor 2', 'neck']]);
+  const sources = new Set(session.samples.map(p => p.device));
+  expect([...sources].sort()).toEqual(session.devices.map(d => d.id).sort());
+});
+
+test('scans an address range and connects a discovered device', async () => {
+  const gateway = setup('good');
+  const found = createDevice({ scenario: 'good', host: '192.168.4.7', port: 80 });
+  const back = global.fetch.getMockImplementation();
+  global.fetch.mockImplementation((url, init) => (url.includes(`//${found.host}:`) ? found.fetch(url, init) : back(url, init)));
+
+  await openTab(/settings/i);
+  fireEvent.change(screen.getByLabelText('Address range'), { target: { value: '192.168.4.2-10' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Scan' }));
+  await advance(200);
+
+  // The soft-AP gateway (the saved sensor) answers too
+  expect(screen.getByText(`${gateway.deviceId}.local`)).toBeInTheDocument();
+  expect(screen.getByText(`${found.deviceId}.local`)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: `Connect ${found.deviceId}` }));
+  await advance(200);
+  await pair(2, found.deviceId, found);
+
+  expect(screen.getByText(`Connected to ${found.deviceId}`)).toBeInTheDocument();
+  expect(screen.getByLabelText('Device 2 address')).toHaveValue(found.host);
+  expect(screen.getByText('1/2 Online')).toBeInTheDocument();
+});
+
+test('sends home Wi-Fi credentials to the connected sensor', async () => {
+  const device = setup('good');
+  await openTab(/settings/i);
+  fireEvent.click(screen.getByRole('button', { name: 'Connect Sensor 1' }));
+  await advance(200);
+  expect(screen.getByText(/Running its own network at 192\.168\.4\.1/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Wi-Fi network'), { target: { value: 'Home' } });
+  fireEvent.change(screen.getByLabelText('Wi-Fi password'), { target: { value: 'short' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Wi-Fi' }));
+  await advance(200);
+  expect(screen.getByRole('alert')).toHaveTextContent('8-63 characters');
+  expect(device.getState().wifi.ssid).toBe('');
+
+  fireEvent.change(screen.getByLabelText('Wi-Fi password'), { target: { value: 'correct horse' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Wi-Fi' }));
+  await advance(200);
+  expect(screen.getByRole('status')).toHaveTextContent('restarting to join Home');
+  expect(device.getState().wifi).toEqual({ ssid: 'Home', password: 'correct horse' });
+});
+
+test('pairs with the code the sensor blinks before connecting', async () => {
+  const device = setup('good', { paired: false });
+  await openTab(/settings/i);
+  fireEvent.click(screen.getByRole('button', { name: 'Connect Sensor 1' }));
+  await advance(200);
+  expect(screen.getByText('Pairing required')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pair Sensor 1' }));
+  await advance(200);
+  fireEvent.change(screen.getByLabelText('Device 1 pairing code'), { target: { value: '0000' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Pair' }));
+  await advance(200);
+  expect(screen.getByRole('alert')).toHaveTextContent('Wrong pairing code');
+
+  fireEvent.change(screen.getByLabelText('Device 1 pairing code'), { target: { value: device.pairingCode() } });
+  fireEvent.click(screen.getByRole('button', { name: 'Pair' }));
+  await advance(200);
+  expect(screen.getByText('Connected to Sensor 1')).toBeInTheDocument();
+  const [saved] = JSON.parse(localStorage.getItem('devices'));
+  expect(device.isAuthorized(saved.token)).toBe(true);
+});
+
+test('locks pairing for longer after each round of wrong codes', async () => {
+  const device = setup('good', { paired: false });
+  await openTab(/settings/i);
+  fireEvent.click(screen.getByRole('button', { name: 'Connect Sensor 1' }));
+  await advance(200);
+
+  const guess = async (code) => {
+    fireEvent.change(screen.getByLabelText('Device 1 pairing code'), { target: { value: code } });
+    fireEvent.click(screen.getByRole('button', { name: 'Pair' }));
+    await advance(200);
+  };
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pair Sensor 1' }));
+  await advance(200);
+  const code = device.pairingCode();
+
+  // Someone else asking for a code does not replace the one that is blinking
+  const restart = await device.fetch(`http://${DEVICE_IP}/pair/start`, { method: 'POST' });
+  expect(restart.status).toBe(409);
+  expect(device.pairingCode()).toBe(code);
+
+  for (let i = 0; i < 5; i++) await guess('0000');
+  expect(screen.getByRole('alert')).toHaveTextContent('Too many wrong pairing codes. Try again in 60 s.');
+  expect(device.pairingCode()).toBe('');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pair Sensor 1' }));
+  await advance(200);
+  expect(screen.getByRole('alert')).toHaveTextContent('Try again in 60 s.');
+
+  // One more wrong code after the lockout locks it again, for twice as long
+  await advance(60000, 1000);
+  fireEvent.click(screen.getByRole('button', { name: 'Pair Sensor 1' }));
+  await advance(200);
+  await guess('0000');
+  expect(screen.getByRole('alert')).toHaveTextContent('Try again in 120 s.');
+
+  await advance(120000, 1000);
+  await pair(1, 'Sensor 1', device);
+  expect(screen.getByText('Connected to Sensor 1')).toBeInTheDocument();
+  expect(device.getState().pairing.failures).toBe(0);
+});
+
+test('asks to pair again when the device revokes the token', async () => {
+  const device = setup('good');
+  await connect();
+  // Let the "Connected" notification expire first
+  await advance(3000);
+
+  device.getState().tokens = [];
+  await advance(1000);
+
+  expect(screen.getByText('Sensor 1 needs to be paired again')).toBeInTheDocument();
+  await openTab(/settings/i);
+  expect(screen.getByText('Pairing expired or revoked')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Pair Sensor 1' })).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('devices'))[0].token).toBeNull();
+});
+
+test('sends a system notification for poor posture while the app is in the background', async () => {
+  const Notification = jest.fn();
+  Notification.permission = 'default';
+  Notification.requestPermission = jest.fn(async () => {
+    Notification.permission = 'granted';
+    return 'granted';
+  });
+  window.Notification = Notification;
+  const hasFocus = jest.spyOn(document, 'hasFocus').mockReturnValue(false);
+
+  setup('slouch');
+  await openTab(/settings/i);
+  fireEvent.click(screen.getByRole('switch', { name: 'Background Notifications' }));
+  await advance(200);
+  expect(Notification.requestPermission).toHaveBeenCalled();
+  expect(screen.getByRole('switch', { name: 'Background Notifications' })).toHaveAttribute('aria-checked', 'true');
+
+  await connect();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  // The slouch passes the Poor limit (25°) after about 90 s
+  await advance(120000, 1000);
+
+  expect(Notification).toHaveBeenCalledTimes(1);
+  expect(Notification).toHaveBeenCalledWith('Poor posture', expect.objectContaining({
+    body: expect.stringContaining('for 10s'),
+    tag: 'spineup-posture'
+  }));
+
+  hasFocus.mockRestore();
+  delete window.Notification;
+});
+
+test('escalates a posture alert up to a buzz on the sensor and holds alerts while snoozed', async () => {
+  const sensor = setup('slouch', { settings: { alertEscalateSecs: 10 } });
+  await connect();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  // Poor from about 90 s: toast 10 s later, then sound, system notification and buzz 10 s apart
+  await advance(105000, 1000);
+  expect(screen.getByRole('alert')).toHaveTextContent('Sit up straight');
+  expect(sensor.getState().buzzCount).toBe(0);
+
+  await advance(35000, 1000);
+  expect(sensor.getState().buzzCount).toBe(1);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Snooze 15 min' }));
+  await advance(200);
+  expect(screen.getByText(/alerts snoozed until/i)).toBeInTheDocument();
+  await advance(60000, 1000);
+  expect(screen.queryByText('Sit up straight')).not.toBeInTheDocument();
+  expect(sensor.getState().buzzCount).toBe(1);
+
+  // Still slouching once alerts are back on: warned again straight away
+  fireEvent.click(screen.getByRole('button', { name: 'Resume Alerts' }));
+  await advance(2000, 1000);
+  expect(screen.getByText('Sit up straight')).toBeInTheDocument();
+});
+
+test('logs each posture alert with the session and how fast it was corrected', async () => {
+  const sensor = setup('slouch');
+  await connect();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  await advance(105000, 1000);
+  expect(screen.getByText('Sit up straight')).toBeInTheDocument();
+
+  sensor.setScenario('good');
+  await advance(10000, 1000);
+  expect(screen.queryByText('Sit up straight')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /end session/i }));
+  await advance(200);
+  const summary = screen.getByRole('dialog', { name: 'Session summary' });
+  expect(within(summary).getByLabelText('Posture alerts')).toHaveTextContent(/1 posture alert · fixed in \d+s on average/);
+
+  const [session] = (await getAllSessions()).slice(-1);
+  expect(session.alerts).toEqual([expect.objectContaining({ zone: 'Poor', outcome: 'corrected', correctionMs: expect.any(Number) })]);
+});
+
+test('closes a posture alert when its sensor drops out', async () => {
+  setup('slouch', { settings: { linkMaxFailures: 5 } });
+  await connect();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  await advance(105000, 1000);
+  expect(screen.getByText('Sit up straight')).toBeInTheDocument();
+
+  const online = global.fetch.getMockImplementation();
+  global.fetch.mockImplementation(async () => { throw new TypeError('Failed to fetch'); });
+  await advance(3000);
+  expect(screen.getByText('Lost connection to Sensor 1')).toBeInTheDocument();
+  expect(screen.queryByText('Sit up straight')).not.toBeInTheDocument();
+
+  global.fetch.mockImplementation(online);
+  fireEvent.click(screen.getByRole('button', { name: /end session/i }));
+  await advance(200);
+  const [session] = (await getAllSessions()).sort((a, b) => b.startedAt - a.startedAt);
+  expect(session.alerts).toEqual([expect.objectContaining({ outcome: 'disconnected', correctionMs: null })]);
+});
+
+test('keeps break time out of the posture score', async () => {
+  const sensor = setup('good');
+  // The simulated slouch deepens with device uptime; start where it reads Poor
+  await act(async () => { jest.advanceTimersByTime(90000); });
+  await connect();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  await advance(5000, 1000);
+
+  // Up and about: the sensor reads well past the Poor limit
+  fireEvent.click(screen.getByRole('button', { name: 'Take a Break' }));
+  await advance(200);
+  expect(screen.getByText(/on a break since/i)).toBeInTheDocument();
+  sensor.setScenario('slouch');
+  await advance(14000, 2000);
+  // A dropout mid-break: what is backfilled after it is break time too
+  const online = global.fetch.getMockImplementation();
+  global.fetch.mockImplementation(async (url, init) => {
+    if (String(url).endsWith('/angle')) throw new TypeError('Failed to fetch');
+    return online(url, init);
+  });
+  await advance(4000, 2000);
+  global.fetch.mockImplementation(online);
+  await advance(12000, 2000);
+  sensor.setScenario('good');
+  await advance(5000, 1000);
+  fireEvent.click(screen.getByRole('button', { name: 'End Break' }));
+  await advance(200);
+  expect(screen.queryByText(/on a break since/i)).not.toBeInTheDocument();
+  await advance(5000, 1000);
+
+  fireEvent.click(screen.getByRole('button', { name: /end session/i }));
+  await advance(200);
+  const summary = screen.getByRole('dialog', { name: 'Session summary' });
+  expect(within(summary).getByLabelText('Break time')).toHaveTextContent('0:35 on 1 break, not scored');
+
+  const [session] = (await getAllSessions()).slice(-1);
+  expect(session.breaks).toHaveLength(1);
+  expect(session.breakMs).toBe(35200);
+  expect(session.breakdown.Poor).toBe(0);
+  expect(session.samples.some(p => p.onBreak && p.status === 'Poor')).toBe(true);
+  expect(session.samples.some(p => p.onBreak && p.backfilled)).toBe(true);
+});
+
+test('pauses and resumes a session, leaving the paused time out', async () => {
+  setup('good');
+  await connect();
+  fireEvent.click(screen.getByRole('button', { name: /start tracking/i }));
+  await advance(10000, 1000);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+  await advance(200);
+  expect(screen.getByRole('status', { name: 'Session status' })).toHaveTextContent(/paused since/i);
+  // Nothing is recorded while paused, so large steps will do
+  await advance(60000, 5000);
+  fireEvent.click(screen.getByRole('button', { name: 'Resume' }));
+  await advance(10000, 1000);
+  expect(screen.getByRole('status', { name: 'Session status' })).toHaveTextContent(/recording/i);
+
+  fireEvent.click(screen.getByRole('button', { name: /end session/i }));
+  await advance(200);
+  const [session] = (await getAllSessions()).slice(-1);
+  const [pause] = session.pauses;
+  expect(pause.end - pause.start).toBeGreaterThanOrEqual(60000);
+  expect(session.duration).toBeGreaterThanOrEqual(19);
+  expect(session.duration).toBeLessThanOrEqual(21);
+  expect(session.samples.some(p => p.t > pause.start && p.t < pause.end)).toBe(false);
+  const totalMs = Object.values(session.breakdown).reduce((sum, ms) => sum + ms, 0);
+  expect(totalMs).toBeLessThan(22000);
+});
+
+test('starts when the user sits down and stops once the sensor is taken off', async () => {
+  setup('unworn', { settings: { autoStart: true, autoStop: true, autoStopIdleMins: 1 } });
+  await connect();
+  expect(screen.getByRole('status', { name: 'Session status' })).toHaveTextContent(/auto start/i);
+
+  await advance(40000, 1000);
+  expect(screen.getByRole('button', { name: /end session/i })).toBeInTheDocument();
+  expect(screen.getByRole('status', { name: 'Session status' })).toHaveTextContent(/started automatically/i);
+
+  // The simulated sensor comes off at two minutes; a minute later the session ends
+  await advance(150000, 1000);
+  expect(screen.getByRole('dialog', { name: 'Session summary' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /start tracking/i })).toBeInTheDocument();
+
+  const [session] = (await getAllSessions()).slice(-1);
+  // Ends about when the sensor came off (give or take the movement window), without the idle minute
+  expect(session.endedAt - session.samples[session.samples.length - 1].t).toBeLessThan(1000);
+  expect(session.duration).toBeLessThan(110);
+});
+
+test('learns adaptive zones from the sessions saved since calibrating', async () => {
+  // How the zones are learned is covered in adaptiveThresholds.test.js; this
+  // checks the app relearns from saved sessions and shows the result
+  const now = Date.now();
+  const startedAt = now - 20 * 60000;
+  await saveSession({
+    id: 'steady',
+    startedAt,
+    endedAt: startedAt + 600000,
+    duration: 600,
+    score: 95,
+    samples: Array.from({ length: 600 }, (_, i) => ({ t: startedAt + i * 1000, angle: [0.5, 2, 3.5][i % 3], pitch: [0.5, 2, 3.5][i % 3], roll: 0, status: 'Excellent' }))
+  });
+  const calibrated = { excellent: 5, good: 15, fair: 25 };
+  setup('good', {
+    settings: {
+      adaptiveThresholds: true,
+      adaptiveProfile: { baseline: 0, spread: 0.4, calibrationSpread: 0.4, thresholds: calibrated, sessions: [], calibratedAt: now - 30 * 60000, learnedAt: now - 30 * 60000 }
+    }
+  });
+  await openTab(/settings/i);
+
+  expect(screen.getByText(/learned from your best session/i)).toBeInTheDocument();
+  // Good posture all along: tighter zones than the defaults
+  const fair = Number(screen.getByLabelText('Learned Fair limit').textContent.replace(/\D/g, ''));
+  expect(fair).toBeLessThan(25);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Reset to Manual' }));
+  expect(screen.getByRole('switch', { name: 'Adaptive Zones' })).toHaveAttribute('aria-checked', 'false');
+  expect(screen.getByText('Fair Zone (Warning)')).toBeInTheDocument();
+});
+
+test('shows trends from saved sessions and a streak trend against them', async () => {
+  setup('good');
+  await connect();
+  await runSession(30000, 1000);
+  fireEvent.click(screen.getByRole('button', { name: 'Done' }));
+  await advance(200);
+
+  // The streak is now measured against the sessions saved this week
+  expect(screen.getByText(/(of|over) your usual best$/)).toBeInTheDocument();
+  expect(screen.queryByText(/\+12%/)).not.toBeInTheDocument();
+
+  await openTab(/history/i);
+  const trends = screen.getByRole('region', { name: 'Trends' });
+  expect(within(trends).getByRole('button', { name: '30 Days' })).toHaveAttribute('aria-pressed', 'true');
+  expect(within(trends).getByLabelText('This Week')).toHaveTextContent(/\d+%/);
+  expect(within(trends).getByText(/posture is worst around/i)).toBeInTheDocument();
+
+  fireEvent.click(within(trends).getByRole('button', { name: 'Best Day' }));
+  await advance(1000);
+  expect(screen.getByRole('button', { name: 'Close day view' })).toBeInTheDocument();
+});
+
+test('keeps settings and history apart per profile and guards one with a PIN', async () => {
+  const startedAt = Date.now() - 3600000;
+  await saveSession({ id: 'default-1', startedAt, endedAt: startedAt + 600000, duration: 600, score: 90, samples: [] });
+  setup('good');
+
+  fireEvent.click(screen.getAllByRole('button', { name: 'Profile: Default' })[0]);
+  fireEvent.click(screen.getByRole('menuitem', { name: /add profile/i }));
+  await advance(200);
+  expect(screen.getAllByRole('button', { name: 'Profile: Profile 2' })).toHaveLength(2);
+  expect(await getAllSessions()).toEqual([]);
+
+  await openTab(/settings/i);
+  fireEvent.click(screen.getByRole('switch', { name: 'Auto Start' }));
+  expect(JSON.parse(localStorage.getItem('postureSettings')).settings.autoStart).toBe(false);
+
+  // Hashing the PIN runs on the real crypto, outside the fake clock
+  jest.useRealTimers();
+  fireEvent.change(screen.getByLabelText('PIN'), { target: { value: '2468' } });
+  fireEvent.click(screen.getByRole('button', { name: /set pin/i }));
+  expect(await screen.findByRole('button', { name: /remove pin/i })).toBeInTheDocument();
+  const profileId = JSON.parse(localStorage.getItem('profiles'))[1].id;
+  expect(JSON.parse(localStorage.getItem(scopedKey(profileId, 'postureSettings'))).settings.autoStart).toBe(true);
+
+  // The mobile header has the same menu as the sidebar
+  fireEvent.click(screen.getAllByRole('button', { name: 'Profile: Profile 2' })[1]);
+  fireEvent.click(screen.getByRole('menuitem', { name: 'Default' }));
+  // Each profile opens on its dashboard
+  fireEvent.click(screen.getAllByRole('button', { name: /settings/i })[0]);
+  expect(await screen.findByRole('switch', { name: 'Auto Start' })).toHaveAttribute('aria-checked', 'false');
+  expect((await getAllSessions()).length).toBeGreaterThan(0);
+
+  fireEvent.click(screen.getAllByRole('button', { name: 'Profile: Default' })[0]);
+  fireEvent.click(screen.getByRole('menuitem', { name: /profile 2/i }));
+  const lock = screen.getByRole('form', { name: 'Unlock Profile 2' });
+  fireEvent.change(within(lock).getByLabelText('PIN'), { target: { value: '1357' } });
+  fireEvent.click(within(lock).getByRole('button', { name: /unlock/i }));
+  expect(await within(lock).findByText('Wrong PIN')).toBeInTheDocument();
+
+  fireEvent.change(within(lock).getByLabelText('PIN'), { target: { value: '2468' } });
+  fireEvent.click(within(lock).getByRole('button', { name: /unlock/i }));
+  fireEvent.click((await screen.findAllByRole('button', { name: /settings/i }))[0]);
+  expect(await screen.findByRole('switch', { name: 'Auto Start' })).toHaveAttribute('aria-checked', 'true');
+  expect(screen.getAllByRole('button', { name: 'Profile: Profile 2' })).toHaveLength(2);
+});
+
+test('explains instead of hanging when the browser cannot check PINs', async () => {
+  const pin = await createPin('2468');
+  localStorage.setItem('profiles', JSON.stringify([
+    { id: DEFAULT_PROFILE_ID, name: 'Default', pin: null },
+    { id: 'prof-a', name: 'Sam', pin }
+  ]));
+  localStorage.setItem('activeProfile', 'prof-a');
+  // A LAN address over http: no crypto.subtle
+  const { crypto } = global;
+  Object.defineProperty(global, 'crypto', { value: { getRandomValues: (a) => crypto.getRandomValues(a) }, configurable: true });
+  try {
+    setup('good');
+    const lock = screen.getByRole('form', { name: 'Unlock Sam' });
+    fireEvent.change(within(lock).getByLabelText('PIN'), { target: { value: '2468' } });
+    fireEvent.click(within(lock).getByRole('button', { name: /unlock/i }));
+    await advance(200);
+    expect(within(lock).getByRole('alert')).toHaveTextContent('Could not check the PIN: PINs need SpineUp opened from localhost');
+    expect(within(lock).getByRole('button', { name: /unlock/i })).toBeEnabled();
+
+    fireEvent.click(within(lock).getByRole('button', { name: 'Default' }));
+    await openTab(/settings/i);
+    fireEvent.change(screen.getByLabelText('PIN'), { target: { value: '1357' } });
+    expect(screen.getByRole('button', { name: /set pin/i })).toBeDisabled();
+    expect(screen.getByText(/only checks PINs on https or localhost/)).toBeInTheDocument();
+  } finally {
+    Object.defineProperty(global, 'crypto', { value: crypto, configurable: true });
+  }
+});
+
+test('starts on the default settings when the stored ones are unreadable', () => {
+  global.fetch = jest.fn();
+  localStorage.setItem('postureSettings', '{"targetScore": 9');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText('Settings were unreadable and have been reset')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /start tracking/i })).toBeInTheDocument();
+});
+
+test('imports settings from a file', async () => {
+  setup();
+  await openTab(/settings/i);
+  const content = buildSettingsExport({ ...DEFAULT_SETTINGS, autoStart: true, goodThreshold: 2 });
+  const file = new File([content], 'settings.json', { type: 'application/json' });
+  // jsdom's File has no text()
+  file.text = () => Promise.resolve(content);
+  fireEvent.change(screen.getByLabelText('Import settings file'), { target: { files: [file] } });
+  await advance(200);
+
+  expect(screen.getByText('Settings Imported')).toBeInTheDocument();
+  expect(screen.getByRole('switch', { name: 'Auto Start' })).toHaveAttribute('aria-checked', 'true');
+  // Good may not sit below Excellent
+  expect(JSON.parse(localStorage.getItem('postureSettings')).settings.goodThreshold).toBe(6);
 });
@@ -0,0 +1,47 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+
+// --- APPLE RING GAUGE ---
+// Ring that fills as the angle approaches 0°. Used by the live dashboard, the
+// per-device sensor tiles and the session replay.
+
+export default function AppleRing({ angle, status, size }) {
+  const isLarge = size === 'large';
+  const isSmall = size === 'small';
+  const radius = isLarge ? 140 : isSmall ? 44 : 120;
+  const stroke = isLarge ? 28 : isSmall ? 10 : 24;
+  const width = radius * 2 + stroke * 2;
+
+  // Adjusted progress calculation to represent 'clearing' the ring more clearly
+  // 0 degrees (perfect) = 100% progress
+  // fairThreshold (25 degrees default) = 0% progress (or worse)
+  // Max angle for 100% fill is excellentThreshold (5 degrees default)
+  const maxAngle = 45; // Max angle to consider for progress calculation
+  const progress = Math.min(100, Math.max(0, 100 - (Math.abs(angle) / maxAngle) * 100));
+
+  const circumference = 2 * Math.PI * radius;
+
+  return (
+    <div className={`relative flex items-center justify-center ${isLarge ? 'w-80 h-80' : isSmall ? 'w-28 h-28' : 'w-64 h-64'}`}>
+      <svg width={width} height={width} className="transform -rotate-90">
+        <circle
+          cx="50%" cy="50%" r={radius}
+          fill="none" stroke="#222" strokeWidth={stroke} strokeLinecap="round"
+        />
+        <motion.circle
+          cx="50%" cy="50%" r={radius}
+          fill="none" stroke={status.color} strokeWidth={stroke} strokeLinecap="round"
+          strokeDasharray={circumference}
+          initial={{ strokeDashoffset: circumference }}
+          animate={{ strokeDashoffset: circumference - (progress / 100) * circumference }}
+          transition={{ type: "spring", stiffness: 60, damping: 20 }}
+          style={{
+            filter: `drop-shadow(0 0 ${isSmall ? 6 : 15}px ${status.color}60)`,
+            // Applying a subtle shadow to the stroke
+            stroke: status.color
+          }}
+        />
+      </svg>
+    </div>
+  );
+}
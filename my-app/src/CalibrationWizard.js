@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Crosshair, CheckCircle2, AlertCircle, RotateCcw } from 'lucide-react';
+import { startCalibration, getCalibrationStatus } from './deviceApi';
+
+// --- CALIBRATION WIZARD ---
+// Guides the user through re-zeroing the sensor: sit upright, hold still through
+// a countdown (movement restarts it), then let the device average its readings.
+// onComplete gets the device's result and the readings from the held-still countdown.
+
+const COUNTDOWN_SECONDS = 5;
+const STILLNESS_TOLERANCE = 2; // degrees of drift allowed during the countdown
+const STATUS_POLL_MS = 300;
+
+export default function CalibrationWizard({ host, port, token, axes, isConnected, colors, onComplete }) {
+  const [step, setStep] = useState('intro'); // intro, countdown, calibrating, done, error
+  const [secondsLeft, setSecondsLeft] = useState(COUNTDOWN_SECONDS);
+  const [moved, setMoved] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const windowRef = useRef([]);
+  const onCompleteRef = useRef(onComplete);
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+  });
+
+  // Collect readings while counting down so stillness can be judged
+  useEffect(() => {
+    if (step === 'countdown') windowRef.current.push(axes);
+  }, [step, axes]);
+
+  // Countdown with stillness check
+  useEffect(() => {
+    if (step !== 'countdown') return;
+
+    const interval = setInterval(() => {
+      const readings = windowRef.current;
+      const range = (key) => readings.length
+        ? Math.max(...readings.map(r => r[key])) - Math.min(...readings.map(r => r[key]))
+        : 0;
+
+      if (range('pitch') > STILLNESS_TOLERANCE || range('roll') > STILLNESS_TOLERANCE) {
+        windowRef.current = [];
+        setMoved(true);
+        setSecondsLeft(COUNTDOWN_SECONDS);
+        return;
+      }
+
+      setSecondsLeft(s => Math.max(0, s - 1));
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [step]);
+
+  useEffect(() => {
+    if (step === 'countdown' && secondsLeft === 0) setStep('calibrating');
+  }, [step, secondsLeft]);
+
+  // Device-side calibration
+  useEffect(() => {
+    if (step !== 'calibrating') return;
+    let cancelled = false;
+    let timeoutId;
+
+    const poll = async () => {
+      try {
+        const status = await getCalibrationStatus({ host, port, token });
+        if (cancelled) return;
+        setProgress(status.progress);
+        if (status.state === 'done') {
+          setResult(status);
+          setStep('done');
+          onCompleteRef.current && onCompleteRef.current(status, windowRef.current);
+        } else if (status.state === 'failed') {
+          setError(status.error || 'Calibration failed');
+          setStep('error');
+        } else {
+          timeoutId = setTimeout(poll, STATUS_POLL_MS);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message);
+          setStep('error');
+        }
+      }
+    };
+
+    setProgress(0);
+    startCalibration({ host, port, token })
+      .then(() => { if (!cancelled) poll(); })
+      .catch(err => {
+        // 409: a calibration is already running on the device, follow it
+        if (!cancelled && err.status === 409) {
+          poll();
+        } else if (!cancelled) {
+          setError(err.message);
+          setStep('error');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [step, host, port, token]);
+
+  const begin = () => {
+    windowRef.current = [];
+    setMoved(false);
+    setError('');
+    setResult(null);
+    setSecondsLeft(COUNTDOWN_SECONDS);
+    setStep('countdown');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center gap-4">
+        <div>
+          <span className="text-sm font-bold block" style={{ color: colors.lightText }}>Recalibrate Sensor</span>
+          <span className="text-xs mt-0.5" style={{ color: colors.mutedText }}>Set your current upright position as 0°</span>
+        </div>
+        {(step === 'intro' || step === 'done' || step === 'error') && (
+          <button
+            onClick={begin}
+            disabled={!isConnected}
+            className="px-5 py-2.5 rounded-xl font-bold text-sm flex items-center gap-2 transition-all hover:brightness-90 disabled:opacity-40"
+            style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+          >
+            {step === 'intro' ? <><Crosshair size={16} /> Start</> : <><RotateCcw size={16} /> Again</>}
+          </button>
+        )}
+      </div>
+
+      <AnimatePresence mode="wait">
+        {step === 'countdown' && (
+          <motion.div
+            key="countdown"
+            initial={{ opacity: 0, y: 5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            className="rounded-2xl p-6 text-center"
+            style={{ backgroundColor: colors.inputBg }}
+          >
+            <p className="text-sm font-medium" style={{ color: colors.lightText }}>Sit up straight and hold still</p>
+            <p className="text-5xl font-bold my-3 tabular-nums" style={{ color: colors.accentPink }}>{secondsLeft}</p>
+            {moved && <p className="text-xs" style={{ color: colors.warningYellow }}>Movement detected, countdown restarted</p>}
+          </motion.div>
+        )}
+
+        {step === 'calibrating' && (
+          <motion.div
+            key="calibrating"
+            initial={{ opacity: 0, y: 5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            className="rounded-2xl p-6"
+            style={{ backgroundColor: colors.inputBg }}
+          >
+            <p className="text-sm font-medium mb-3" style={{ color: colors.lightText }}>Calibrating… keep holding still</p>
+            <div className="w-full h-2 rounded-full overflow-hidden" style={{ backgroundColor: colors.divider }}>
+              <div className="h-full transition-all" style={{ width: `${progress}%`, backgroundColor: colors.exerciseGreen }} />
+            </div>
+          </motion.div>
+        )}
+
+        {step === 'done' && result && (
+          <motion.div
+            key="done"
+            initial={{ opacity: 0, y: 5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            className="rounded-2xl p-4 flex items-center gap-3 text-sm"
+            style={{ backgroundColor: colors.inputBg, color: colors.lightText }}
+          >
+            <CheckCircle2 size={18} style={{ color: colors.exerciseGreen }} />
+            <span>
+              Saved to device · Pitch offset {Number(result.pitch_offset).toFixed(1)}° · Roll offset {Number(result.roll_offset).toFixed(1)}°
+            </span>
+          </motion.div>
+        )}
+
+        {step === 'error' && (
+          <motion.div
+            key="error"
+            initial={{ opacity: 0, y: 5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            className="rounded-2xl p-4 flex items-center gap-3 text-sm"
+            style={{ backgroundColor: colors.inputBg, color: colors.moveRed }}
+          >
+            <AlertCircle size={18} />
+            <span>{error}</span>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  LineChart, Line, XAxis, YAxis, ResponsiveContainer, ReferenceArea, ReferenceLine
+} from 'recharts';
+import { X, ChevronLeft, Play, Pause, Vibrate, Bell, Coffee, WifiOff } from 'lucide-react';
+import AppleRing from './AppleRing';
+import { getSessionsInRange, findHapticAlerts, summarizeAlerts } from './sessionStore';
+import { findGaps } from './sessionStats';
+import { zoneColor } from './colors';
+
+// --- DAY DETAIL & SESSION REPLAY ---
+// Lists the sessions recorded on one calendar day. Opening a session shows its
+// angle timeline with zone bands, breaks, dropouts, and posture alert and
+// haptic buzz markers, plus a scrubber that replays the gauge at any moment of
+// the session. Sessions recorded with several sensors are replayed one device
+// at a time.
+
+const MAX_CHART_POINTS = 600;
+const REPLAY_TICK_MS = 100;
+const REPLAY_SPEED = 10; // session seconds per real second
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// "3 alerts · fixed in ~8s" for the session list
+const describeAlerts = (session) => {
+  const { count, avgCorrectionMs } = summarizeAlerts(session.alerts);
+  const fixed = avgCorrectionMs === null ? '' : ` · fixed in ~${Math.round(avgCorrectionMs / 1000)}s`;
+  return `${count} ${count === 1 ? 'alert' : 'alerts'}${fixed} · ${(session.hapticAlerts || []).length} buzzes`;
+};
+
+const formatOffset = (ms) => {
+  const total = Math.floor(ms / 1000);
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+};
+
+// Contiguous runs of the same zone, as [start, end) offsets in ms
+const zoneBands = (samples, startedAt) => {
+  const bands = [];
+  samples.forEach((p, i) => {
+    const x = p.t - startedAt;
+    const last = bands[bands.length - 1];
+    if (last && last.status === p.status) {
+      last.x2 = x;
+    } else {
+      if (last) last.x2 = x;
+      bands.push({ status: p.status, x1: x, x2: x });
+    }
+    if (i === samples.length - 1) bands[bands.length - 1].x2 = x;
+  });
+  return bands.filter(b => b.x2 > b.x1);
+};
+
+// Last sample at or before the given offset (samples are in time order)
+const sampleAt = (samples, t) => {
+  let lo = 0;
+  let hi = samples.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (samples[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  return samples[lo];
+};
+
+export default function DayDetail({ dayKey, version, colors, onClose, onExport }) {
+  const [sessions, setSessions] = useState([]);
+  const [openSession, setOpenSession] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const from = new Date(`${dayKey}T00:00`);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+    setOpenSession(null);
+    getSessionsInRange(from.getTime(), to.getTime())
+      .then(result => { if (!cancelled) setSessions(result); })
+      .catch(() => { if (!cancelled) setSessions([]); });
+    return () => { cancelled = true; };
+  }, [dayKey, version]);
+
+  const title = new Date(`${dayKey}T00:00`).toLocaleDateString('default', { weekday: 'long', month: 'long', day: 'numeric' });
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="p-6 md:p-8 rounded-[2rem] border space-y-6 transition-colors"
+      style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          {openSession && (
+            <button onClick={() => setOpenSession(null)} className="p-2 rounded-full hover:opacity-70" aria-label="Back to sessions">
+              <ChevronLeft size={20} />
+            </button>
+          )}
+          <div>
+            <h3 className="text-xl font-bold">{title}</h3>
+            <span className="text-sm" style={{ color: colors.mutedText }}>
+              {openSession
+                ? `${formatClock(openSession.startedAt)} – ${formatClock(openSession.endedAt)}`
+                : `${sessions.length} ${sessions.length === 1 ? 'session' : 'sessions'}`}
+            </span>
+          </div>
+        </div>
+        <button onClick={onClose} className="p-2 rounded-full hover:opacity-70" aria-label="Close day view">
+          <X size={20} />
+        </button>
+      </div>
+
+      <AnimatePresence mode="wait">
+        {openSession ? (
+          <SessionReplay key={openSession.id} session={openSession} colors={colors} onExport={onExport} />
+        ) : (
+          <motion.div key="list" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="space-y-2">
+            {sessions.map(session => (
+              <button
+                key={session.id}
+                onClick={() => setOpenSession(session)}
+                className="w-full flex items-center justify-between px-4 py-3 rounded-xl border hover:opacity-80 transition-opacity text-left"
+                style={{ backgroundColor: colors.inputBg, borderColor: colors.borderColor }}
+              >
+                <div>
+                  <span className="font-bold block">{formatClock(session.startedAt)} – {formatClock(session.endedAt)}</span>
+                  <span className="text-xs" style={{ color: colors.mutedText }}>
+                    {formatOffset(session.duration * 1000)} tracked{session.breakMs ? ` (${formatOffset(session.breakMs)} on breaks)` : ''} · {describeAlerts(session)}
+                  </span>
+                </div>
+                <span className="text-2xl font-bold tabular-nums" style={{ color: colors.lightText }}>{session.score}</span>
+              </button>
+            ))}
+            {!sessions.length && <p className="text-sm" style={{ color: colors.mutedText }}>No sessions recorded.</p>}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
+
+function SessionReplay({ session, colors, onExport }) {
+  const { startedAt } = session;
+  const devices = session.devices || [];
+  const [deviceId, setDeviceId] = useState(devices.length > 1 ? devices[0].id : null);
+
+  const samples = useMemo(
+    () => (deviceId ? session.samples.filter(p => p.device === deviceId) : session.samples),
+    [session.samples, deviceId]
+  );
+  const endOffset = samples.length ? samples[samples.length - 1].t - startedAt : 0;
+
+  const [offset, setOffset] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  // Dropouts of the replayed device
+  const gaps = useMemo(() => findGaps(samples), [samples]);
+
+  // A null point inside each dropout breaks the line there
+  const chartData = useMemo(() => {
+    const step = Math.max(1, Math.ceil(samples.length / MAX_CHART_POINTS));
+    const points = samples.filter((_, i) => i % step === 0).map(p => ({ x: p.t - startedAt, angle: p.angle }));
+    const breaks = gaps.map(gap => ({ x: gap.start - startedAt + 1, angle: null }));
+    return [...points, ...breaks].sort((a, b) => a.x - b.x);
+  }, [samples, startedAt, gaps]);
+
+  const bands = useMemo(() => zoneBands(samples, startedAt), [samples, startedAt]);
+  const buzzes = deviceId
+    ? findHapticAlerts(samples).map(t => t - startedAt)
+    : (session.hapticAlerts || []).map(t => t - startedAt);
+  const postureAlerts = (session.alerts || []).filter(a => !deviceId || a.device === deviceId);
+  const { avgCorrectionMs } = summarizeAlerts(postureAlerts);
+
+  // Replay advances the scrubber in real time × REPLAY_SPEED
+  useEffect(() => {
+    if (!playing) return;
+    const interval = setInterval(() => {
+      setOffset(o => Math.min(endOffset, o + REPLAY_TICK_MS * REPLAY_SPEED));
+    }, REPLAY_TICK_MS);
+    return () => clearInterval(interval);
+  }, [playing, endOffset]);
+
+  useEffect(() => {
+    if (playing && offset >= endOffset) setPlaying(false);
+  }, [playing, offset, endOffset]);
+
+  if (!samples.length) {
+    return <p className="text-sm" style={{ color: colors.mutedText }}>This session has no samples.</p>;
+  }
+
+  const current = sampleAt(samples, startedAt + offset);
+  const currentColor = zoneColor(current.status, colors);
+
+  return (
+    <motion.div key="replay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="space-y-6">
+      {devices.length > 1 && (
+        <div className="flex flex-wrap gap-2">
+          {devices.map(device => (
+            <button
+              key={device.id}
+              onClick={() => setDeviceId(device.id)}
+              className={`px-3 py-1.5 rounded-lg border text-xs font-bold transition-all ${device.id === deviceId ? 'bg-white/10' : 'border-white/10 hover:bg-white/5'}`}
+              style={device.id === deviceId ? { borderColor: colors.accentPink } : { color: colors.mutedText }}
+            >
+              {device.name} · {device.score}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-col md:flex-row items-center gap-6">
+        {/* Gauge at the scrubbed moment */}
+        <div className="relative scale-75 -my-8 shrink-0">
+          <AppleRing angle={current.angle} status={{ color: currentColor }} />
+          <div className="absolute inset-0 flex flex-col items-center justify-center">
+            <span className="text-5xl font-bold tabular-nums">{Math.abs(current.angle).toFixed(0)}°</span>
+            <span className="text-sm font-bold uppercase tracking-wider mt-1" style={{ color: currentColor }}>{current.status}</span>
+          </div>
+        </div>
+
+        <div className="flex-1 w-full grid grid-cols-3 gap-x-3 gap-y-4 text-center">
+          <div>
+            <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Score</span>
+            <span className="text-2xl font-bold">{session.score}</span>
+          </div>
+          <div>
+            <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Slips</span>
+            <span className="text-2xl font-bold">{session.poorEpisodes ?? '--'}</span>
+          </div>
+          <div>
+            <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Buzzes</span>
+            <span className="text-2xl font-bold">{buzzes.length}</span>
+          </div>
+          <div>
+            <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Alerts</span>
+            <span className="text-2xl font-bold">{postureAlerts.length}</span>
+          </div>
+          <div>
+            <span className="text-xs uppercase tracking-wider font-bold block" style={{ color: colors.mutedText }}>Fix Time</span>
+            <span className="text-2xl font-bold">{avgCorrectionMs === null ? '--' : `${Math.round(avgCorrectionMs / 1000)}s`}</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      <div className="h-48">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            {bands.map((band, i) => (
+              <ReferenceArea
+                key={i}
+                x1={band.x1}
+                x2={band.x2}
+                fill={zoneColor(band.status, colors)}
+                fillOpacity={0.15}
+                strokeOpacity={0}
+                ifOverflow="hidden"
+              />
+            ))}
+            {(session.breaks || []).map(b => (
+              <ReferenceArea
+                key={`break-${b.start}`}
+                x1={b.start - startedAt}
+                x2={b.end - startedAt}
+                fill={colors.mutedText}
+                fillOpacity={0.35}
+                strokeOpacity={0}
+                ifOverflow="hidden"
+              />
+            ))}
+            {gaps.map(gap => (
+              <ReferenceArea
+                key={`gap-${gap.start}`}
+                x1={gap.start - startedAt}
+                x2={gap.end - startedAt}
+                fill={colors.moveRed}
+                fillOpacity={0.08}
+                stroke={colors.moveRed}
+                strokeOpacity={0.4}
+                strokeDasharray="4 4"
+                ifOverflow="hidden"
+              />
+            ))}
+            {postureAlerts.map(alert => (
+              <ReferenceLine key={`alert-${alert.id}`} x={alert.firedAt - startedAt} stroke={colors.warningYellow} />
+            ))}
+            {buzzes.map((x, i) => (
+              <ReferenceLine key={`buzz-${i}`} x={x} stroke={colors.moveRed} strokeDasharray="3 3" />
+            ))}
+            <ReferenceLine x={offset} stroke={colors.lightText} strokeWidth={2} />
+            <XAxis
+              dataKey="x"
+              type="number"
+              domain={[0, endOffset]}
+              tickFormatter={formatOffset}
+              stroke={colors.mutedText}
+              fontSize={11}
+            />
+            <YAxis hide domain={[-45, 45]} />
+            <Line type="monotone" dataKey="angle" stroke={colors.lightText} strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Scrubber */}
+      <div className="flex items-center gap-4">
+        <button
+          onClick={() => {
+            if (!playing && offset >= endOffset) setOffset(0);
+            setPlaying(p => !p);
+          }}
+          className="w-10 h-10 rounded-full flex items-center justify-center shrink-0 hover:brightness-90"
+          style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+          aria-label={playing ? 'Pause replay' : 'Play replay'}
+        >
+          {playing ? <Pause size={16} fill="currentColor" /> : <Play size={16} fill="currentColor" />}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={endOffset}
+          step={100}
+          value={offset}
+          onChange={(e) => {
+            setPlaying(false);
+            setOffset(Number(e.target.value));
+          }}
+          className="flex-1 h-2 rounded-lg appearance-none cursor-pointer accent-white"
+          aria-label="Session position"
+        />
+        <span className="text-sm tabular-nums w-24 text-right" style={{ color: colors.mutedText }}>
+          {new Date(startedAt + offset).toLocaleTimeString()}
+        </span>
+      </div>
+
+      <div className="flex items-center justify-between text-xs" style={{ color: colors.mutedText }}>
+        <div className="flex flex-wrap gap-4">
+          <span className="flex items-center gap-2"><Bell size={14} style={{ color: colors.warningYellow }} /> Yellow lines mark posture alerts</span>
+          <span className="flex items-center gap-2"><Vibrate size={14} style={{ color: colors.moveRed }} /> Dashed lines mark haptic buzzes</span>
+          {session.breakMs > 0 && <span className="flex items-center gap-2"><Coffee size={14} /> Grey spans are breaks</span>}
+          {gaps.length > 0 && <span className="flex items-center gap-2"><WifiOff size={14} style={{ color: colors.moveRed }} /> Outlined spans had no data</span>}
+        </div>
+        <div className="flex gap-2">
+          {['csv', 'json'].map(format => (
+            <button
+              key={format}
+              onClick={() => onExport(session, format)}
+              className="px-3 py-1.5 rounded-lg border uppercase font-bold hover:opacity-80"
+              style={{ borderColor: colors.borderColor, color: colors.lightText }}
+            >
+              {format}
+            </button>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,35 @@
+import { useEffect } from 'react';
+import useDeviceStream from './useDeviceStream';
+import useDeviceConfig from './useDeviceConfig';
+
+// --- DEVICE LINK ---
+// Hooks can't be called once per list entry, so each connected sensor gets one
+// of these renderless components: it owns that device's stream and haptic
+// config sync, and reports readings, link state, link health and rejected
+// tokens back up by device id.
+
+export default function DeviceLink({ device, enabled, wsPort, preferWebSocket, pollInterval, maxFailures, desiredConfig, onReading, onStatus, onHealth, onUnauthorized }) {
+  const { id, host, port, token } = device;
+
+  const { transport } = useDeviceStream({
+    host,
+    port,
+    token,
+    wsPort,
+    enabled,
+    preferWebSocket,
+    pollInterval,
+    maxFailures,
+    onReading: (reading) => onReading(id, reading),
+    onUnauthorized: () => onUnauthorized(id),
+    onHealth: (health) => onHealth(id, health)
+  });
+
+  const { syncState } = useDeviceConfig({ host, port, token, enabled, desired: desiredConfig });
+
+  useEffect(() => {
+    onStatus(id, { transport, syncState });
+  }, [id, transport, syncState, onStatus]);
+
+  return null;
+}
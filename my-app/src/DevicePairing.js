@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { KeyRound, Loader2 } from 'lucide-react';
+import { startPairing, pairDevice } from './deviceApi';
+
+// --- DEVICE PAIRING ---
+// Shown on a device card when the sensor wants a token. "Pair" makes the
+// sensor blink a short code on its LED; typing that code in here gets the
+// token, which is handed to onPaired to be saved with the device.
+
+export default function DevicePairing({ index, device, colors, onPaired }) {
+  const [step, setStep] = useState('idle'); // idle, starting, code, pairing
+  const [digits, setDigits] = useState(4);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+
+  const mountedRef = useRef(true);
+  useEffect(() => () => { mountedRef.current = false; }, []);
+
+  const begin = async () => {
+    setStep('starting');
+    setError('');
+    setCode('');
+    try {
+      const result = await startPairing(device);
+      if (!mountedRef.current) return;
+      setDigits(result.digits || 4);
+      setStep('code');
+    } catch (err) {
+      if (!mountedRef.current) return;
+      // 409: a code from an earlier attempt is still blinking; it can be read as is
+      if (err.status === 409 && err.data) {
+        setDigits(err.data.digits || 4);
+        setStep('code');
+        return;
+      }
+      setError(err.message);
+      setStep('idle');
+    }
+  };
+
+  const submit = async () => {
+    setStep('pairing');
+    setError('');
+    try {
+      const token = await pairDevice(device, code);
+      if (mountedRef.current) setStep('idle');
+      onPaired(token);
+    } catch (err) {
+      if (!mountedRef.current) return;
+      // 409: the code expired; 429: too many wrong guesses locked pairing for a while
+      setError(err.status === 409 ? 'That code has expired. Start pairing again.' : err.message);
+      setStep(err.status === 409 || err.status === 429 ? 'idle' : 'code');
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-xl border space-y-3" style={{ borderColor: colors.borderColor, backgroundColor: colors.inputBg }}>
+      <div className="flex items-center gap-2 text-sm font-bold" style={{ color: colors.lightText }}>
+        <KeyRound size={16} className="text-blue-500" /> Pair this sensor
+      </div>
+
+      {step === 'code' || step === 'pairing' ? (
+        <>
+          <p className="text-xs" style={{ color: colors.mutedText }}>
+            Count the flashes of the light on {device.name}: each digit blinks that many times, then pauses. Enter the {digits}-digit code.
+          </p>
+          <div className="flex gap-3">
+            <input
+              type="text"
+              inputMode="numeric"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, digits))}
+              aria-label={`Device ${index + 1} pairing code`}
+              className="flex-1 min-w-0 border rounded-xl px-4 py-3 font-mono tracking-[0.5em] outline-none focus:border-blue-500"
+              style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor, color: colors.lightText }}
+              placeholder={'•'.repeat(digits)}
+            />
+            <button
+              onClick={submit}
+              disabled={code.length !== digits || step === 'pairing'}
+              className="bg-blue-600 px-6 rounded-xl font-bold hover:bg-blue-500 transition-colors flex items-center gap-2 disabled:opacity-50"
+            >
+              {step === 'pairing' && <Loader2 size={16} className="animate-spin" />} Pair
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-xs" style={{ color: colors.mutedText }}>
+            This sensor only answers apps it has been paired with.
+          </p>
+          <button
+            onClick={begin}
+            disabled={step === 'starting'}
+            aria-label={`Pair ${device.name}`}
+            className="bg-blue-600 px-5 py-2 rounded-lg text-sm font-bold hover:bg-blue-500 transition-colors shrink-0 flex items-center gap-2 disabled:opacity-50"
+          >
+            {step === 'starting' && <Loader2 size={14} className="animate-spin" />} Pair
+          </button>
+        </div>
+      )}
+
+      {error && <p role="alert" className="text-xs" style={{ color: colors.moveRed }}>{error}</p>}
+    </div>
+  );
+}
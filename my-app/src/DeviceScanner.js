@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, Loader2 } from 'lucide-react';
+import { candidateAddresses, scanForDevices } from './discovery';
+
+// --- DEVICE SCANNER ---
+// "Scan" probes the soft-AP address, saved devices and an optional address
+// range for sensors, and lists whatever answers so it can be connected with
+// one click.
+
+export default function DeviceScanner({ devices, colors, onConnect }) {
+  const [range, setRange] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [results, setResults] = useState(null); // null until the first scan
+  const [error, setError] = useState('');
+
+  const mountedRef = useRef(true);
+  useEffect(() => () => { mountedRef.current = false; }, []);
+
+  const scan = async () => {
+    let candidates;
+    try {
+      candidates = candidateAddresses({ devices, range });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setError('');
+    setResults([]);
+    setScanning(true);
+    await scanForDevices(candidates, {
+      onFound: (result) => { if (mountedRef.current) setResults(prev => [...prev, result]); }
+    });
+    if (mountedRef.current) setScanning(false);
+  };
+
+  const savedIds = new Set(devices.map(d => d.deviceId).filter(Boolean));
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <span className="text-sm font-bold block" style={{ color: colors.lightText }}>Find Devices</span>
+        <span className="text-xs mt-0.5" style={{ color: colors.mutedText }}>Checks the sensor's own network, saved devices and an optional address range</span>
+      </div>
+      <div className="flex gap-3">
+        <input
+          type="text"
+          value={range}
+          onChange={(e) => setRange(e.target.value)}
+          aria-label="Address range"
+          className="flex-1 min-w-0 border rounded-xl px-4 py-3 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none transition-all font-mono"
+          style={{ backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText }}
+          placeholder="192.168.1.20-60 (optional)"
+        />
+        <button
+          onClick={scan}
+          disabled={scanning}
+          className="px-6 rounded-xl font-bold flex items-center gap-2 hover:brightness-90 disabled:opacity-50"
+          style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+        >
+          {scanning ? <Loader2 size={16} className="animate-spin" /> : <Search size={16} />} Scan
+        </button>
+      </div>
+      {error && <p className="text-xs" style={{ color: colors.moveRed }}>{error}</p>}
+
+      {results && (
+        <div className="space-y-2">
+          {results.map(({ host, port, identity }) => (
+            <div
+              key={identity.device_id}
+              className="flex items-center justify-between px-4 py-3 rounded-xl border"
+              style={{ backgroundColor: colors.inputBg, borderColor: colors.borderColor }}
+            >
+              <div className="min-w-0">
+                <span className="font-bold block truncate">{identity.hostname || identity.device_id}</span>
+                <span className="text-xs font-mono" style={{ color: colors.mutedText }}>
+                  {host}:{port} · v{identity.firmware}{savedIds.has(identity.device_id) ? ' · saved' : ''}
+                </span>
+              </div>
+              <button
+                onClick={() => onConnect({ host, port, identity })}
+                aria-label={`Connect ${identity.device_id}`}
+                className="bg-blue-600 px-4 py-2 rounded-lg text-sm font-bold hover:bg-blue-500 transition-colors shrink-0"
+              >
+                Connect
+              </button>
+            </div>
+          ))}
+          {!scanning && !results.length && (
+            <p className="text-sm" style={{ color: colors.mutedText }}>No devices answered.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Lock, Loader2 } from 'lucide-react';
+import { checkPin } from './profiles';
+
+// --- PROFILE LOCK ---
+// Asks for the PIN before a protected profile opens, on start-up and when
+// switching to it. The other profiles are listed underneath so someone else
+// can open theirs instead; onCancel (when given) goes back to the profile that
+// was open before.
+
+export default function ProfileLock({ profile, profiles, onUnlock, onPick, onCancel, colors }) {
+  const [pin, setPin] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+
+  const mountedRef = useRef(true);
+  useEffect(() => () => { mountedRef.current = false; }, []);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setChecking(true);
+    setError('');
+    let ok;
+    try {
+      ok = await checkPin(profile, pin);
+    } catch (err) {
+      if (!mountedRef.current) return;
+      setChecking(false);
+      setError(`Could not check the PIN: ${err.message}`);
+      return;
+    }
+    if (!mountedRef.current) return;
+    setChecking(false);
+    if (ok) {
+      onUnlock();
+    } else {
+      setError('Wrong PIN');
+      setPin('');
+    }
+  };
+
+  const others = profiles.filter(p => p.id !== profile.id);
+
+  return (
+    <div className="flex h-[100dvh] items-center justify-center font-sans p-6" style={{ backgroundColor: colors.darkBg, color: colors.lightText }}>
+      <form
+        onSubmit={submit}
+        aria-label={`Unlock ${profile.name}`}
+        className="w-full max-w-sm p-8 rounded-[2rem] border space-y-6"
+        style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}
+      >
+        <div className="text-center space-y-2">
+          <Lock size={32} className="mx-auto" style={{ color: colors.accentPink }} />
+          <h2 className="text-2xl font-bold">{profile.name}</h2>
+          <p className="text-sm" style={{ color: colors.mutedText }}>Enter the PIN for this profile</p>
+        </div>
+        <input
+          type="password"
+          inputMode="numeric"
+          autoFocus
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, 8))}
+          aria-label="PIN"
+          className="w-full border rounded-xl px-4 py-3 font-mono text-center tracking-[0.5em] outline-none focus:border-blue-500"
+          style={{ backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText }}
+        />
+        {error && <p role="alert" className="text-sm text-center text-red-500">{error}</p>}
+        <button
+          type="submit"
+          disabled={!pin || checking}
+          className="w-full py-3 rounded-xl font-bold flex items-center justify-center gap-2 disabled:opacity-50"
+          style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+        >
+          {checking && <Loader2 size={16} className="animate-spin" />} Unlock
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="w-full text-sm" style={{ color: colors.mutedText }}>
+            Cancel
+          </button>
+        )}
+        {others.length > 0 && (
+          <div className="pt-4 border-t space-y-2" style={{ borderColor: colors.borderColor }}>
+            <span className="text-xs uppercase tracking-wider font-bold" style={{ color: colors.mutedText }}>Other profiles</span>
+            <div className="flex flex-wrap gap-2">
+              {others.map(p => (
+                <button
+                  key={p.id}
+                  type="button"
+                  onClick={() => onPick(p.id)}
+                  className="px-3 py-1.5 rounded-lg border text-sm flex items-center gap-1.5 hover:bg-white/5"
+                  style={{ borderColor: colors.borderColor, color: colors.lightText }}
+                >
+                  {p.name} {p.pin && <Lock size={12} />}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+}
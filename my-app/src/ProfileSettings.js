@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Users, Lock, Unlock, Trash2 } from 'lucide-react';
+import { createPin, isValidPin, canUsePins } from './profiles';
+
+// --- PROFILE SETTINGS ---
+// Settings card for the open profile: its name, an optional PIN and deleting
+// it. Deleting takes the profile's settings, devices and session history with
+// it, so it asks twice; the last profile on the install cannot be deleted, nor
+// one with a session running.
+
+export default function ProfileSettings({ profile, profileCount, sessionActive, onUpdate, onDelete, colors }) {
+  const [name, setName] = useState(profile.name);
+  const [pin, setPin] = useState('');
+  const [pinError, setPinError] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const pinsAvailable = canUsePins();
+
+  const mountedRef = useRef(true);
+  useEffect(() => () => { mountedRef.current = false; }, []);
+
+  const rename = () => {
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== profile.name) onUpdate({ name: trimmed });
+    else setName(profile.name);
+  };
+
+  const savePin = async () => {
+    setPinError('');
+    try {
+      const stored = await createPin(pin);
+      if (!mountedRef.current) return;
+      setPin('');
+      onUpdate({ pin: stored });
+    } catch (err) {
+      if (mountedRef.current) setPinError(`Could not save the PIN: ${err.message}`);
+    }
+  };
+
+  const inputStyle = { backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText };
+  const buttonClass = 'px-4 py-2 rounded-xl font-bold text-sm border hover:opacity-80 transition-opacity flex items-center gap-2 disabled:opacity-50';
+
+  return (
+    <div className="p-8 rounded-[2rem] border space-y-8 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+      <h3 className="text-lg font-semibold flex items-center gap-2" style={{ color: colors.lightText }}>
+        <Users size={20} style={{ color: colors.accentPink }} /> Profile
+      </h3>
+
+      <div className="space-y-2">
+        <span className="text-sm font-bold block" style={{ color: colors.lightText }}>Name</span>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={rename}
+          onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+          aria-label="Profile name"
+          maxLength={40}
+          className="w-full border rounded-xl px-4 py-3 outline-none focus:border-blue-500"
+          style={inputStyle}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <span className="text-sm font-bold block" style={{ color: colors.lightText }}>PIN</span>
+        <span className="text-xs block" style={{ color: colors.mutedText }}>
+          {profile.pin
+            ? 'This profile asks for its PIN when it is opened.'
+            : 'Ask for a PIN of 4 to 8 digits when this profile is opened. It keeps others out of the app, but does not encrypt the data in this browser.'}
+        </span>
+        {!pinsAvailable && (
+          <span className="text-xs block text-yellow-500">
+            The browser only checks PINs on https or localhost. Open SpineUp from localhost on the computer serving it to set one.
+          </span>
+        )}
+        <div className="flex gap-3">
+          <input
+            type="password"
+            inputMode="numeric"
+            value={pin}
+            onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, 8))}
+            aria-label={profile.pin ? 'New PIN' : 'PIN'}
+            placeholder={profile.pin ? 'New PIN' : '4-8 digits'}
+            className="flex-1 min-w-0 border rounded-xl px-4 py-2 font-mono tracking-[0.3em] outline-none focus:border-blue-500"
+            style={inputStyle}
+          />
+          <button onClick={savePin} disabled={!pinsAvailable || !isValidPin(pin)} className={buttonClass} style={{ borderColor: colors.borderColor, color: colors.lightText }}>
+            <Lock size={14} /> {profile.pin ? 'Change PIN' : 'Set PIN'}
+          </button>
+          {profile.pin && (
+            <button onClick={() => onUpdate({ pin: null })} className={buttonClass} style={{ borderColor: colors.borderColor, color: colors.mutedText }}>
+              <Unlock size={14} /> Remove PIN
+            </button>
+          )}
+        </div>
+        {pinError && <p role="alert" className="text-sm text-red-500">{pinError}</p>}
+      </div>
+
+      {profileCount > 1 && (
+        <div className="flex flex-wrap items-center gap-3 pt-6 border-t" style={{ borderColor: colors.borderColor }}>
+          {confirmDelete ? (
+            <>
+              <span className="text-sm flex-1" style={{ color: colors.lightText }}>
+                Delete {profile.name} with its settings, devices and session history?
+              </span>
+              <button onClick={() => setConfirmDelete(false)} className={buttonClass} style={{ borderColor: colors.borderColor, color: colors.mutedText }}>
+                Keep
+              </button>
+              <button onClick={onDelete} disabled={sessionActive} className={`${buttonClass} text-red-500`} style={{ borderColor: colors.moveRed }}>
+                <Trash2 size={14} /> Delete
+              </button>
+            </>
+          ) : (
+            <button onClick={() => setConfirmDelete(true)} disabled={sessionActive} className={`${buttonClass} text-red-500`} style={{ borderColor: colors.borderColor }}>
+              <Trash2 size={14} /> Delete Profile
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
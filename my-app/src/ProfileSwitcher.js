@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Users, Lock, Plus, ChevronDown, Check } from 'lucide-react';
+
+// --- PROFILE SWITCHER ---
+// Menu listing the profiles on this install, in the sidebar and (`compact`) the
+// mobile header. Picking one hands its id to onSwitch (which asks for the PIN
+// if it has one); switching is held while a session is running so it is never
+// cut short.
+
+export default function ProfileSwitcher({ profile, profiles, disabled, onSwitch, onAdd, colors, compact = false }) {
+  const [open, setOpen] = useState(false);
+
+  const pick = (id) => {
+    setOpen(false);
+    if (id !== profile.id) onSwitch(id);
+  };
+
+  return (
+    <div className={compact ? 'relative' : 'relative mb-6'}>
+      <button
+        onClick={() => setOpen(o => !o)}
+        disabled={disabled}
+        aria-expanded={open}
+        aria-label={`Profile: ${profile.name}`}
+        title={disabled ? 'End the session to switch profiles' : undefined}
+        className={`${compact ? 'max-w-[10rem] gap-2 px-3 py-1.5' : 'w-full gap-3 px-4 py-3'} flex items-center rounded-xl border transition-colors hover:bg-white/5 disabled:opacity-50 disabled:hover:bg-transparent`}
+        style={{ borderColor: colors.borderColor, backgroundColor: colors.inputBg }}
+      >
+        <Users size={compact ? 16 : 18} className="shrink-0" style={{ color: colors.accentPink }} />
+        <span className="text-sm font-medium truncate" style={{ color: colors.lightText }}>{profile.name}</span>
+        {profile.pin && <Lock size={12} style={{ color: colors.mutedText }} />}
+        <ChevronDown size={16} className={`ml-auto transition-transform ${open ? 'rotate-180' : ''}`} style={{ color: colors.mutedText }} />
+      </button>
+
+      {open && !disabled && (
+        <div
+          role="menu"
+          aria-label="Profiles"
+          className={`absolute ${compact ? 'right-0 w-56' : 'left-0 right-0'} mt-2 p-2 rounded-xl border shadow-xl z-20 space-y-1`}
+          style={{ backgroundColor: colors.cardBg, borderColor: colors.borderColor }}
+        >
+          {profiles.map(p => (
+            <button
+              key={p.id}
+              role="menuitem"
+              onClick={() => pick(p.id)}
+              className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-left hover:bg-white/5"
+              style={{ color: p.id === profile.id ? colors.lightText : colors.mutedText }}
+            >
+              <span className="truncate">{p.name}</span>
+              {p.pin && <Lock size={12} aria-label="PIN protected" />}
+              {p.id === profile.id && <Check size={14} className="ml-auto" style={{ color: colors.accentPink }} />}
+            </button>
+          ))}
+          <button
+            role="menuitem"
+            onClick={() => { setOpen(false); onAdd(); }}
+            className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm border-t hover:bg-white/5"
+            style={{ color: colors.mutedText, borderColor: colors.borderColor }}
+          >
+            <Plus size={14} /> Add Profile
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
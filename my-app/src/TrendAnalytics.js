@@ -0,0 +1,193 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer
+} from 'recharts';
+import { TrendingUp, Clock, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { classifyAngle } from './posturePipeline';
+import { zoneColor, scoreColor } from './colors';
+import {
+  TREND_DAYS, dailyTrend, compareWeeks, scoreByHour, scoreByWeekday, worstBucket, angleHistogram, bestAndWorstDays
+} from './analytics';
+
+// --- TREND ANALYTICS ---
+// Week and month view of the saved sessions for the History tab: daily score
+// with rolling 7- and 30-day averages, this week against last, when in the day
+// and week posture gets worse, how far from upright the user sits, total
+// tracked time and the best and worst days (which open in the day detail).
+// Day and week figures come from session summaries; the hour, weekday and
+// angle charts from `sampledSessions`, the last TREND_DAYS days with samples.
+
+const RANGES = [
+  { days: 7, label: '7 Days' },
+  { days: TREND_DAYS, label: '30 Days' }
+];
+
+const formatHour = (hour) => new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric' });
+
+const formatMinutes = (minutes) => (minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`);
+
+const formatDay = (dayKey) => new Date(`${dayKey}T00:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+export default function TrendAnalytics({ sessions, sampledSessions, thresholds, colors, onSelectDay }) {
+  const [days, setDays] = useState(TREND_DAYS);
+
+  const analytics = useMemo(() => {
+    const now = Date.now();
+    const trend = dailyTrend(sessions, days, now);
+    const inRange = sampledSessions.filter(s => s.startedAt >= trend[0].start);
+    const byHour = scoreByHour(inRange);
+    const byWeekday = scoreByWeekday(inRange);
+    return {
+      trend,
+      weeks: compareWeeks(sessions, now),
+      byHour,
+      byWeekday,
+      worstHour: worstBucket(byHour),
+      worstWeekday: worstBucket(byWeekday),
+      histogram: angleHistogram(inRange),
+      minutes: trend.reduce((sum, day) => sum + day.minutes, 0),
+      ...bestAndWorstDays(trend)
+    };
+  }, [sessions, sampledSessions, days]);
+
+  const { trend, weeks, byHour, byWeekday, worstHour, worstWeekday, histogram, minutes, best, worst } = analytics;
+  const tooltipStyle = { backgroundColor: '#333', borderRadius: '8px', border: 'none' };
+  const axisProps = { stroke: colors.mutedText, fontSize: 11, tickLine: false, axisLine: false };
+
+  const panel = (title, children, caption = null) => (
+    <div className="p-6 rounded-3xl border space-y-3 transition-colors" style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}>
+      <h4 className="text-xs uppercase tracking-wider font-bold" style={{ color: colors.mutedText }}>{title}</h4>
+      {children}
+      {caption && <p className="text-xs" style={{ color: colors.mutedText }}>{caption}</p>}
+    </div>
+  );
+
+  const tile = (label, value, detail, icon, onClick = null) => {
+    const Tag = onClick ? 'button' : 'div';
+    return (
+      <Tag
+        onClick={onClick || undefined}
+        aria-label={label}
+        className={`p-5 rounded-3xl border flex flex-col text-left transition-colors ${onClick ? 'hover:bg-white/5' : ''}`}
+        style={{ backgroundColor: colors.panelBg, borderColor: colors.borderColor }}
+      >
+        <span className="text-sm flex items-center gap-2" style={{ color: colors.mutedText }}>{icon} {label}</span>
+        <span className="text-2xl font-bold mt-1" style={{ color: colors.lightText }}>{value}</span>
+        <span className="text-xs mt-1" style={{ color: colors.mutedText }}>{detail}</span>
+      </Tag>
+    );
+  };
+
+  return (
+    <section className="space-y-6" aria-label="Trends">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-bold flex items-center gap-2" style={{ color: colors.lightText }}>
+          <TrendingUp className="text-green-500" size={20} /> Trends
+        </h3>
+        <div className="flex gap-2">
+          {RANGES.map(range => (
+            <button
+              key={range.days}
+              onClick={() => setDays(range.days)}
+              aria-pressed={days === range.days}
+              className={`px-3 py-1.5 rounded-lg border text-xs font-bold transition-all ${days === range.days ? 'bg-white/10' : 'border-white/10 hover:bg-white/5'}`}
+              style={days === range.days ? { borderColor: colors.accentPink } : { color: colors.mutedText }}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {tile(
+          'This Week',
+          weeks.thisWeek.score === null ? '--' : `${weeks.thisWeek.score}%`,
+          weeks.scoreChange === null ? 'No sessions to compare with last week' : `${signed(weeks.scoreChange)} pts vs last week`,
+          <TrendingUp size={14} />
+        )}
+        {tile(
+          'Tracked',
+          formatMinutes(minutes),
+          weeks.minutesChange === null ? `Over the last ${days} days` : `Last ${days} days · ${signed(weeks.minutesChange)}% week on week`,
+          <Clock size={14} />
+        )}
+        {tile(
+          'Best Day',
+          best ? `${best.score}%` : '--',
+          best ? formatDay(best.date) : 'No sessions yet',
+          <ThumbsUp size={14} />,
+          best ? () => onSelectDay(best.date) : null
+        )}
+        {tile(
+          'Worst Day',
+          worst ? `${worst.score}%` : '--',
+          worst ? formatDay(worst.date) : 'No sessions yet',
+          <ThumbsDown size={14} />,
+          worst ? () => onSelectDay(worst.date) : null
+        )}
+      </div>
+
+      {panel('Score Trend', (
+        <div className="h-56">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={trend}>
+              <XAxis dataKey="label" {...axisProps} interval="preserveStartEnd" />
+              <YAxis domain={[0, 100]} {...axisProps} width={30} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Line type="monotone" dataKey="score" name="Day" stroke={colors.mutedText} strokeWidth={0} dot={{ r: 3, fill: colors.mutedText }} isAnimationActive={false} />
+              <Line type="monotone" dataKey="rolling7" name="7-day" stroke={colors.exerciseGreen} strokeWidth={3} dot={false} connectNulls isAnimationActive={false} />
+              <Line type="monotone" dataKey="rolling30" name="30-day" stroke={colors.standBlue} strokeWidth={2} strokeDasharray="5 5" dot={false} connectNulls isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      ), 'Dots are daily scores; the solid line is the rolling 7-day score and the dashed line the rolling 30-day score.')}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {panel('By Hour of Day', (
+          <div className="h-40">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={byHour}>
+                <XAxis dataKey="key" tickFormatter={formatHour} {...axisProps} interval={5} />
+                <Tooltip cursor={{ fill: 'transparent' }} contentStyle={tooltipStyle} labelFormatter={formatHour} />
+                <Bar dataKey="score" name="Score" radius={[4, 4, 0, 0]}>
+                  {byHour.map(bucket => <Cell key={bucket.key} fill={scoreColor(bucket.score, colors)} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        ), worstHour ? `Posture is worst around ${formatHour(worstHour.key)} (${worstHour.score}%)` : null)}
+
+        {panel('By Weekday', (
+          <div className="h-40">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={byWeekday}>
+                <XAxis dataKey="label" {...axisProps} />
+                <Tooltip cursor={{ fill: 'transparent' }} contentStyle={tooltipStyle} />
+                <Bar dataKey="score" name="Score" radius={[4, 4, 0, 0]}>
+                  {byWeekday.map(bucket => <Cell key={bucket.key} fill={scoreColor(bucket.score, colors)} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        ), worstWeekday ? `Posture is worst on ${worstWeekday.label} (${worstWeekday.score}%)` : null)}
+      </div>
+
+      {panel('Angle Distribution', (
+        <div className="h-40">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={histogram}>
+              <XAxis dataKey="label" {...axisProps} />
+              <Tooltip cursor={{ fill: 'transparent' }} contentStyle={tooltipStyle} formatter={(share) => `${share}%`} />
+              <Bar dataKey="share" name="Time" radius={[4, 4, 0, 0]}>
+                {histogram.map(bin => <Cell key={bin.from} fill={zoneColor(classifyAngle(bin.from, thresholds), colors)} />)}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      ), 'Share of readings by distance from upright, coloured by your current zones.')}
+    </section>
+  );
+}
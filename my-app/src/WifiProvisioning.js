@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Router, Loader2, CheckCircle2, AlertCircle } from 'lucide-react';
+import { getWifiStatus, provisionWifi, forgetWifi } from './deviceApi';
+
+// --- WI-FI PROVISIONING ---
+// Hands the sensor the credentials of the home network so it stops running its
+// own access point. The device saves them, restarts and joins in station mode;
+// if it can't, it comes back as "Posture_Alert_AP" and can be provisioned again.
+
+// Same limits the firmware enforces
+const validate = (ssid, password) => {
+  if (ssid.length < 1 || ssid.length > 32) return 'Network name must be 1-32 characters';
+  if (password.length && (password.length < 8 || password.length > 63)) return 'Password must be empty or 8-63 characters';
+  return '';
+};
+
+export default function WifiProvisioning({ host, port, token, isConnected, colors }) {
+  const [status, setStatus] = useState(null);
+  const [ssid, setSsid] = useState('');
+  const [password, setPassword] = useState('');
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+
+  const mountedRef = useRef(true);
+  useEffect(() => () => { mountedRef.current = false; }, []);
+
+  useEffect(() => {
+    if (!isConnected) return;
+    let cancelled = false;
+    getWifiStatus({ host, port, token })
+      .then(result => { if (!cancelled) setStatus(result); })
+      .catch(() => { if (!cancelled) setStatus(null); });
+    return () => { cancelled = true; };
+  }, [host, port, token, isConnected]);
+
+  const send = async () => {
+    const problem = validate(ssid, password);
+    if (problem) {
+      setMessage({ type: 'error', text: problem });
+      return;
+    }
+    setSending(true);
+    setMessage(null);
+    try {
+      const result = await provisionWifi({ host, port, token }, { ssid, password });
+      if (!mountedRef.current) return;
+      setPassword('');
+      setMessage({
+        type: 'success',
+        text: `Saved. The sensor is restarting to join ${result.ssid}. Once your computer is back on that network, use Scan to find its new address.`
+      });
+    } catch (err) {
+      if (mountedRef.current) setMessage({ type: 'error', text: err.message });
+    } finally {
+      if (mountedRef.current) setSending(false);
+    }
+  };
+
+  const forget = async () => {
+    setSending(true);
+    setMessage(null);
+    try {
+      await forgetWifi({ host, port, token });
+      if (mountedRef.current) setMessage({ type: 'success', text: 'Network forgotten. The sensor is restarting as Posture_Alert_AP.' });
+    } catch (err) {
+      if (mountedRef.current) setMessage({ type: 'error', text: err.message });
+    } finally {
+      if (mountedRef.current) setSending(false);
+    }
+  };
+
+  const inputClass = 'w-full border rounded-xl px-4 py-3 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 outline-none transition-all';
+  const inputStyle = { backgroundColor: colors.inputBg, borderColor: colors.borderColor, color: colors.lightText };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <span className="text-sm font-bold flex items-center gap-2" style={{ color: colors.lightText }}>
+          <Router size={16} className="text-blue-500" /> Home Wi-Fi
+        </span>
+        <span className="text-xs mt-0.5 block" style={{ color: colors.mutedText }}>
+          {!isConnected ? 'Connect to the sensor to set up its Wi-Fi'
+            : !status ? 'Checking network...'
+            : status.mode === 'station'
+              ? `Joined ${status.ssid}${status.ip ? ` · ${status.ip}` : ''}${status.connected ? '' : ' (signal lost)'}`
+              : `Running its own network${status.ap_ip ? ` at ${status.ap_ip}` : ''}`}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input
+          type="text"
+          value={ssid}
+          onChange={(e) => setSsid(e.target.value)}
+          aria-label="Wi-Fi network"
+          placeholder="Network name"
+          maxLength={32}
+          disabled={!isConnected}
+          className={inputClass}
+          style={inputStyle}
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          aria-label="Wi-Fi password"
+          placeholder="Password"
+          maxLength={63}
+          disabled={!isConnected}
+          className={inputClass}
+          style={inputStyle}
+        />
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          onClick={send}
+          disabled={!isConnected || sending}
+          className="flex-1 py-3 rounded-xl font-bold flex items-center justify-center gap-2 hover:brightness-90 disabled:opacity-50"
+          style={{ backgroundColor: colors.buttonBg, color: colors.buttonText }}
+        >
+          {sending && <Loader2 size={16} className="animate-spin" />} Save Wi-Fi
+        </button>
+        {status && status.mode === 'station' && (
+          <button
+            onClick={forget}
+            disabled={sending}
+            className="px-6 py-3 rounded-xl border text-sm font-bold hover:bg-white/5 disabled:opacity-50"
+            style={{ borderColor: colors.borderColor, color: colors.mutedText }}
+          >
+            Forget Network
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <p
+          role={message.type === 'error' ? 'alert' : 'status'}
+          className="text-xs flex items-start gap-2"
+          style={{ color: message.type === 'error' ? colors.moveRed : colors.exerciseGreen }}
+        >
+          {message.type === 'error' ? <AlertCircle size={14} className="shrink-0" /> : <CheckCircle2 size={14} className="shrink-0" />}
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
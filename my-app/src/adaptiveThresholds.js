@@ -0,0 +1,121 @@
+// --- ADAPTIVE THRESHOLDS ---
+// Learns where the user's upright posture sits (the baseline) and how much it
+// naturally varies (the spread) from calibration and their best recent
+// sessions, and places the zone boundaries that many spreads above the
+// baseline. Relearning after each session only ever tightens the zones, and by
+// at most `tightenDeg` a time, so the targets move with the user as they
+// improve without jumping. Calibration re-zeroes the sensor, so it starts the
+// learning over and sessions recorded before it are not used.
+
+export const DEFAULT_ADAPTIVE_RULES = {
+  recentSessions: 20, // the best are picked from this many recent sessions
+  bestSessions: 5,
+  minSessionSecs: 300, // shorter sessions are not learned from
+  minSpreadDeg: 1.5, // natural variance never counts as less than this
+  zoneSpreads: { excellent: 1, good: 2.5, fair: 4 }, // boundaries, in spreads above the baseline
+  minThresholds: { excellent: 3, good: 8, fair: 14 },
+  maxThresholds: { excellent: 15, good: 30, fair: 45 }, // the slider ranges
+  minGapDeg: 3, // between neighbouring boundaries
+  tightenDeg: 1 // most a boundary moves in per relearn
+};
+
+const ZONE_KEYS = ['excellent', 'good', 'fair'];
+
+const round1 = (value) => Number(value.toFixed(1));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const standardDeviation = (values) => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+};
+
+// Baseline (median distance from upright) and spread of a set of samples.
+// Break samples are left out, as they are for scoring.
+export const measurePosture = (samples) => {
+  const angles = samples
+    .filter(sample => !sample.onBreak)
+    .map(sample => Math.max(Math.abs(sample.pitch ?? sample.angle), Math.abs(sample.roll ?? 0)));
+  if (!angles.length) return null;
+  return { baseline: round1(median(angles)), spread: round1(standardDeviation(angles)), count: angles.length };
+};
+
+// Zone boundaries for a baseline and spread, kept in range and in order
+export const thresholdsFor = ({ baseline, spread }, rules = {}) => {
+  const config = { ...DEFAULT_ADAPTIVE_RULES, ...rules };
+  const width = Math.max(spread, config.minSpreadDeg);
+  const thresholds = {};
+  ZONE_KEYS.forEach((key, i) => {
+    const floor = i ? thresholds[ZONE_KEYS[i - 1]] + config.minGapDeg : 0;
+    const value = Math.max(baseline + width * config.zoneSpreads[key], config.minThresholds[key], floor);
+    thresholds[key] = Math.round(Math.min(value, config.maxThresholds[key]));
+  });
+  return thresholds;
+};
+
+// Moves each boundary towards its target, tightening by at most tightenDeg
+// and never loosening
+export const stepThresholds = (current, target, rules = {}) => {
+  const config = { ...DEFAULT_ADAPTIVE_RULES, ...rules };
+  if (!current) return target;
+  const next = {};
+  ZONE_KEYS.forEach(key => {
+    next[key] = target[key] < current[key] ? Math.max(target[key], current[key] - config.tightenDeg) : current[key];
+  });
+  return next;
+};
+
+// The sessions learned from: the best-scoring of the recent ones recorded
+// since the last calibration and long enough to say something
+export const pickSessions = (sessions, calibratedAt = null, rules = {}) => {
+  const config = { ...DEFAULT_ADAPTIVE_RULES, ...rules };
+  return [...sessions]
+    .filter(s => s.duration >= config.minSessionSecs && (calibratedAt === null || s.startedAt >= calibratedAt))
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(0, config.recentSessions)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.bestSessions);
+};
+
+// A fresh profile from calibration: the device was zeroed while the user sat
+// upright, so the baseline is 0 and the sway while holding still is the least
+// the spread can be. The zones stay as they are until a session is learned from.
+export const learnFromCalibration = (readings, thresholds, t) => {
+  const measured = measurePosture(readings);
+  const spread = measured ? measured.spread : 0;
+  return {
+    baseline: 0,
+    spread,
+    calibrationSpread: spread,
+    thresholds,
+    sessions: [],
+    calibratedAt: t,
+    learnedAt: t
+  };
+};
+
+// Relearns from sessions. Returns the profile unchanged when there is nothing
+// new to learn from; `profile` may be null for a first learn.
+export const learnFromSessions = (profile, sessions, t, rules = {}) => {
+  const calibratedAt = profile ? profile.calibratedAt : null;
+  const picked = pickSessions(sessions, calibratedAt, rules);
+  const ids = picked.map(s => s.id);
+  if (!picked.length || (profile && ids.join() === profile.sessions.join())) return profile;
+
+  const measured = measurePosture(picked.flatMap(s => s.samples || []));
+  if (!measured) return profile;
+  const spread = Math.max(measured.spread, profile ? profile.calibrationSpread || 0 : 0);
+  const target = thresholdsFor({ baseline: measured.baseline, spread }, rules);
+  return {
+    ...(profile || { calibrationSpread: null, calibratedAt: null }),
+    baseline: measured.baseline,
+    spread: round1(spread),
+    thresholds: stepThresholds(profile && profile.sessions.length ? profile.thresholds : null, target, rules),
+    sessions: ids,
+    learnedAt: t
+  };
+};
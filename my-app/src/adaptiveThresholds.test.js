@@ -0,0 +1,101 @@
+import {
+  measurePosture, thresholdsFor, stepThresholds, pickSessions, learnFromCalibration, learnFromSessions
+} from './adaptiveThresholds';
+
+const DAY = 86400000;
+const T0 = new Date(2024, 0, 15, 9, 0).getTime();
+
+// One sample per second whose pitch cycles through `angles`
+const samplesOf = (angles, count = 600, from = T0) => Array.from({ length: count }, (_, i) => ({
+  t: from + i * 1000,
+  pitch: angles[i % angles.length],
+  roll: 0
+}));
+
+const session = (id, { day = 0, score = 80, duration = 600, angles = [2, 3, 4] } = {}) => ({
+  id,
+  startedAt: T0 + day * DAY,
+  duration,
+  score,
+  samples: samplesOf(angles, duration, T0 + day * DAY)
+});
+
+test('measures the baseline and spread from both axes, leaving breaks out', () => {
+  const samples = [
+    { pitch: 2, roll: 0 },
+    { pitch: -3, roll: 1 },
+    { pitch: 1, roll: -4 },
+    { pitch: 30, roll: 0, onBreak: true }
+  ];
+  expect(measurePosture(samples)).toEqual({ baseline: 3, spread: 0.8, count: 3 });
+  expect(measurePosture([])).toBeNull();
+});
+
+test('places the zones in spreads above the baseline, in range and in order', () => {
+  expect(thresholdsFor({ baseline: 4, spread: 2 })).toEqual({ excellent: 6, good: 9, fair: 14 });
+  expect(thresholdsFor({ baseline: 10, spread: 4 })).toEqual({ excellent: 14, good: 20, fair: 26 });
+  // Never tighter than the floors, never looser than the sliders allow
+  expect(thresholdsFor({ baseline: 0, spread: 0 })).toEqual({ excellent: 3, good: 8, fair: 14 });
+  expect(thresholdsFor({ baseline: 30, spread: 10 })).toEqual({ excellent: 15, good: 30, fair: 45 });
+});
+
+test('tightens a step at a time and never loosens', () => {
+  const current = { excellent: 8, good: 16, fair: 26 };
+  expect(stepThresholds(current, { excellent: 5, good: 15.5, fair: 30 })).toEqual({ excellent: 7, good: 15.5, fair: 26 });
+  expect(stepThresholds(null, { excellent: 5, good: 12, fair: 20 })).toEqual({ excellent: 5, good: 12, fair: 20 });
+});
+
+test('learns from the best long sessions since the last calibration', () => {
+  const sessions = [
+    session('short', { score: 99, duration: 60 }),
+    session('old', { day: -1, score: 95 }),
+    session('good', { day: 1, score: 90 }),
+    session('poor', { day: 2, score: 40 })
+  ];
+  expect(pickSessions(sessions, null, { bestSessions: 2 }).map(s => s.id)).toEqual(['old', 'good']);
+  expect(pickSessions(sessions, T0, { bestSessions: 2 }).map(s => s.id)).toEqual(['good', 'poor']);
+});
+
+describe('learnFromSessions', () => {
+  test('sets the zones straight away the first time', () => {
+    const profile = learnFromSessions(null, [session('a', { angles: [4, 6, 8] })], T0 + DAY);
+    expect(profile).toMatchObject({ baseline: 6, spread: 1.6, sessions: ['a'], learnedAt: T0 + DAY });
+    expect(profile.thresholds).toEqual(thresholdsFor({ baseline: 6, spread: 1.6 }));
+  });
+
+  test('returns the same profile when there is nothing new', () => {
+    const sessions = [session('a')];
+    const profile = learnFromSessions(null, sessions, T0 + DAY);
+    expect(learnFromSessions(profile, sessions, T0 + 2 * DAY)).toBe(profile);
+    expect(learnFromSessions(null, [], T0)).toBeNull();
+  });
+
+  test('then tightens gradually as the user improves', () => {
+    const first = learnFromSessions(null, [session('a', { angles: [8, 10, 12] })], T0 + DAY);
+    const better = [session('a', { angles: [8, 10, 12] }), session('b', { day: 1, score: 95, angles: [1, 2, 3] })];
+    const next = learnFromSessions(first, better, T0 + 2 * DAY, { bestSessions: 1 });
+    expect(next.sessions).toEqual(['b']);
+    expect(next.thresholds).toEqual({
+      excellent: first.thresholds.excellent - 1,
+      good: first.thresholds.good - 1,
+      fair: first.thresholds.fair - 1
+    });
+  });
+
+  test('learns zones tighter than the defaults from steady good posture', () => {
+    const calibrated = learnFromCalibration(samplesOf([-0.5, 0, 0.5], 50, T0), { excellent: 5, good: 15, fair: 25 }, T0);
+    const profile = learnFromSessions(calibrated, [session('steady', { day: 1, score: 95, angles: [0.5, 2, 3.5] })], T0 + 2 * DAY);
+    expect(profile).toMatchObject({ sessions: ['steady'], baseline: 2 });
+    expect(profile.thresholds).toEqual({ excellent: 4, good: 8, fair: 14 });
+  });
+
+  test('starts over from calibration and keeps its sway as the least spread', () => {
+    const current = { excellent: 5, good: 15, fair: 25 };
+    const calibrated = learnFromCalibration([{ pitch: -2, roll: 0 }, { pitch: 2, roll: 0 }, { pitch: 8, roll: 0 }], current, T0);
+    expect(calibrated).toMatchObject({ baseline: 0, spread: 2.8, thresholds: current, sessions: [], calibratedAt: T0 });
+
+    const profile = learnFromSessions(calibrated, [session('before', { day: -1 }), session('after', { day: 1 })], T0 + 2 * DAY);
+    expect(profile).toMatchObject({ sessions: ['after'], baseline: 3, spread: 2.8, calibratedAt: T0 });
+    expect(profile.thresholds).toEqual(thresholdsFor({ baseline: 3, spread: 2.8 }));
+  });
+});
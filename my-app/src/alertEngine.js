@@ -0,0 +1,163 @@
+// --- POSTURE ALERT ENGINE ---
+// Turns processed samples from every sensor into posture alerts. A sensor that
+// stays in a bad zone for `delaySecs` raises an alert at the first level; each
+// further `escalateSecs` without sitting up moves it one level on (toast, then
+// sound, then system notification, then device buzz by default). Correcting
+// resolves the alert and starts a cooldown for that sensor. A snooze or quiet
+// hours hold alerts back; time spent in bad posture still counts.
+
+export const ALERT_LEVELS = ['toast', 'sound', 'system', 'buzz'];
+
+export const DEFAULT_ALERT_RULES = {
+  zone: 'Poor', // mildest zone that counts as bad: 'Fair' (Fair and Poor) or 'Poor'
+  delaySecs: 10,
+  escalateSecs: 30,
+  levels: ALERT_LEVELS, // steps to escalate through, in order
+  cooldownSecs: 60,
+  quietHours: null // { start: 'HH:MM', end: 'HH:MM' }, may wrap past midnight
+};
+
+const BAD_ZONES = {
+  Fair: ['Fair', 'Poor'],
+  Poor: ['Poor']
+};
+
+const minutesOfDay = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether local time at `t` falls inside the quiet hours
+export const isQuietTime = (t, quietHours) => {
+  if (!quietHours) return false;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start === end) return false;
+  const date = new Date(t);
+  const now = date.getHours() * 60 + date.getMinutes();
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// What gets logged with the session once an alert is over. `outcome` is
+// 'corrected', 'snoozed', 'disconnected' (the sensor dropped out) or 'ended'
+// (the session stopped first);
+// correctionMs is the time from the alert firing to sitting back up.
+const toRecord = (alert, t, outcome) => ({
+  id: alert.id,
+  device: alert.device,
+  zone: alert.zone,
+  badSince: alert.badSince,
+  firedAt: alert.firedAt,
+  level: alert.level,
+  resolvedAt: t,
+  outcome,
+  correctionMs: outcome === 'corrected' ? t - alert.firedAt : null
+});
+
+// push() takes processed samples { t, device, status, angle }. Subscribers get
+// { type: 'alert', alert } when an alert fires or escalates (alert.level says
+// to what) and { type: 'resolved', alert } with the record to log.
+export const createAlertEngine = (rules = {}) => {
+  let config = { ...DEFAULT_ALERT_RULES, ...rules };
+  let snoozedUntil = null;
+  let nextId = 1;
+  const devices = new Map(); // by device id: { badSince, cooldownUntil, alert }
+  const listeners = new Set();
+
+  const emit = (event) => listeners.forEach(listener => listener(event));
+
+  const stateOf = (device) => {
+    if (!devices.has(device)) devices.set(device, { badSince: null, cooldownUntil: 0, alert: null });
+    return devices.get(device);
+  };
+
+  const held = (t) => (snoozedUntil !== null && t < snoozedUntil) || isQuietTime(t, config.quietHours);
+
+  const resolve = (state, t, outcome) => {
+    const record = toRecord(state.alert, t, outcome);
+    state.alert = null;
+    if (outcome === 'corrected') state.cooldownUntil = t + config.cooldownSecs * 1000;
+    emit({ type: 'resolved', alert: record });
+    return record;
+  };
+
+  const raise = (state, alert) => {
+    state.alert = alert;
+    emit({ type: 'alert', alert: { ...alert } });
+  };
+
+  const push = ({ t, device = null, status, angle = 0 }) => {
+    const state = stateOf(device);
+
+    if (!(BAD_ZONES[config.zone] || BAD_ZONES.Poor).includes(status)) {
+      state.badSince = null;
+      if (state.alert) resolve(state, t, 'corrected');
+      return;
+    }
+
+    if (state.badSince === null) state.badSince = t;
+    if (!config.levels.length || held(t)) return;
+
+    const { alert } = state;
+    if (!alert) {
+      if (t - state.badSince < config.delaySecs * 1000 || t < state.cooldownUntil) return;
+      raise(state, {
+        id: nextId++,
+        device,
+        zone: status,
+        badSince: state.badSince,
+        firedAt: t,
+        escalatedAt: t,
+        step: 0,
+        level: config.levels[0],
+        angle
+      });
+      return;
+    }
+
+    const step = Math.min(alert.step + 1, config.levels.length - 1);
+    if (step > alert.step && t - alert.escalatedAt >= config.escalateSecs * 1000) {
+      raise(state, { ...alert, zone: status, escalatedAt: t, step, level: config.levels[step], angle });
+    }
+  };
+
+  // Closes every open alert with the given outcome; returns their records
+  const closeAll = (t, outcome) => [...devices.values()]
+    .filter(state => state.alert)
+    .map(state => resolve(state, t, outcome));
+
+  return {
+    push,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    configure: (next = {}) => {
+      config = { ...config, ...next };
+    },
+    // Ends open alerts and holds new ones until `until` (null lifts the snooze)
+    snooze: (until, t = Date.now()) => {
+      snoozedUntil = until;
+      return until === null ? [] : closeAll(t, 'snoozed');
+    },
+    snoozedUntil: () => snoozedUntil,
+    // The sensor's link is gone: logs its open alert and forgets its bad
+    // streak, so a reconnect starts counting afresh
+    disconnect: (device, t = Date.now()) => {
+      const state = devices.get(device);
+      if (!state) return [];
+      devices.delete(device);
+      return state.alert ? [resolve(state, t, 'disconnected')] : [];
+    },
+    // Session over: logs whatever is still open
+    end: (t) => {
+      const records = closeAll(t, 'ended');
+      devices.clear();
+      return records;
+    },
+    reset: () => {
+      devices.clear();
+      snoozedUntil = null;
+    }
+  };
+};
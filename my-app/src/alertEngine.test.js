@@ -0,0 +1,139 @@
+import { createAlertEngine, isQuietTime } from './alertEngine';
+
+// Midday on a fixed date, so quiet hours are only in effect when a test asks
+const NOON = new Date(2024, 0, 15, 12, 0).getTime();
+
+// Feeds one sample per second of the given status from `from` (ms after NOON)
+const feed = (engine, from, seconds, status, device = 'a') => {
+  for (let s = 0; s < seconds; s++) engine.push({ t: NOON + from + s * 1000, device, status, angle: 30 });
+  return from + seconds * 1000;
+};
+
+const record = (engine) => {
+  const events = [];
+  engine.subscribe(event => events.push(event));
+  return events;
+};
+
+test('warns once the delay has passed in a bad zone', () => {
+  const engine = createAlertEngine({ delaySecs: 10 });
+  const events = record(engine);
+
+  feed(engine, 0, 10, 'Poor');
+  expect(events).toHaveLength(0);
+  feed(engine, 10000, 1, 'Poor');
+  expect(events).toEqual([{ type: 'alert', alert: expect.objectContaining({ level: 'toast', device: 'a', badSince: NOON, firedAt: NOON + 10000 }) }]);
+});
+
+test('counts Fair as bad only when the rule says so', () => {
+  const poorOnly = createAlertEngine({ delaySecs: 5 });
+  const fairToo = createAlertEngine({ delaySecs: 5, zone: 'Fair' });
+  const poorEvents = record(poorOnly);
+  const fairEvents = record(fairToo);
+
+  feed(poorOnly, 0, 30, 'Fair');
+  feed(fairToo, 0, 30, 'Fair');
+  expect(poorEvents).toHaveLength(0);
+  expect(fairEvents[0].alert.zone).toBe('Fair');
+});
+
+test('escalates through the levels and stops at the last', () => {
+  const engine = createAlertEngine({ delaySecs: 10, escalateSecs: 20 });
+  const events = record(engine);
+
+  feed(engine, 0, 200, 'Poor');
+  expect(events.map(e => [e.alert.level, e.alert.escalatedAt - NOON])).toEqual([
+    ['toast', 10000],
+    ['sound', 30000],
+    ['system', 50000],
+    ['buzz', 70000]
+  ]);
+  // Escalations keep the id of the alert they belong to
+  expect(new Set(events.map(e => e.alert.id)).size).toBe(1);
+});
+
+test('logs how fast the user corrected and then cools down', () => {
+  const engine = createAlertEngine({ delaySecs: 10, escalateSecs: 20, cooldownSecs: 60 });
+  const events = record(engine);
+
+  let t = feed(engine, 0, 15, 'Poor');
+  t = feed(engine, t, 1, 'Good');
+  const resolved = events.find(e => e.type === 'resolved').alert;
+  expect(resolved).toMatchObject({ outcome: 'corrected', level: 'toast', correctionMs: 5000, resolvedAt: NOON + 15000 });
+
+  // Bad again right away: past the delay but still inside the cooldown
+  t = feed(engine, t, 40, 'Poor');
+  expect(events.filter(e => e.type === 'alert')).toHaveLength(1);
+  feed(engine, t, 30, 'Poor');
+  expect(events.filter(e => e.type === 'alert')).toHaveLength(2);
+});
+
+test('a snooze ends the open alert and holds new ones until it runs out', () => {
+  const engine = createAlertEngine({ delaySecs: 10 });
+  const events = record(engine);
+
+  let t = feed(engine, 0, 12, 'Poor');
+  const [snoozed] = engine.snooze(NOON + t + 60000, NOON + t);
+  expect(snoozed).toMatchObject({ outcome: 'snoozed', correctionMs: null });
+
+  t = feed(engine, t, 59, 'Poor');
+  expect(events.filter(e => e.type === 'alert')).toHaveLength(1);
+  // Still slouching when the snooze ends: warned straight away
+  feed(engine, t, 2, 'Poor');
+  expect(events.filter(e => e.type === 'alert')).toHaveLength(2);
+});
+
+test('tracks each sensor separately', () => {
+  const engine = createAlertEngine({ delaySecs: 10 });
+  const events = record(engine);
+
+  for (let s = 0; s < 20; s++) {
+    engine.push({ t: NOON + s * 1000, device: 'neck', status: 'Poor' });
+    engine.push({ t: NOON + s * 1000, device: 'back', status: 'Good' });
+  }
+  expect(events.map(e => e.alert.device)).toEqual(['neck']);
+});
+
+test('a dropped sensor closes its own alert and starts its bad streak over', () => {
+  const engine = createAlertEngine({ delaySecs: 10 });
+  feed(engine, 0, 20, 'Poor', 'neck');
+  feed(engine, 0, 20, 'Poor', 'back');
+
+  expect(engine.disconnect('neck', NOON + 20000)).toEqual([
+    expect.objectContaining({ device: 'neck', outcome: 'disconnected', resolvedAt: NOON + 20000, correctionMs: null })
+  ]);
+  expect(engine.disconnect('neck', NOON + 20000)).toEqual([]);
+
+  // Back online still slouching: the delay runs again before a new alert
+  const events = record(engine);
+  feed(engine, 21000, 5, 'Poor', 'neck');
+  expect(events).toEqual([]);
+  expect(engine.end(NOON + 26000).map(r => r.device)).toEqual(['back']);
+});
+
+test('ending the session logs alerts that are still open', () => {
+  const engine = createAlertEngine({ delaySecs: 10 });
+  feed(engine, 0, 20, 'Poor');
+  expect(engine.end(NOON + 20000)).toEqual([expect.objectContaining({ outcome: 'ended', resolvedAt: NOON + 20000, correctionMs: null })]);
+  expect(engine.end(NOON + 21000)).toEqual([]);
+});
+
+describe('quiet hours', () => {
+  const at = (hours, minutes = 0) => new Date(2024, 0, 15, hours, minutes).getTime();
+
+  test('may wrap past midnight', () => {
+    const overnight = { start: '22:00', end: '07:00' };
+    expect(isQuietTime(at(23, 30), overnight)).toBe(true);
+    expect(isQuietTime(at(6, 59), overnight)).toBe(true);
+    expect(isQuietTime(at(7), overnight)).toBe(false);
+    expect(isQuietTime(at(12), { start: '12:00', end: '13:00' })).toBe(true);
+    expect(isQuietTime(at(12), null)).toBe(false);
+  });
+
+  test('hold alerts back', () => {
+    const engine = createAlertEngine({ delaySecs: 10, quietHours: { start: '11:00', end: '13:00' } });
+    const events = record(engine);
+    feed(engine, 0, 60, 'Poor');
+    expect(events).toHaveLength(0);
+  });
+});
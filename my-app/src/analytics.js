@@ -0,0 +1,138 @@
+import { toDayKey, summarizeDay } from './sessionStore';
+import { computeSessionStats } from './sessionStats';
+
+// --- TREND ANALYTICS ---
+// Figures for the History tab, computed from saved sessions. Day and week
+// scores are duration-weighted like the calendar's (see summarizeDay); scores
+// by hour of day and by weekday are time-weighted over the samples themselves,
+// as a session often spans several hours.
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Longest range the trend charts show; sample-based figures need no more
+export const TREND_DAYS = 30;
+
+const groupByDay = (sessions) => {
+  const byDay = {};
+  sessions.forEach(s => {
+    const key = toDayKey(s.startedAt);
+    (byDay[key] = byDay[key] || []).push(s);
+  });
+  return byDay;
+};
+
+// Local midnight `offset` days from the day of `now`
+const dayAt = (now, offset) => {
+  const date = new Date(now);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+};
+
+// One entry per day for the `days` days up to and including today, with the
+// rolling 7- and 30-day scores ending on that day (null without sessions)
+export const dailyTrend = (sessions, days, now = Date.now()) => {
+  const byDay = groupByDay(sessions);
+  const sessionsOn = (date) => byDay[toDayKey(date.getTime())] || [];
+  const windowScore = (offset, size) => {
+    const inWindow = [];
+    for (let i = offset - size + 1; i <= offset; i++) inWindow.push(...sessionsOn(dayAt(now, i)));
+    return summarizeDay(inWindow).score;
+  };
+
+  const trend = [];
+  for (let offset = 1 - days; offset <= 0; offset++) {
+    const date = dayAt(now, offset);
+    const daySessions = sessionsOn(date);
+    const { score, minutes } = summarizeDay(daySessions);
+    trend.push({
+      date: toDayKey(date.getTime()),
+      start: date.getTime(),
+      label: `${date.getMonth() + 1}/${date.getDate()}`,
+      weekday: date.getDay(),
+      score,
+      minutes: Math.round(minutes),
+      sessions: daySessions.length,
+      rolling7: windowScore(offset, 7),
+      rolling30: windowScore(offset, 30)
+    });
+  }
+  return trend;
+};
+
+// The last seven days (today included) against the seven before them.
+// scoreChange is in points (null unless both weeks have sessions),
+// minutesChange in percent (null when last week has none).
+export const compareWeeks = (sessions, now = Date.now()) => {
+  const thisStart = dayAt(now, -6).getTime();
+  const lastStart = dayAt(now, -13).getTime();
+  const week = (from, to) => {
+    const inWeek = sessions.filter(s => s.startedAt >= from && s.startedAt < to);
+    const { score, minutes } = summarizeDay(inWeek);
+    return { score, minutes: Math.round(minutes), sessions: inWeek.length };
+  };
+  const thisWeek = week(thisStart, dayAt(now, 1).getTime());
+  const lastWeek = week(lastStart, thisStart);
+  return {
+    thisWeek,
+    lastWeek,
+    scoreChange: thisWeek.score !== null && lastWeek.score !== null ? thisWeek.score - lastWeek.score : null,
+    minutesChange: lastWeek.minutes
+      ? Math.round(((thisWeek.minutes - lastWeek.minutes) / lastWeek.minutes) * 100)
+      : null
+  };
+};
+
+// Score and tracked minutes per bucket of sample time (hour, weekday, ...)
+const scoreBy = (sessions, size, bucketOf) => {
+  const buckets = Array.from({ length: size }, () => []);
+  sessions.forEach(s => (s.samples || []).forEach(sample => buckets[bucketOf(new Date(sample.t))].push(sample)));
+  return buckets.map((samples, key) => {
+    const stats = computeSessionStats(samples);
+    return { key, score: stats.totalMs ? stats.score : null, minutes: Math.round(stats.totalMs / 60000) };
+  });
+};
+
+export const scoreByHour = (sessions) => scoreBy(sessions, 24, date => date.getHours());
+
+export const scoreByWeekday = (sessions) => scoreBy(sessions, 7, date => date.getDay())
+  .map(bucket => ({ ...bucket, label: WEEKDAYS[bucket.key] }));
+
+// The scored bucket with the lowest score, or null
+export const worstBucket = (buckets) => buckets
+  .filter(b => b.score !== null)
+  .reduce((worst, b) => (!worst || b.score < worst.score ? b : worst), null);
+
+// Share of samples (percent) by distance from upright, in binDeg steps up to
+// maxDeg and one open bin above it. Breaks are left out.
+export const angleHistogram = (sessions, binDeg = 5, maxDeg = 45) => {
+  const bins = Array.from({ length: maxDeg / binDeg + 1 }, (_, i) => ({
+    from: i * binDeg,
+    label: i * binDeg < maxDeg ? `${i * binDeg}-${(i + 1) * binDeg}°` : `${maxDeg}°+`,
+    count: 0
+  }));
+  let total = 0;
+  sessions.forEach(s => (s.samples || []).forEach(sample => {
+    if (sample.onBreak) return;
+    bins[Math.min(bins.length - 1, Math.floor(Math.abs(sample.angle) / binDeg))].count += 1;
+    total += 1;
+  }));
+  return bins.map(({ from, label, count }) => ({ from, label, share: total ? Math.round((count / total) * 100) : 0 }));
+};
+
+// Highest and lowest scoring days of a daily trend
+export const bestAndWorstDays = (trend) => {
+  const scored = trend.filter(day => day.score !== null);
+  if (!scored.length) return { best: null, worst: null };
+  return {
+    best: scored.reduce((best, day) => (day.score > best.score ? day : best)),
+    worst: scored.reduce((worst, day) => (day.score < worst.score ? day : worst))
+  };
+};
+
+// Mean of the longest good streak of each session in the last `days` days
+export const averageBestStreakMs = (sessions, days = 7, now = Date.now()) => {
+  const from = dayAt(now, 1 - days).getTime();
+  const streaks = sessions
+    .filter(s => s.startedAt >= from && typeof s.longestGoodStreakMs === 'number')
+    .map(s => s.longestGoodStreakMs);
+  return streaks.length ? streaks.reduce((sum, ms) => sum + ms, 0) / streaks.length : null;
+};
@@ -0,0 +1,97 @@
+import {
+  dailyTrend, compareWeeks, scoreByHour, scoreByWeekday, worstBucket, angleHistogram, bestAndWorstDays, averageBestStreakMs
+} from './analytics';
+
+// Wednesday 17 January 2024, mid-afternoon
+const NOW = new Date(2024, 0, 17, 15, 0).getTime();
+
+const at = (daysAgo, hour = 10) => new Date(2024, 0, 17 - daysAgo, hour, 0).getTime();
+
+// One sample a second, all in the given zone and at the given angle
+const samplesFrom = (t, seconds, status, angle) => Array.from({ length: seconds }, (_, i) => ({ t: t + i * 1000, status, angle, pitch: angle, roll: 0 }));
+
+const session = (startedAt, { score = 80, duration = 600, status = 'Good', angle = 10, longestGoodStreakMs = 60000 } = {}) => ({
+  startedAt,
+  duration,
+  score,
+  longestGoodStreakMs,
+  samples: samplesFrom(startedAt, 60, status, angle)
+});
+
+test('gives one entry per day up to today with rolling scores', () => {
+  const trend = dailyTrend([
+    session(at(2), { score: 60 }),
+    session(at(0), { score: 90, duration: 1200 }),
+    session(at(40), { score: 10 })
+  ], 7, NOW);
+
+  expect(trend.map(day => day.date)).toEqual(['2024-01-11', '2024-01-12', '2024-01-13', '2024-01-14', '2024-01-15', '2024-01-16', '2024-01-17']);
+  expect(trend[6]).toMatchObject({ label: '1/17', weekday: 3, score: 90, minutes: 20, sessions: 1, rolling7: 80, rolling30: 80 });
+  expect(trend[4]).toMatchObject({ score: 60, rolling7: 60 });
+  expect(trend[0]).toMatchObject({ score: null, rolling7: null, rolling30: null });
+});
+
+test('compares the last seven days with the week before', () => {
+  const sessions = [
+    session(at(1), { score: 85, duration: 1800 }),
+    session(at(9), { score: 70, duration: 1200 }),
+    session(at(20), { score: 20 })
+  ];
+  expect(compareWeeks(sessions, NOW)).toEqual({
+    thisWeek: { score: 85, minutes: 30, sessions: 1 },
+    lastWeek: { score: 70, minutes: 20, sessions: 1 },
+    scoreChange: 15,
+    minutesChange: 50
+  });
+  expect(compareWeeks([session(at(1))], NOW)).toMatchObject({ scoreChange: null, minutesChange: null });
+});
+
+test('scores by hour of day and weekday from the samples', () => {
+  const sessions = [
+    { startedAt: at(0, 9), samples: samplesFrom(at(0, 9), 60, 'Excellent', 2) },
+    { startedAt: at(1, 16), samples: samplesFrom(at(1, 16), 60, 'Poor', 30) }
+  ];
+  const byHour = scoreByHour(sessions);
+  expect(byHour).toHaveLength(24);
+  expect(byHour[9]).toEqual({ key: 9, score: 100, minutes: 1 });
+  expect(byHour[12].score).toBeNull();
+  expect(worstBucket(byHour)).toMatchObject({ key: 16, score: 20 });
+
+  const byWeekday = scoreByWeekday(sessions);
+  expect(byWeekday.map(b => b.label)).toEqual(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
+  expect(worstBucket(byWeekday)).toMatchObject({ label: 'Tue', score: 20 });
+  expect(worstBucket([])).toBeNull();
+});
+
+test('bins distance from upright, leaving breaks out', () => {
+  const histogram = angleHistogram([{
+    samples: [
+      { angle: 1 }, { angle: -3 }, { angle: 7 }, { angle: 60 },
+      { angle: 30, onBreak: true }
+    ]
+  }]);
+  expect(histogram).toHaveLength(10);
+  expect(histogram[0]).toEqual({ from: 0, label: '0-5°', share: 50 });
+  expect(histogram[1].share).toBe(25);
+  expect(histogram[6].share).toBe(0);
+  expect(histogram[9]).toEqual({ from: 45, label: '45°+', share: 25 });
+  expect(angleHistogram([]).every(bin => bin.share === 0)).toBe(true);
+});
+
+test('finds the best and worst days', () => {
+  const trend = dailyTrend([session(at(1), { score: 55 }), session(at(3), { score: 92 }), session(at(5), { score: 70 })], 7, NOW);
+  const { best, worst } = bestAndWorstDays(trend);
+  expect(best).toMatchObject({ date: '2024-01-14', score: 92 });
+  expect(worst).toMatchObject({ date: '2024-01-16', score: 55 });
+  expect(bestAndWorstDays([])).toEqual({ best: null, worst: null });
+});
+
+test('averages the best streak of the last week of sessions', () => {
+  const sessions = [
+    session(at(1), { longestGoodStreakMs: 120000 }),
+    session(at(3), { longestGoodStreakMs: 60000 }),
+    session(at(10), { longestGoodStreakMs: 600000 })
+  ];
+  expect(averageBestStreakMs(sessions, 7, NOW)).toBe(90000);
+  expect(averageBestStreakMs([], 7, NOW)).toBeNull();
+});
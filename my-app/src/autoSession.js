@@ -0,0 +1,109 @@
+import { spread } from './breakTracker';
+
+// --- AUTOMATIC SESSION START / STOP ---
+// Decides when to start and stop sessions on the user's behalf, from raw
+// sensor readings and the connection state.
+//
+// A worn sensor is never perfectly still (breathing alone moves it a little),
+// while one lying on a desk is; a seated user moves a little but not a lot and
+// is not in the Poor zone. So over a short window of readings:
+//   spread < idleDeg                  -> not worn
+//   idleDeg <= spread < steadyDeg     -> seated and steady (unless Poor)
+// A session starts after `seatedSecs` of seated, steady readings, but only once
+// the user has been away for `absenceMins`, so ending a session by hand doesn't
+// start a new one straight away. Coming back arms the start until a session
+// starts or stops; fidgeting in between only restarts the seated count. It
+// stops after `idleMins` without a worn reading or `disconnectMins` without a
+// connected sensor.
+
+export const DEFAULT_AUTO_SESSION_RULES = {
+  autoStart: false,
+  autoStop: false,
+  seatedSecs: 20,
+  absenceMins: 5,
+  idleMins: 10,
+  disconnectMins: 2,
+  idleDeg: 0.2,
+  steadyDeg: 4,
+  windowSecs: 10
+};
+
+// push() and tick() return 'start', { stop: reason, at } or null. `at` is the
+// last moment the user was seen, so an automatic stop can leave out the idle tail.
+export const createAutoSession = (rules = {}) => {
+  let config = { ...DEFAULT_AUTO_SESSION_RULES, ...rules };
+  let active = false;
+  let seatedSince = null;
+  let armed = false; // back from an absence, an automatic start may follow
+  let lastWornAt = null; // null: not seen since the app opened
+  let lastConnectedAt = null;
+  const windows = new Map(); // recent raw readings by device id
+
+  const push = ({ t, device = null, pitch, roll, status }) => {
+    if (!windows.has(device)) windows.set(device, []);
+    const points = windows.get(device);
+    points.push({ t, pitch, roll });
+    while (points.length && t - points[0].t > config.windowSecs * 1000) points.shift();
+    if (points.length < 2 || t - points[0].t < config.windowSecs * 1000 * 0.8) return null;
+
+    const movement = spread(points);
+    const worn = movement >= config.idleDeg;
+    // Away long enough, measured before this reading counts as being back
+    const wasAway = lastWornAt === null || t - lastWornAt >= config.absenceMins * 60000;
+    if (worn) {
+      if (wasAway) armed = true;
+      lastWornAt = t;
+    }
+
+    const seated = worn && movement < config.steadyDeg && status !== 'Poor';
+    if (!seated) {
+      seatedSince = null;
+      return null;
+    }
+    if (seatedSince === null) {
+      // Only a return from absence can lead to an automatic start
+      if (!armed) return null;
+      seatedSince = t;
+    }
+    if (!active && config.autoStart && t - seatedSince >= config.seatedSecs * 1000) {
+      seatedSince = null;
+      armed = false;
+      return 'start';
+    }
+    return null;
+  };
+
+  const tick = (t, { connected }) => {
+    if (connected || lastConnectedAt === null) lastConnectedAt = t;
+    if (!active || !config.autoStop) return null;
+    const seen = lastWornAt === null ? t : lastWornAt;
+    if (!connected && t - lastConnectedAt >= config.disconnectMins * 60000) return { stop: 'disconnect', at: Math.min(seen, lastConnectedAt) };
+    if (lastWornAt !== null && t - lastWornAt >= config.idleMins * 60000) return { stop: 'idle', at: lastWornAt };
+    return null;
+  };
+
+  return {
+    push,
+    tick,
+    configure: (next = {}) => {
+      config = { ...config, ...next };
+    },
+    // The app reports every start and stop, automatic or not. A stop counts as
+    // the user being present, so the next automatic start needs a fresh absence.
+    started: (t) => {
+      active = true;
+      seatedSince = null;
+      armed = false;
+      lastWornAt = t;
+      lastConnectedAt = t;
+    },
+    stopped: (t) => {
+      active = false;
+      seatedSince = null;
+      armed = false;
+      lastWornAt = Math.max(lastWornAt || 0, t);
+    },
+    // Seconds of seated readings towards an automatic start (null when not counting)
+    seatedFor: (t) => (seatedSince === null ? null : Math.floor((t - seatedSince) / 1000))
+  };
+};
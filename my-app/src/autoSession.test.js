@@ -0,0 +1,89 @@
+import { createAutoSession } from './autoSession';
+
+const MIN = 60000;
+
+// One raw reading per 200 ms; `sway` is how far pitch swings back and forth
+const feed = (auto, from, ms, { sway = 1, status = 'Good' } = {}) => {
+  const decisions = [];
+  for (let t = from; t < from + ms; t += 200) {
+    const decision = auto.push({ t, device: 'a', pitch: 5 + (Math.floor(t / 200) % 2 ? sway : -sway), roll: 0, status });
+    if (decision) decisions.push({ t, decision });
+  }
+  return decisions;
+};
+
+test('starts once the user has sat steadily for a while', () => {
+  const auto = createAutoSession({ autoStart: true, seatedSecs: 20, windowSecs: 10 });
+  const [first, ...rest] = feed(auto, 0, MIN);
+  expect(first.decision).toBe('start');
+  // The window fills after 8 s, then 20 s of seated readings
+  expect(first.t).toBeGreaterThanOrEqual(28000);
+  expect(first.t).toBeLessThan(30000);
+  auto.started(first.t);
+  expect(rest.filter(d => d.t > first.t)).toEqual([]);
+});
+
+test('does not start for a sensor lying on the desk, a slouch or walking around', () => {
+  const auto = createAutoSession({ autoStart: true });
+  expect(feed(auto, 0, MIN, { sway: 0 })).toEqual([]);
+  expect(feed(auto, MIN, MIN, { status: 'Poor' })).toEqual([]);
+  expect(feed(auto, 2 * MIN, MIN, { sway: 15 })).toEqual([]);
+});
+
+test('needs a fresh absence after a session ends', () => {
+  const auto = createAutoSession({ autoStart: true, absenceMins: 5 });
+  const [{ t }] = feed(auto, 0, MIN);
+  auto.started(t);
+  auto.stopped(2 * MIN);
+
+  // Still sitting there after ending the session by hand
+  expect(feed(auto, 2 * MIN, 3 * MIN)).toEqual([]);
+
+  // Sensor off for five minutes, then back on
+  feed(auto, 5 * MIN, 6 * MIN, { sway: 0 });
+  const [back] = feed(auto, 11 * MIN, MIN);
+  expect(back.decision).toBe('start');
+});
+
+test('keeps counting towards a start after a brief fidget on returning', () => {
+  const auto = createAutoSession({ autoStart: true, seatedSecs: 20, absenceMins: 5 });
+  expect(feed(auto, 0, 15000)).toEqual([]);
+  // Slumps for a moment halfway through the countdown
+  expect(feed(auto, 15000, 2000, { status: 'Poor' })).toEqual([]);
+  expect(auto.seatedFor(17000)).toBeNull();
+
+  const [back] = feed(auto, 17000, MIN);
+  expect(back.decision).toBe('start');
+  expect(back.t).toBe(37000);
+});
+
+test('stops after the sensor lies idle, ending when it was last worn', () => {
+  const auto = createAutoSession({ autoStop: true, idleMins: 2 });
+  auto.started(0);
+  feed(auto, 0, MIN);
+  const lastWorn = MIN - 200;
+  feed(auto, MIN, 3 * MIN, { sway: 0 });
+
+  expect(auto.tick(2.5 * MIN, { connected: true })).toBeNull();
+  // The window still held worn readings for a few seconds after it came off
+  const decision = auto.tick(3.5 * MIN, { connected: true });
+  expect(decision.stop).toBe('idle');
+  expect(decision.at).toBeGreaterThanOrEqual(lastWorn);
+  expect(decision.at).toBeLessThan(lastWorn + 10000);
+});
+
+test('stops after the disconnect timeout', () => {
+  const auto = createAutoSession({ autoStop: true, disconnectMins: 2 });
+  auto.started(0);
+  feed(auto, 0, MIN);
+  expect(auto.tick(MIN, { connected: true })).toBeNull();
+  expect(auto.tick(2.5 * MIN, { connected: false })).toBeNull();
+  expect(auto.tick(3 * MIN, { connected: false })).toEqual({ stop: 'disconnect', at: MIN - 200 });
+});
+
+test('leaves running sessions alone unless auto stop is on', () => {
+  const auto = createAutoSession({ autoStop: false, idleMins: 1 });
+  auto.started(0);
+  feed(auto, 0, 5 * MIN, { sway: 0 });
+  expect(auto.tick(5 * MIN, { connected: false })).toBeNull();
+});
@@ -0,0 +1,146 @@
+// --- BREAKS & MOVEMENT ---
+// Tracks how long the user has been sitting since the session started or the
+// last break, and whether they are moving at all: the spread (standard
+// deviation) of pitch and roll over a short window tells a person who shifts
+// around from one who has frozen in place, however good their posture. When
+// either runs past its limit the tracker prompts for a stand-up or stretch
+// break. Breaks are recorded so their time can be kept out of posture scoring.
+
+export const DEFAULT_BREAK_RULES = {
+  intervalMins: 45, // sitting time before a break reminder (0 = off)
+  stillnessMins: 20, // time without moving before a stretch reminder (0 = off)
+  stillnessDeg: 2, // below this spread of pitch and roll the user counts as still
+  windowSecs: 60 // window the spread is measured over
+};
+
+// Combined standard deviation of pitch and roll
+export const spread = (points) => {
+  const n = points.length;
+  const mean = (key) => points.reduce((sum, p) => sum + p[key], 0) / n;
+  const variance = (key, m) => points.reduce((sum, p) => sum + (p[key] - m) ** 2, 0) / n;
+  return Math.sqrt(variance('pitch', mean('pitch')) + variance('roll', mean('roll')));
+};
+
+// push() takes processed samples { t, device, pitch, roll }. Subscribers get
+// { type: 'prompt', reason: 'sitting' | 'stillness', sittingMs, stillMs } once
+// per reminder; the prompt stays open until a break starts or it is snoozed.
+export const createBreakTracker = (rules = {}) => {
+  let config = { ...DEFAULT_BREAK_RULES, ...rules };
+  let sittingSince = null;
+  let stillSince = null;
+  let heldUntil = 0; // prompts snoozed until
+  let prompt = null; // open reminder
+  let breakSince = null;
+  let breaks = []; // finished breaks: { start, end }
+  const windows = new Map(); // recent samples by device id
+  const listeners = new Set();
+
+  const emit = (event) => listeners.forEach(listener => listener(event));
+
+  // Still when every sensor with a full window has hardly moved; null until
+  // there is enough data to tell
+  const measureStillness = (t) => {
+    const full = [...windows.values()].filter(points => points.length > 1 && t - points[0].t >= config.windowSecs * 1000 * 0.9);
+    if (!full.length) return null;
+    return full.every(points => spread(points) < config.stillnessDeg);
+  };
+
+  const push = ({ t, device = null, pitch = 0, roll = 0 }) => {
+    if (sittingSince === null) sittingSince = t;
+    if (!windows.has(device)) windows.set(device, []);
+    const points = windows.get(device);
+    points.push({ t, pitch, roll });
+    while (points.length && t - points[0].t > config.windowSecs * 1000) points.shift();
+
+    if (breakSince !== null) return;
+
+    const still = measureStillness(t);
+    if (still === false) stillSince = null;
+    // The window has been still all along, so stillness began when it did
+    if (still && stillSince === null) stillSince = Math.max(sittingSince, t - config.windowSecs * 1000);
+
+    if (prompt || t < heldUntil) return;
+    const sittingMs = t - sittingSince;
+    const stillMs = stillSince === null ? 0 : t - stillSince;
+    const reason = config.intervalMins && sittingMs >= config.intervalMins * 60000 ? 'sitting'
+      : config.stillnessMins && stillMs >= config.stillnessMins * 60000 ? 'stillness'
+        : null;
+    if (reason) {
+      prompt = { reason, t, sittingMs, stillMs };
+      emit({ type: 'prompt', reason, sittingMs, stillMs });
+    }
+  };
+
+  const endBreak = (t) => {
+    if (breakSince === null) return null;
+    const record = { start: breakSince, end: t };
+    breaks = [...breaks, record];
+    breakSince = null;
+    sittingSince = t;
+    stillSince = null;
+    windows.clear();
+    emit({ type: 'break-end', break: record });
+    return record;
+  };
+
+  return {
+    push,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    configure: (next = {}) => {
+      config = { ...config, ...next };
+    },
+    // New session: sitting time counts from `t`
+    start: (t) => {
+      sittingSince = t;
+      stillSince = null;
+      heldUntil = 0;
+      prompt = null;
+      breakSince = null;
+      breaks = [];
+      windows.clear();
+    },
+    // The user was away (a paused session): sitting time counts afresh from `t`
+    resetSitting: (t) => {
+      if (breakSince !== null) return;
+      sittingSince = t;
+      stillSince = null;
+      prompt = null;
+      windows.clear();
+    },
+    startBreak: (t) => {
+      if (breakSince !== null) return;
+      breakSince = t;
+      prompt = null;
+      emit({ type: 'break-start', t });
+    },
+    endBreak,
+    // Whether `t` falls in a break, finished or running; for samples that
+    // arrive late (backfilled after a dropout)
+    onBreakAt: (t) => (breakSince !== null && t >= breakSince) || breaks.some(b => t >= b.start && t < b.end),
+    // Closes the prompt and keeps new ones back for a while
+    snooze: (until) => {
+      prompt = null;
+      heldUntil = until;
+    },
+    // Live figures for the dashboard at time `t`
+    status: (t) => ({
+      sittingMs: sittingSince === null || breakSince !== null ? 0 : t - sittingSince,
+      stillMs: stillSince === null || breakSince !== null ? 0 : t - stillSince,
+      moving: measureStillness(t) === false,
+      onBreakSince: breakSince,
+      breakMs: breaks.reduce((sum, b) => sum + b.end - b.start, 0) + (breakSince === null ? 0 : t - breakSince),
+      prompt
+    }),
+    // Session over: closes a break still running and returns every break
+    end: (t) => {
+      endBreak(t);
+      const finished = breaks;
+      sittingSince = null;
+      prompt = null;
+      return finished;
+    }
+  };
+};
@@ -0,0 +1,128 @@
+import { createBreakTracker } from './breakTracker';
+
+const MIN = 60000;
+
+// One sample per second; `sway` is how far pitch swings back and forth
+const feed = (tracker, from, ms, { sway = 0, device = 'a' } = {}) => {
+  for (let t = from; t < from + ms; t += 1000) {
+    tracker.push({ t, device, pitch: 5 + (Math.floor(t / 1000) % 2 ? sway : -sway), roll: 0 });
+  }
+  return from + ms;
+};
+
+const record = (tracker) => {
+  const events = [];
+  tracker.subscribe(event => events.push(event));
+  return events;
+};
+
+test('prompts for a break once the sitting interval has passed', () => {
+  const tracker = createBreakTracker({ intervalMins: 30, stillnessMins: 0 });
+  const events = record(tracker);
+  tracker.start(0);
+
+  let t = feed(tracker, 0, 30 * MIN - 1000, { sway: 5 });
+  expect(events).toHaveLength(0);
+  t = feed(tracker, t, 5000, { sway: 5 });
+  expect(events).toEqual([expect.objectContaining({ type: 'prompt', reason: 'sitting', sittingMs: 30 * MIN })]);
+
+  // The prompt stays open rather than repeating
+  feed(tracker, t, MIN, { sway: 5 });
+  expect(events).toHaveLength(1);
+});
+
+test('prompts a stretch when the user has not moved, however long they have sat', () => {
+  const tracker = createBreakTracker({ intervalMins: 0, stillnessMins: 10 });
+  const events = record(tracker);
+  tracker.start(0);
+
+  // Shifting around for a while, then frozen
+  let t = feed(tracker, 0, 20 * MIN, { sway: 6 });
+  expect(events).toHaveLength(0);
+  t = feed(tracker, t, 10 * MIN + 2000, { sway: 0.2 });
+  expect(events).toEqual([expect.objectContaining({ reason: 'stillness' })]);
+  expect(tracker.status(t).moving).toBe(false);
+});
+
+test('any movement restarts the stillness clock', () => {
+  const tracker = createBreakTracker({ intervalMins: 0, stillnessMins: 10 });
+  const events = record(tracker);
+  tracker.start(0);
+
+  let t = feed(tracker, 0, 8 * MIN, { sway: 0.2 });
+  t = feed(tracker, t, MIN, { sway: 6 });
+  feed(tracker, t, 8 * MIN, { sway: 0.2 });
+  expect(events).toHaveLength(0);
+});
+
+test('a break closes a stretch prompt and stillness counts afresh after it', () => {
+  const tracker = createBreakTracker({ intervalMins: 0, stillnessMins: 5 });
+  const events = record(tracker);
+  tracker.start(0);
+
+  let t = feed(tracker, 0, 4 * MIN, { sway: 0.2 });
+  expect(events).toHaveLength(0);
+  t = feed(tracker, t, MIN + 2000, { sway: 0.2 });
+  expect(events).toEqual([expect.objectContaining({ reason: 'stillness', stillMs: 5 * MIN })]);
+
+  tracker.startBreak(t);
+  expect(tracker.status(t).prompt).toBeNull();
+  // Still while away from the desk counts for nothing
+  t = feed(tracker, t, 3 * MIN, { sway: 0.2 });
+  tracker.endBreak(t);
+  expect(tracker.status(t)).toMatchObject({ stillMs: 0, prompt: null });
+
+  feed(tracker, t, 4 * MIN, { sway: 0.2 });
+  expect(events.filter(e => e.type === 'prompt')).toHaveLength(1);
+});
+
+test('a break resets sitting time and is recorded', () => {
+  const tracker = createBreakTracker({ intervalMins: 30, stillnessMins: 0 });
+  const events = record(tracker);
+  tracker.start(0);
+
+  let t = feed(tracker, 0, 31 * MIN, { sway: 5 });
+  tracker.startBreak(t);
+  expect(tracker.status(t).prompt).toBeNull();
+  t = feed(tracker, t, 5 * MIN, { sway: 20 });
+  tracker.endBreak(t);
+  expect(tracker.status(t)).toMatchObject({ sittingMs: 0, breakMs: 5 * MIN, onBreakSince: null });
+
+  feed(tracker, t, 29 * MIN, { sway: 5 });
+  expect(events.filter(e => e.type === 'prompt')).toHaveLength(1);
+  expect(tracker.end(t + 29 * MIN)).toEqual([{ start: 31 * MIN, end: 36 * MIN }]);
+});
+
+test('snoozing holds the next prompt back', () => {
+  const tracker = createBreakTracker({ intervalMins: 30, stillnessMins: 0 });
+  const events = record(tracker);
+  tracker.start(0);
+
+  let t = feed(tracker, 0, 30 * MIN + 1000, { sway: 5 });
+  tracker.snooze(t + 10 * MIN);
+  t = feed(tracker, t, 10 * MIN - 1000, { sway: 5 });
+  expect(events).toHaveLength(1);
+  feed(tracker, t, 2000, { sway: 5 });
+  expect(events).toHaveLength(2);
+});
+
+test('tells whether a late sample falls in a break', () => {
+  const tracker = createBreakTracker();
+  tracker.start(0);
+  tracker.startBreak(MIN);
+  tracker.endBreak(2 * MIN);
+  tracker.startBreak(4 * MIN);
+
+  expect(tracker.onBreakAt(MIN - 1)).toBe(false);
+  expect(tracker.onBreakAt(MIN)).toBe(true);
+  expect(tracker.onBreakAt(2 * MIN)).toBe(false);
+  expect(tracker.onBreakAt(5 * MIN)).toBe(true);
+});
+
+test('ending the session closes a break still running', () => {
+  const tracker = createBreakTracker();
+  tracker.start(0);
+  feed(tracker, 0, MIN);
+  tracker.startBreak(MIN);
+  expect(tracker.end(3 * MIN)).toEqual([{ start: MIN, end: 3 * MIN }]);
+});
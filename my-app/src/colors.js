@@ -0,0 +1,17 @@
+// --- ZONE & SCORE COLORS ---
+// The theme colour each posture zone and score band is drawn in.
+
+// Unknown labels (no reading yet) are drawn muted
+export const zoneColor = (label, colors) => ({
+  Excellent: colors.exerciseGreen,
+  Good: colors.standBlue,
+  Fair: colors.warningYellow,
+  Poor: colors.moveRed
+}[label] || colors.mutedText);
+
+export const scoreColor = (score, colors) => {
+  if (score >= 90) return colors.exerciseGreen;
+  if (score >= 75) return colors.standBlue;
+  if (score >= 50) return colors.warningYellow;
+  return colors.moveRed;
+};
@@ -0,0 +1,104 @@
+// --- CONNECTION HEALTH ---
+// Keeps score of one device link: the rolling success rate and latency of
+// recent requests, how long ago the last good sample arrived, and whether the
+// device keeps repeating the same sample (its sensor loop has hung while the
+// web server still answers). A link with `maxFailures` failures in a row, or
+// without a good sample for `staleMs`, is lost; the app then marks the device
+// disconnected and retries with backoff.
+
+export const DEFAULT_HEALTH_OPTIONS = {
+  window: 20, // attempts the success rate and latency are taken over
+  maxFailures: 5,
+  staleMs: 10000,
+  frozenMs: 3000 // repeated samples for this long count as frozen
+};
+
+// Signal bars (0-4) from success rate and latency
+const signalBars = ({ successRate, latencyMs }) => {
+  if (successRate === null) return 0;
+  let bars = successRate >= 0.98 ? 4 : successRate >= 0.9 ? 3 : successRate >= 0.7 ? 2 : 1;
+  if (latencyMs !== null && latencyMs > 500) bars = Math.min(bars, 2);
+  else if (latencyMs !== null && latencyMs > 200) bars = Math.min(bars, 3);
+  return bars;
+};
+
+export const QUALITY_LABELS = ['No signal', 'Poor', 'Fair', 'Good', 'Excellent'];
+
+// Whether `reading` is the same sample as `previous`: by sequence number when
+// the firmware sends one, otherwise by identical values
+const isRepeat = (previous, reading) => {
+  if (!previous) return false;
+  if (reading.seq !== null && reading.seq !== undefined) return reading.seq === previous.seq;
+  return reading.pitch === previous.pitch && reading.roll === previous.roll;
+};
+
+export const createLinkHealth = (options = {}) => {
+  let config = { ...DEFAULT_HEALTH_OPTIONS, ...options };
+  let attempts = []; // { ok, latencyMs }
+  let consecutiveFailures = 0;
+  let lastGoodAt = null;
+  let lastReading = null;
+  let repeatingSince = null;
+  let startedAt = null;
+
+  const remember = (attempt) => {
+    attempts = [...attempts.slice(-(config.window - 1)), attempt];
+  };
+
+  return {
+    configure: (next = {}) => {
+      config = { ...config, ...next };
+    },
+
+    // Starts (or restarts, after a reconnect) the clock for staleness
+    reset: (t) => {
+      attempts = [];
+      consecutiveFailures = 0;
+      lastGoodAt = null;
+      lastReading = null;
+      repeatingSince = null;
+      startedAt = t;
+    },
+
+    // A reading arrived. latencyMs is null for pushed (WebSocket) readings.
+    // Returns false for a repeat of the previous sample, which is not good data.
+    recordReading: (t, reading, latencyMs = null) => {
+      if (startedAt === null) startedAt = t;
+      const repeat = isRepeat(lastReading, reading);
+      lastReading = reading;
+      remember({ ok: true, latencyMs });
+      consecutiveFailures = 0;
+      if (repeat) {
+        if (repeatingSince === null) repeatingSince = t;
+        return false;
+      }
+      repeatingSince = null;
+      lastGoodAt = t;
+      return true;
+    },
+
+    recordFailure: (t) => {
+      if (startedAt === null) startedAt = t;
+      remember({ ok: false, latencyMs: null });
+      consecutiveFailures += 1;
+    },
+
+    snapshot: (t) => {
+      const successRate = attempts.length ? attempts.filter(a => a.ok).length / attempts.length : null;
+      const timed = attempts.filter(a => a.latencyMs !== null);
+      const latencyMs = timed.length ? Math.round(timed.reduce((sum, a) => sum + a.latencyMs, 0) / timed.length) : null;
+      const sinceLastGoodMs = lastGoodAt === null ? (startedAt === null ? null : t - startedAt) : t - lastGoodAt;
+      const frozen = repeatingSince !== null && t - repeatingSince >= config.frozenMs;
+      const lost = consecutiveFailures >= config.maxFailures
+        || (sinceLastGoodMs !== null && sinceLastGoodMs >= config.staleMs);
+      const bars = lost ? 0 : Math.min(signalBars({ successRate, latencyMs }), frozen ? 1 : 4);
+      return { successRate, latencyMs, sinceLastGoodMs, consecutiveFailures, frozen, lost, bars };
+    }
+  };
+};
+
+// The weakest of several links sets the overall signal
+export const worstHealth = (healths) => healths.reduce(
+  (worst, health) => (!worst || health.bars < worst.bars ? health : worst),
+  null
+);
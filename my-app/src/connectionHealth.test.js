@@ -0,0 +1,86 @@
+import { createLinkHealth, worstHealth } from './connectionHealth';
+
+const T0 = 1700000000000;
+
+// One reading per second with fresh values and sequence numbers
+const feed = (health, from, seconds, latencyMs = 40) => {
+  for (let s = 0; s < seconds; s++) {
+    const t = T0 + from + s * 1000;
+    health.recordReading(t, { pitch: s, roll: 0, seq: t }, latencyMs);
+  }
+  return from + seconds * 1000;
+};
+
+test('reports success rate, latency and a full signal for a clean link', () => {
+  const health = createLinkHealth();
+  health.reset(T0);
+  const t = feed(health, 0, 10, 40);
+
+  expect(health.snapshot(T0 + t)).toEqual({
+    successRate: 1,
+    latencyMs: 40,
+    sinceLastGoodMs: 1000,
+    consecutiveFailures: 0,
+    frozen: false,
+    lost: false,
+    bars: 4
+  });
+});
+
+test('loses bars as requests fail or slow down', () => {
+  const health = createLinkHealth({ window: 10 });
+  health.reset(T0);
+  let t = feed(health, 0, 7, 40);
+  for (let i = 0; i < 3; i++) health.recordFailure(T0 + t + i * 1000);
+  expect(health.snapshot(T0 + t).successRate).toBeCloseTo(0.7);
+  expect(health.snapshot(T0 + t).bars).toBe(2);
+
+  const slow = createLinkHealth();
+  slow.reset(T0);
+  t = feed(slow, 0, 10, 800);
+  expect(slow.snapshot(T0 + t).bars).toBe(2);
+});
+
+test('counts the link as lost after too many failures in a row', () => {
+  const health = createLinkHealth({ maxFailures: 3 });
+  health.reset(T0);
+  const t = feed(health, 0, 5);
+  health.recordFailure(T0 + t);
+  health.recordFailure(T0 + t + 200);
+  expect(health.snapshot(T0 + t + 200).lost).toBe(false);
+  health.recordFailure(T0 + t + 400);
+  expect(health.snapshot(T0 + t + 400)).toMatchObject({ lost: true, bars: 0, consecutiveFailures: 3 });
+
+  // A reading clears the failure streak
+  health.recordReading(T0 + t + 600, { pitch: 1, roll: 1, seq: 1 }, 40);
+  expect(health.snapshot(T0 + t + 600).lost).toBe(false);
+});
+
+test('counts the link as lost when no good sample arrives for too long', () => {
+  const health = createLinkHealth({ staleMs: 10000 });
+  health.reset(T0);
+  expect(health.snapshot(T0 + 9000).lost).toBe(false);
+  expect(health.snapshot(T0 + 10000)).toMatchObject({ lost: true, sinceLastGoodMs: 10000 });
+});
+
+test('flags a device that keeps answering with the same sample', () => {
+  const health = createLinkHealth({ frozenMs: 3000 });
+  health.reset(T0);
+  const t = feed(health, 0, 3);
+  const stuck = { pitch: 5, roll: 1, seq: 42 };
+  expect(health.recordReading(T0 + t, stuck, 40)).toBe(true);
+  for (let s = 1; s <= 4; s++) expect(health.recordReading(T0 + t + s * 1000, stuck, 40)).toBe(false);
+
+  expect(health.snapshot(T0 + t + 4000)).toMatchObject({ frozen: true, bars: 1, sinceLastGoodMs: 4000 });
+
+  // Without sequence numbers, identical values count as a repeat
+  const legacy = createLinkHealth();
+  legacy.recordReading(T0, { pitch: 5, roll: 1, seq: null });
+  expect(legacy.recordReading(T0 + 1000, { pitch: 5, roll: 1, seq: null })).toBe(false);
+  expect(legacy.recordReading(T0 + 2000, { pitch: 5.1, roll: 1, seq: null })).toBe(true);
+});
+
+test('the weakest link sets the overall signal', () => {
+  expect(worstHealth([{ bars: 4 }, { bars: 2 }, { bars: 3 }])).toEqual({ bars: 2 });
+  expect(worstHealth([])).toBeNull();
+});
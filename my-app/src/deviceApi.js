@@ -0,0 +1,122 @@
+// --- DEVICE HTTP API ---
+// Thin wrappers around the ESP32 endpoints. Each takes the device it talks to
+// as { host, port, token } (a saved device entry works as is); the pairing
+// token is sent as a bearer token. Every request is aborted after `timeout` ms
+// so a vanished device never leaves the UI waiting.
+
+const DEFAULT_TIMEOUT_MS = 3000;
+
+export const deviceUrl = (host, port, path) => `http://${host}:${port}${path}`;
+
+// The sensor only speaks plain http and ws, which browsers block as mixed
+// content on a page served over https
+export const isMixedContentBlocked = () => window.location.protocol === 'https:';
+
+// Missing, revoked or replaced pairing token
+export const isUnauthorized = (err) => Boolean(err) && err.status === 401;
+
+export const requestJSON = async ({ host, port, token }, path, { method = 'GET', body, timeout = DEFAULT_TIMEOUT_MS } = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  const headers = {};
+  // text/plain keeps unauthenticated POSTs (pairing) a "simple" CORS request
+  if (body !== undefined) headers['Content-Type'] = 'text/plain';
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  try {
+    const response = await fetch(deviceUrl(host, port, path), {
+      method,
+      signal: controller.signal,
+      headers: Object.keys(headers).length ? headers : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    }).catch(() => { throw new Error('Timeout or Network Error'); });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      const error = new Error((data && data.error) || `Device responded with ${response.status}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+    return data;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+// --- IDENTITY ---
+// Shape: { device_id, hostname, model, firmware, ws_port, capabilities: [...] }
+
+export const getIdentity = (device, timeout) => requestJSON(device, '/identity', { timeout });
+
+// --- PAIRING ---
+// startPairing makes the device blink a short code (each digit as that many
+// flashes of its LED); pairDevice trades the code for the token every other
+// endpoint needs. unpairDevice revokes the token it is called with.
+
+export const startPairing = (device) => requestJSON(device, '/pair/start', { method: 'POST' });
+
+export const pairDevice = async (device, code) => {
+  const { token } = await requestJSON(device, '/pair', { method: 'POST', body: { code } });
+  return token;
+};
+
+export const unpairDevice = (device) => requestJSON(device, '/pair', { method: 'DELETE' });
+
+// --- TELEMETRY ---
+
+export const getAngle = (device, timeout) => requestJSON(device, '/angle', { timeout });
+
+// --- CALIBRATION ---
+// Status shape: { state: 'idle' | 'running' | 'done' | 'failed', progress, pitch_offset, roll_offset, error }
+
+export const startCalibration = (device) => requestJSON(device, '/calibrate', { method: 'POST' });
+
+export const getCalibrationStatus = (device) => requestJSON(device, '/calibrate');
+
+// --- HAPTIC CONFIG ---
+// Config shape: { haptic_threshold, min_bad_ms, pattern: 'continuous' | 'pulse' | 'double', quiet_mode }
+
+export const BUZZ_PATTERNS = ['continuous', 'pulse', 'double'];
+
+export const getDeviceConfig = (device) => requestJSON(device, '/config');
+
+// Accepts any subset of the config fields and returns the full config
+export const updateDeviceConfig = (device, changes) => requestJSON(device, '/config', { method: 'PUT', body: changes });
+
+export const testBuzz = (device) => requestJSON(device, '/buzz', { method: 'POST' });
+
+// --- WI-FI PROVISIONING ---
+// Status shape: { mode: 'ap' | 'station', ssid, connected, ip, rssi, ap_active, ap_ip }
+// Saving or forgetting credentials restarts the device about a second later.
+
+export const getWifiStatus = (device) => requestJSON(device, '/wifi');
+
+export const provisionWifi = (device, { ssid, password = '' }) => (
+  requestJSON(device, '/wifi', { method: 'POST', body: { ssid, password } })
+);
+
+export const forgetWifi = (device) => requestJSON(device, '/wifi', { method: 'DELETE' });
+
+// --- SAMPLE BUFFER ---
+// Page shape: { latest, oldest, now, more, samples: [{ seq, ts, pitch, roll }] }
+
+export const getSamplesSince = (device, since, limit = 500) => (
+  requestJSON(device, `/samples?since=${since}&limit=${limit}`)
+);
+
+// Follows "more" until every buffered sample after `since` has been fetched
+export const fetchBackfill = async (device, since, maxPages = 20) => {
+  const samples = [];
+  let cursor = since;
+  for (let page = 0; page < maxPages; page++) {
+    const result = await getSamplesSince(device, cursor);
+    // A device that rebooted restarts its sequence; nothing after `since` is recoverable
+    if (result.latest < since) break;
+    samples.push(...result.samples);
+    if (!result.more || !result.samples.length) break;
+    cursor = result.samples[result.samples.length - 1].seq;
+  }
+  return samples;
+};
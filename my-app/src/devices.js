@@ -0,0 +1,66 @@
+import { SOFT_AP_GATEWAY } from './discovery';
+import { DEFAULT_PROFILE_ID, scopedKey } from './profiles';
+
+// --- DEVICE LIST ---
+// Every posture sensor the dashboard knows about: a name, its address and
+// where it is worn, plus the hardware ID once a scan has identified it and the
+// token the device issued when it was paired. Persisted in localStorage per
+// profile; connection state is not.
+
+const STORAGE_KEY = 'devices';
+
+export const BODY_LOCATIONS = {
+  'upper-back': 'Upper back',
+  neck: 'Neck',
+  'lower-back': 'Lower back',
+  other: 'Other'
+};
+
+const createId = () => `dev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const newDevice = ({ name, host = '', port = '80', location = 'upper-back', deviceId = null, token = null }) => ({
+  id: createId(),
+  name,
+  host,
+  port,
+  location,
+  deviceId,
+  token
+});
+
+// Next free default name: "Sensor 1", "Sensor 2", ...
+export const nextDeviceName = (devices) => {
+  const taken = new Set(devices.map(d => d.name));
+  let n = devices.length + 1;
+  while (taken.has(`Sensor ${n}`)) n += 1;
+  return `Sensor ${n}`;
+};
+
+// Reads the saved list; installs from before multi-device support get their
+// single espIP/espPort turned into the first entry
+export const loadDevices = (profileId = DEFAULT_PROFILE_ID) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(scopedKey(profileId, STORAGE_KEY)));
+    if (Array.isArray(saved) && saved.length) return saved;
+  } catch (err) {
+    // Corrupt entry; rebuild from the legacy keys below
+  }
+  return [newDevice({
+    name: 'Sensor 1',
+    host: localStorage.getItem(scopedKey(profileId, 'espIP')) || SOFT_AP_GATEWAY,
+    port: localStorage.getItem(scopedKey(profileId, 'espPort')) || '80'
+  })];
+};
+
+export const saveDevices = (devices, profileId = DEFAULT_PROFILE_ID) => {
+  localStorage.setItem(scopedKey(profileId, STORAGE_KEY), JSON.stringify(devices));
+};
+
+// Name and body location of each device that contributed samples, stored on
+// the session so history still reads correctly after the list changes
+export const describeDevices = (devices, samples) => {
+  const used = new Set(samples.map(p => p.device));
+  return devices
+    .filter(d => used.has(d.id))
+    .map(({ id, name, location }) => ({ id, name, location }));
+};
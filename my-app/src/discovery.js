@@ -0,0 +1,92 @@
+import { getIdentity } from './deviceApi';
+
+// --- DEVICE DISCOVERY ---
+// Browsers can't browse mDNS, so a scan probes likely addresses for GET
+// /identity instead: the firmware's soft-AP gateway, every saved device and an
+// optional user-given range. Anything that answers is listed by its device ID.
+
+export const SOFT_AP_GATEWAY = '192.168.4.1';
+
+const PROBE_TIMEOUT_MS = 1500;
+const PROBE_CONCURRENCY = 16;
+const MAX_RANGE_HOSTS = 254;
+
+const isOctet = (text) => /^\d{1,3}$/.test(text) && Number(text) <= 255;
+
+// Expands "192.168.1.20-60" or "192.168.1.0/24" into host addresses.
+// Throws on anything else, or on ranges wider than one /24.
+export const expandRange = (spec) => {
+  const text = spec.trim();
+
+  const cidr = text.match(/^(\d+\.\d+\.\d+)\.(\d+)\/(\d+)$/);
+  if (cidr) {
+    const [, prefix, last, bits] = cidr;
+    if (!prefix.split('.').every(isOctet) || !isOctet(last)) throw new Error('Invalid address range');
+    if (Number(bits) < 24 || Number(bits) > 32) throw new Error('Scan at most one /24 at a time');
+    const size = 2 ** (32 - Number(bits));
+    const first = Number(last) - (Number(last) % size);
+    const hosts = [];
+    // Skip the network and broadcast addresses of anything bigger than a single host
+    for (let n = first; n < first + size; n++) {
+      if (size > 2 && (n === first || n === first + size - 1)) continue;
+      hosts.push(`${prefix}.${n}`);
+    }
+    return hosts;
+  }
+
+  const range = text.match(/^(\d+\.\d+\.\d+)\.(\d+)(?:-(\d+))?$/);
+  if (range) {
+    const [, prefix, startText, endText = startText] = range;
+    if (!prefix.split('.').every(isOctet) || !isOctet(startText) || !isOctet(endText)) throw new Error('Invalid address range');
+    const start = Number(startText);
+    const end = Number(endText);
+    if (end < start) throw new Error('Range end is before its start');
+    if (end - start + 1 > MAX_RANGE_HOSTS) throw new Error('Scan at most one /24 at a time');
+    return Array.from({ length: end - start + 1 }, (_, i) => `${prefix}.${start + i}`);
+  }
+
+  throw new Error('Use a range like 192.168.1.20-60 or 192.168.1.0/24');
+};
+
+// Addresses to probe, most likely first and without duplicates: the soft-AP
+// gateway, saved devices (with their ports), then the optional range
+export const candidateAddresses = ({ devices = [], range = '', port = '80' }) => {
+  const seen = new Set();
+  const candidates = [];
+  const add = (host, candidatePort) => {
+    const key = `${host}:${candidatePort}`;
+    if (!host || seen.has(key)) return;
+    seen.add(key);
+    candidates.push({ host, port: String(candidatePort) });
+  };
+
+  add(SOFT_AP_GATEWAY, port);
+  devices.forEach(d => add(d.host, d.port || port));
+  if (range.trim()) expandRange(range).forEach(host => add(host, port));
+  return candidates;
+};
+
+// Probes every candidate (a few at a time) and resolves with the devices that
+// answered, one entry per device ID. onFound reports each one as it answers.
+export const scanForDevices = async (candidates, { onFound, timeout = PROBE_TIMEOUT_MS, concurrency = PROBE_CONCURRENCY } = {}) => {
+  const found = new Map();
+  const queue = [...candidates];
+
+  const worker = async () => {
+    while (queue.length) {
+      const { host, port } = queue.shift();
+      try {
+        const identity = await getIdentity({ host, port }, timeout);
+        if (!identity || !identity.device_id || found.has(identity.device_id)) continue;
+        const result = { host, port, identity };
+        found.set(identity.device_id, result);
+        if (onFound) onFound(result);
+      } catch (err) {
+        // Nothing there, or a device with firmware that predates /identity
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  return [...found.values()];
+};
@@ -0,0 +1,53 @@
+import { expandRange, candidateAddresses, scanForDevices, SOFT_AP_GATEWAY } from './discovery';
+import { createDevice } from '../simulator/device';
+
+describe('expandRange', () => {
+  test('expands a dash range', () => {
+    expect(expandRange('192.168.1.20-23')).toEqual(['192.168.1.20', '192.168.1.21', '192.168.1.22', '192.168.1.23']);
+    expect(expandRange(' 10.0.0.7 ')).toEqual(['10.0.0.7']);
+  });
+
+  test('expands a CIDR block without network and broadcast addresses', () => {
+    const hosts = expandRange('192.168.1.0/24');
+    expect(hosts).toHaveLength(254);
+    expect(hosts[0]).toBe('192.168.1.1');
+    expect(hosts[hosts.length - 1]).toBe('192.168.1.254');
+    expect(expandRange('192.168.1.9/30')).toEqual(['192.168.1.9', '192.168.1.10']);
+  });
+
+  test('rejects malformed or oversized ranges', () => {
+    expect(() => expandRange('192.168.1.300')).toThrow('Invalid address range');
+    expect(() => expandRange('192.168.1.60-20')).toThrow('before its start');
+    expect(() => expandRange('10.0.0.0/16')).toThrow('one /24');
+    expect(() => expandRange('printer.local')).toThrow('Use a range like');
+  });
+});
+
+test('candidates start with the soft-AP gateway and skip duplicates', () => {
+  const devices = [{ host: SOFT_AP_GATEWAY, port: '80' }, { host: '10.0.0.5', port: '8080' }];
+  expect(candidateAddresses({ devices, range: '10.0.0.4-5' })).toEqual([
+    { host: SOFT_AP_GATEWAY, port: '80' },
+    { host: '10.0.0.5', port: '8080' },
+    { host: '10.0.0.4', port: '80' },
+    { host: '10.0.0.5', port: '80' }
+  ]);
+});
+
+test('lists every device that answers the identity endpoint once', async () => {
+  const sensors = [createDevice({ host: '10.0.0.3' }), createDevice({ host: '10.0.0.9' })];
+  global.fetch = jest.fn((url, init) => {
+    const sensor = sensors.find(s => url.includes(`//${s.host}:`));
+    return sensor ? sensor.fetch(url, init) : Promise.reject(new TypeError('Failed to fetch'));
+  });
+  const onFound = jest.fn();
+
+  const found = await scanForDevices(
+    [...expandRange('10.0.0.1-10').map(host => ({ host, port: '80' })), { host: '10.0.0.3', port: '80' }],
+    { onFound }
+  );
+
+  expect(found.map(f => f.identity.device_id).sort()).toEqual(sensors.map(s => s.deviceId).sort());
+  expect(found.find(f => f.host === '10.0.0.9').identity).toMatchObject({ firmware: expect.any(String), capabilities: expect.arrayContaining(['stream']) });
+  expect(onFound).toHaveBeenCalledTimes(2);
+  delete global.fetch;
+});
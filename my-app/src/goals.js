@@ -0,0 +1,38 @@
+import { toDayKey, summarizeDay } from './sessionStore';
+
+// --- DAILY GOALS ---
+// A day's goal is met when enough minutes were tracked and the day's
+// duration-weighted score reaches the target. Goals are judged with the
+// current settings, so changing a target re-evaluates past days too.
+
+export const isGoalMet = ({ minutes, score }, { targetDurationMins, targetScore }) => (
+  score !== null && minutes >= targetDurationMins && score >= targetScore
+);
+
+// Progress (0-1 each) toward today's goal
+export const goalProgress = ({ minutes, score }, { targetDurationMins, targetScore }) => ({
+  minutes: Math.min(1, minutes / targetDurationMins),
+  score: score === null ? 0 : Math.min(1, score / targetScore)
+});
+
+// Consecutive days with a met goal, counting back from today. Today only
+// breaks the streak once it is over, so an unfinished today starts from yesterday.
+export const computeGoalStreak = (sessions, goals, now = new Date()) => {
+  const byDay = {};
+  sessions.forEach(s => {
+    const key = toDayKey(s.startedAt);
+    (byDay[key] = byDay[key] || []).push(s);
+  });
+
+  const dayMet = (date) => isGoalMet(summarizeDay(byDay[toDayKey(date.getTime())] || []), goals);
+
+  const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (!dayMet(cursor)) cursor.setDate(cursor.getDate() - 1);
+
+  let streak = 0;
+  while (dayMet(cursor)) {
+    streak += 1;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return streak;
+};
@@ -0,0 +1,60 @@
+import { isGoalMet, goalProgress, computeGoalStreak } from './goals';
+
+const GOALS = { targetDurationMins: 30, targetScore: 80 };
+// Mid-afternoon, local time
+const NOW = new Date(2024, 2, 15, 15, 0);
+
+// A session `daysAgo` days before NOW's date, starting at the given local time
+const session = (daysAgo, { hour = 9, minute = 0, minutes = 30, score = 85 } = {}) => ({
+  startedAt: new Date(2024, 2, 15 - daysAgo, hour, minute).getTime(),
+  duration: minutes * 60,
+  score
+});
+
+describe('isGoalMet', () => {
+  test('needs both the minutes and the score', () => {
+    expect(isGoalMet({ minutes: 30, score: 80 }, GOALS)).toBe(true);
+    expect(isGoalMet({ minutes: 29.5, score: 95 }, GOALS)).toBe(false);
+    expect(isGoalMet({ minutes: 60, score: 79 }, GOALS)).toBe(false);
+    // A day without sessions
+    expect(isGoalMet({ minutes: 0, score: null }, { targetDurationMins: 5, targetScore: 20 })).toBe(false);
+  });
+});
+
+describe('goalProgress', () => {
+  test('gives each part as a share of its target, capped at 1', () => {
+    expect(goalProgress({ minutes: 15, score: 40 }, GOALS)).toEqual({ minutes: 0.5, score: 0.5 });
+    expect(goalProgress({ minutes: 90, score: 100 }, GOALS)).toEqual({ minutes: 1, score: 1 });
+    expect(goalProgress({ minutes: 0, score: null }, GOALS)).toEqual({ minutes: 0, score: 0 });
+  });
+});
+
+describe('computeGoalStreak', () => {
+  test('is zero with no history', () => {
+    expect(computeGoalStreak([], GOALS, NOW)).toBe(0);
+  });
+
+  test('counts back from today and stops at the first missed day', () => {
+    const sessions = [session(0), session(1), session(2), session(4), session(5)];
+    expect(computeGoalStreak(sessions, GOALS, NOW)).toBe(3);
+  });
+
+  test('a missed goal breaks the streak even when the day has sessions', () => {
+    const sessions = [session(0), session(1, { score: 60 }), session(2)];
+    expect(computeGoalStreak(sessions, GOALS, NOW)).toBe(1);
+  });
+
+  test('counts up to yesterday while today is not yet met', () => {
+    const sessions = [session(0, { minutes: 10 }), session(1), session(2)];
+    expect(computeGoalStreak(sessions, GOALS, NOW)).toBe(2);
+    expect(computeGoalStreak([session(1), session(2)], GOALS, NOW)).toBe(2);
+  });
+
+  test('adds up the sessions of a day and splits days at local midnight', () => {
+    const sameDay = [session(1, { hour: 0, minute: 5, minutes: 20 }), session(1, { hour: 23, minute: 30, minutes: 20 })];
+    expect(computeGoalStreak(sameDay, GOALS, NOW)).toBe(1);
+    // A session running past midnight counts for the day it started on
+    const split = [session(2, { hour: 23, minute: 50, minutes: 20 }), session(1, { hour: 0, minute: 15, minutes: 20 })];
+    expect(computeGoalStreak(split, GOALS, NOW)).toBe(0);
+  });
+});
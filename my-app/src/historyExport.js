@@ -0,0 +1,110 @@
+import { summarizeDay } from './sessionStore';
+
+// --- HISTORY EXPORT / IMPORT ---
+// CSV carries one row per raw sample for notebooks and spreadsheets; JSON
+// carries whole session records plus the settings and summary stats, and is
+// the format that can be imported back.
+
+export const EXPORT_FORMAT = 'spineup-history';
+export const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = ['session_id', 'timestamp', 't_ms', 'angle', 'pitch', 'roll', 'status', 'seq', 'backfilled', 'device', 'location', 'on_break'];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const sessionsToCSV = (sessions) => {
+  const rows = [CSV_COLUMNS.join(',')];
+  sessions.forEach(session => {
+    const devices = new Map((session.devices || []).map(d => [d.id, d]));
+    session.samples.forEach(p => {
+      const device = devices.get(p.device);
+      rows.push([
+        session.id,
+        new Date(p.t).toISOString(),
+        p.t,
+        p.angle,
+        p.pitch,
+        p.roll,
+        p.status,
+        p.seq,
+        p.backfilled ? 1 : 0,
+        device ? device.name : p.device,
+        device ? device.location : '',
+        p.onBreak ? 1 : 0
+      ].map(csvCell).join(','));
+    });
+  });
+  return rows.join('\n');
+};
+
+export const buildJSONExport = (sessions, settings) => {
+  const { score, minutes } = summarizeDay(sessions);
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    summary: {
+      sessions: sessions.length,
+      totalMinutes: Math.round(minutes),
+      score
+    },
+    sessions
+  }, null, 2);
+};
+
+const isValidSession = (s) => (
+  s && typeof s.id === 'string'
+  && Number.isFinite(s.startedAt)
+  && Number.isFinite(s.duration)
+  && Number.isFinite(s.score)
+  && Array.isArray(s.samples)
+);
+
+// Returns the sessions contained in a JSON export; throws on anything else
+export const parseJSONExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+    throw new Error('Not a SpineUp history export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('Export was made by a newer version of SpineUp');
+  }
+  const sessions = data.sessions.filter(isValidSession);
+  if (sessions.length !== data.sessions.length) {
+    throw new Error('Export contains malformed sessions');
+  }
+  return sessions;
+};
+
+// File name (without extension) like spineup-2024-05-01_2024-05-07
+export const exportFileBase = (from, to) => `spineup-${from}${to && to !== from ? `_${to}` : ''}`;
+
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const exportSessions = (sessions, format, settings, fileBase) => {
+  if (format === 'csv') {
+    downloadFile(`${fileBase}.csv`, sessionsToCSV(sessions), 'text/csv');
+  } else {
+    downloadFile(`${fileBase}.json`, buildJSONExport(sessions, settings), 'application/json');
+  }
+};
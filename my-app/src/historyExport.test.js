@@ -0,0 +1,94 @@
+import { EXPORT_FORMAT, EXPORT_VERSION, sessionsToCSV, buildJSONExport, parseJSONExport } from './historyExport';
+import { getAllSessions, importSessions, deleteProfileSessions } from './sessionStore';
+import { DEFAULT_PROFILE_ID } from './profiles';
+
+const T0 = new Date(2024, 4, 1, 9, 0).getTime();
+
+const session = (id, { startedAt = T0, duration = 60 } = {}) => ({
+  id,
+  startedAt,
+  endedAt: startedAt + duration * 1000,
+  duration,
+  score: 90,
+  devices: [],
+  samples: [{ t: startedAt, device: 'a', angle: 3, pitch: 3, roll: 1, status: 'Excellent', seq: 1 }]
+});
+
+const exportOf = (sessions, overrides = {}) => JSON.stringify({ ...JSON.parse(buildJSONExport(sessions, {})), ...overrides });
+
+beforeEach(async () => {
+  await deleteProfileSessions(DEFAULT_PROFILE_ID);
+});
+
+describe('sessionsToCSV', () => {
+  test('writes one row per sample under the header, with the device name and location', () => {
+    const s = {
+      ...session('s1'),
+      devices: [{ id: 'a', name: 'Sensor 1', location: 'upper-back' }],
+      samples: [
+        { t: T0, device: 'a', angle: 3, pitch: 3, roll: 1, status: 'Excellent', seq: 1 },
+        { t: T0 + 1000, device: 'a', angle: 30, pitch: 30, roll: 2, status: 'Poor', seq: 2, backfilled: true, onBreak: true }
+      ]
+    };
+    const [header, ...rows] = sessionsToCSV([s]).split('\n');
+    expect(header).toBe('session_id,timestamp,t_ms,angle,pitch,roll,status,seq,backfilled,device,location,on_break');
+    expect(rows).toEqual([
+      `s1,${new Date(T0).toISOString()},${T0},3,3,1,Excellent,1,0,Sensor 1,upper-back,0`,
+      `s1,${new Date(T0 + 1000).toISOString()},${T0 + 1000},30,30,2,Poor,2,1,Sensor 1,upper-back,1`
+    ]);
+  });
+
+  test('quotes cells holding commas, quotes or newlines and leaves missing values empty', () => {
+    const s = {
+      ...session('s1'),
+      devices: [{ id: 'a', name: 'Desk, "left"', location: 'neck\nlow' }],
+      samples: [{ t: T0, device: 'a', angle: 3, pitch: 3, roll: 1, status: 'Excellent', seq: null }]
+    };
+    const csv = sessionsToCSV([s]);
+    expect(csv.endsWith(',Excellent,,0,"Desk, ""left""","neck\nlow",0')).toBe(true);
+  });
+});
+
+describe('parseJSONExport', () => {
+  test('reads back the sessions of an export', () => {
+    const sessions = [session('s1'), session('s2', { startedAt: T0 + 3600000 })];
+    const data = JSON.parse(buildJSONExport(sessions, { targetScore: 80 }));
+    expect(data).toMatchObject({ format: EXPORT_FORMAT, version: EXPORT_VERSION, settings: { targetScore: 80 }, summary: { sessions: 2 } });
+    expect(parseJSONExport(JSON.stringify(data))).toEqual(sessions);
+  });
+
+  test('rejects files that are not a history export of a version it knows', () => {
+    expect(() => parseJSONExport('{not json')).toThrow('File is not valid JSON');
+    expect(() => parseJSONExport('null')).toThrow('Not a SpineUp history export');
+    expect(() => parseJSONExport(exportOf([session('s1')], { format: 'something-else' }))).toThrow('Not a SpineUp history export');
+    expect(() => parseJSONExport(exportOf([session('s1')], { sessions: {} }))).toThrow('Not a SpineUp history export');
+    expect(() => parseJSONExport(exportOf([session('s1')], { version: EXPORT_VERSION + 1 }))).toThrow('newer version');
+  });
+
+  test('rejects an export with malformed sessions rather than importing part of it', () => {
+    const broken = [session('s1'), { ...session('s2'), samples: undefined }];
+    expect(() => parseJSONExport(exportOf(broken))).toThrow('Export contains malformed sessions');
+    expect(() => parseJSONExport(exportOf([{ ...session('s3'), id: 7 }]))).toThrow('Export contains malformed sessions');
+  });
+});
+
+describe('importSessions', () => {
+  test('adds the sessions of a file imported twice only once', async () => {
+    const file = buildJSONExport([session('s1'), session('s2', { startedAt: T0 + 3600000 })], {});
+
+    expect(await importSessions(parseJSONExport(file))).toEqual({ added: 2, skipped: 0 });
+    expect(await getAllSessions()).toHaveLength(2);
+    expect(await importSessions(parseJSONExport(file))).toEqual({ added: 0, skipped: 2 });
+    expect(await getAllSessions()).toHaveLength(2);
+  });
+
+  test('skips a session with a new id but the same start time and duration', async () => {
+    await importSessions([session('s1')]);
+    expect(await importSessions([session('copy-of-s1'), session('s1-longer', { duration: 90 })])).toEqual({ added: 1, skipped: 1 });
+    expect((await getAllSessions()).map(s => s.id).sort()).toEqual(['s1', 's1-longer']);
+  });
+
+  test('skips duplicates within one file', async () => {
+    expect(await importSessions([session('s1'), session('s2', { startedAt: T0 + 3600000 }), session('s1')])).toEqual({ added: 2, skipped: 1 });
+  });
+});
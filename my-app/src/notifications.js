@@ -0,0 +1,71 @@
+// --- SYSTEM NOTIFICATIONS ---
+// Posture alerts as OS notifications, for when SpineUp sits in a background
+// tab or another window is in front. They go through the service worker when
+// one is active (required on Android, and clicking focuses the app), otherwise
+// through the page's Notification constructor.
+
+const ICON = `${process.env.PUBLIC_URL}/icon-192.png`;
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// 'granted' | 'denied' | 'default' | 'unsupported'
+export const notificationPermission = () => (notificationsSupported() ? window.Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return 'unsupported';
+  if (window.Notification.permission !== 'default') return window.Notification.permission;
+  return window.Notification.requestPermission();
+};
+
+// Hidden tab, minimized window, or another window has focus
+export const isAppInBackground = () => document.visibilityState === 'hidden' || !document.hasFocus();
+
+// Resolves to false when the notification could not be shown
+export const showSystemNotification = async (title, options = {}) => {
+  if (notificationPermission() !== 'granted') return false;
+  const config = { icon: ICON, badge: ICON, ...options };
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration && registration.active) {
+      await registration.showNotification(title, config);
+    } else {
+      const notification = new window.Notification(title, config);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    }
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// --- ALERT SOUND ---
+// Two short beeps from Web Audio, so there is no sound file to load or cache.
+// Browsers keep the context suspended until the page has had a user gesture.
+
+let audioContext = null;
+
+export const playAlertSound = () => {
+  const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContext) return false;
+  try {
+    if (!audioContext) audioContext = new AudioContext();
+    if (audioContext.state === 'suspended') audioContext.resume();
+    const start = audioContext.currentTime;
+    [0, 0.25].forEach(offset => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.2, start + offset);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + offset + 0.18);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start + offset);
+      oscillator.stop(start + offset + 0.2);
+    });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
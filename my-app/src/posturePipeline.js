@@ -0,0 +1,190 @@
+import { ZONE_SCORES, computeSessionStats } from './sessionStats';
+
+// --- POSTURE SIGNAL PIPELINE ---
+// Turns timestamped raw pitch/roll readings into smoothed angles, zone labels,
+// streak events and session aggregates. Plain JS with no React, so it can be
+// unit tested and reused; components subscribe to its output.
+
+export const FILTER_TYPES = ['ema', 'median', 'timeConstant'];
+
+export const DEFAULT_FILTER = { type: 'ema', alpha: 0.15, window: 5, tauMs: 1000 };
+
+export const DEFAULT_THRESHOLDS = { excellent: 5, good: 15, fair: 25 };
+
+const GOOD_ZONES = ['Excellent', 'Good'];
+const STREAK_STEP_MS = 60000;
+
+const round1 = (value) => Number(value.toFixed(1));
+
+// --- FILTERS ---
+// Each filter is a small stateful object: push(value, t) returns the filtered
+// value, reset() forgets its history. The first value passes through as is.
+
+// Fixed-weight exponential moving average; its lag depends on the sample rate
+const createEma = ({ alpha }) => {
+  let value = null;
+  return {
+    push: (next) => {
+      value = value === null ? next : value * (1 - alpha) + next * alpha;
+      return value;
+    },
+    reset: () => { value = null; }
+  };
+};
+
+// Median of the last `window` values; rejects single-sample spikes outright
+const createMedian = ({ window }) => {
+  const size = Math.max(1, Math.round(window));
+  let values = [];
+  return {
+    push: (next) => {
+      values = [...values, next].slice(-size);
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+    reset: () => { values = []; }
+  };
+};
+
+// EMA whose weight comes from the time since the previous sample, so the
+// response time is tauMs whether readings arrive every 50ms or every second
+const createTimeConstantEma = ({ tauMs }) => {
+  let value = null;
+  let lastT = null;
+  return {
+    push: (next, t) => {
+      if (value === null || lastT === null || tauMs <= 0) {
+        value = next;
+      } else {
+        const dt = Math.max(0, t - lastT);
+        const alpha = 1 - Math.exp(-dt / tauMs);
+        value += (next - value) * alpha;
+      }
+      lastT = t;
+      return value;
+    },
+    reset: () => { value = null; lastT = null; }
+  };
+};
+
+const FILTER_FACTORIES = {
+  ema: createEma,
+  median: createMedian,
+  timeConstant: createTimeConstantEma
+};
+
+export const createFilter = (options = {}) => {
+  const config = { ...DEFAULT_FILTER, ...options };
+  const factory = FILTER_FACTORIES[config.type];
+  if (!factory) throw new Error(`Unknown filter type "${config.type}"`);
+  return factory(config);
+};
+
+// --- CLASSIFICATION ---
+export const classifyAngle = (angle, thresholds = DEFAULT_THRESHOLDS) => {
+  const absAngle = Math.abs(angle);
+  if (absAngle <= thresholds.excellent) return 'Excellent';
+  if (absAngle <= thresholds.good) return 'Good';
+  if (absAngle <= thresholds.fair) return 'Fair';
+  return 'Poor';
+};
+
+// Both axes are graded; the worse one decides the overall status. `axis` is
+// the one further from upright, which the gauge follows.
+export const classifyPosture = (pitch, roll, thresholds = DEFAULT_THRESHOLDS, zoneScores = ZONE_SCORES) => {
+  const pitchLabel = classifyAngle(pitch, thresholds);
+  const rollLabel = classifyAngle(roll, thresholds);
+  const label = zoneScores[pitchLabel] <= zoneScores[rollLabel] ? pitchLabel : rollLabel;
+  const axis = Math.abs(pitch) >= Math.abs(roll) ? 'pitch' : 'roll';
+  return { label, axis, angle: axis === 'pitch' ? pitch : roll, score: zoneScores[label] };
+};
+
+// --- PIPELINE ---
+// push() takes { t, pitch, roll, seq?, alert? } and returns the processed point
+// { t, angle, pitch, roll, status, axis, seq, alert, streakMs }. Subscribers
+// receive { type: 'sample', point }, { type: 'zone', from, to, t } when the
+// status changes, and { type: 'streak', minutes, t } for every full minute
+// spent in a good zone.
+export const createPosturePipeline = (options = {}) => {
+  let filterOptions = { ...DEFAULT_FILTER, ...options.filter };
+  let thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+  const zoneScores = options.zoneScores || ZONE_SCORES;
+
+  let filters = { pitch: createFilter(filterOptions), roll: createFilter(filterOptions) };
+  let lastStatus = null;
+  let streakStart = null;
+  let streakMinutes = 0;
+  const listeners = new Set();
+
+  const emit = (event) => listeners.forEach(listener => listener(event));
+
+  const resetStreak = () => {
+    streakStart = null;
+    streakMinutes = 0;
+  };
+
+  const updateStreak = (status, t) => {
+    if (!GOOD_ZONES.includes(status)) {
+      resetStreak();
+      return 0;
+    }
+    if (streakStart === null) streakStart = t;
+    const streakMs = t - streakStart;
+    const minutes = Math.floor(streakMs / STREAK_STEP_MS);
+    if (minutes > streakMinutes) {
+      streakMinutes = minutes;
+      emit({ type: 'streak', minutes, t });
+    }
+    return streakMs;
+  };
+
+  const push = ({ t, pitch: rawPitch, roll: rawRoll, seq = null, alert = false }) => {
+    const pitch = round1(filters.pitch.push(rawPitch, t));
+    const roll = round1(filters.roll.push(rawRoll, t));
+    const { label, axis, angle } = classifyPosture(pitch, roll, thresholds, zoneScores);
+
+    if (label !== lastStatus) {
+      if (lastStatus !== null) emit({ type: 'zone', from: lastStatus, to: label, t });
+      lastStatus = label;
+    }
+    const streakMs = updateStreak(label, t);
+
+    const point = { t, angle, pitch, roll, status: label, axis, seq, alert, streakMs };
+    emit({ type: 'sample', point });
+    return point;
+  };
+
+  return {
+    push,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    // Changing the filter restarts it; thresholds apply from the next sample
+    configure: (next = {}) => {
+      if (next.filter) {
+        filterOptions = { ...filterOptions, ...next.filter };
+        filters = { pitch: createFilter(filterOptions), roll: createFilter(filterOptions) };
+      }
+      if (next.thresholds) thresholds = { ...thresholds, ...next.thresholds };
+    },
+    reset: () => {
+      filters.pitch.reset();
+      filters.roll.reset();
+      lastStatus = null;
+      resetStreak();
+    },
+    resetStreak
+  };
+};
+
+// Runs a whole recording through a fresh pipeline: processed points, the
+// events it raised and the session aggregates
+export const processSamples = (samples, options = {}) => {
+  const pipeline = createPosturePipeline(options);
+  const events = [];
+  pipeline.subscribe(event => { if (event.type !== 'sample') events.push(event); });
+  const points = samples.map(sample => pipeline.push(sample));
+  return { points, events, stats: computeSessionStats(points, options.zoneScores) };
+};
@@ -0,0 +1,109 @@
+import {
+  createFilter, classifyAngle, classifyPosture, createPosturePipeline, processSamples
+} from './posturePipeline';
+
+// Readings every `stepMs`, with pitch/roll from the given functions of time
+const recording = (durationMs, stepMs, pitchAt, rollAt = () => 0) => {
+  const samples = [];
+  for (let t = 0; t < durationMs; t += stepMs) samples.push({ t, pitch: pitchAt(t), roll: rollAt(t) });
+  return samples;
+};
+
+describe('filters', () => {
+  test('EMA starts at the first value and moves by alpha', () => {
+    const ema = createFilter({ type: 'ema', alpha: 0.5 });
+    expect(ema.push(10, 0)).toBe(10);
+    expect(ema.push(20, 100)).toBe(15);
+    ema.reset();
+    expect(ema.push(4, 200)).toBe(4);
+  });
+
+  test('median rejects a single-sample spike', () => {
+    const median = createFilter({ type: 'median', window: 5 });
+    const out = [2, 3, 2, 40, 3, 2].map((v, i) => median.push(v, i * 100));
+    expect(Math.max(...out)).toBeLessThanOrEqual(3);
+  });
+
+  test('time-constant EMA responds the same at any sample rate', () => {
+    const settle = (stepMs) => {
+      const filter = createFilter({ type: 'timeConstant', tauMs: 1000 });
+      let value = filter.push(0, 0);
+      for (let t = stepMs; t <= 1000; t += stepMs) value = filter.push(30, t);
+      return value;
+    };
+    // One time constant reaches ~63% of a step change regardless of spacing
+    expect(settle(50)).toBeCloseTo(30 * (1 - Math.exp(-1)), 5);
+    expect(settle(500)).toBeCloseTo(settle(50), 5);
+  });
+
+  test('rejects unknown filter types', () => {
+    expect(() => createFilter({ type: 'kalman' })).toThrow('Unknown filter type');
+  });
+});
+
+describe('classification', () => {
+  const thresholds = { excellent: 5, good: 15, fair: 25 };
+
+  test('labels angles by zone on either side of upright', () => {
+    expect(classifyAngle(3, thresholds)).toBe('Excellent');
+    expect(classifyAngle(-12, thresholds)).toBe('Good');
+    expect(classifyAngle(25, thresholds)).toBe('Fair');
+    expect(classifyAngle(-30, thresholds)).toBe('Poor');
+  });
+
+  test('the worse axis decides the status and the larger one the gauge', () => {
+    expect(classifyPosture(2, -20, thresholds)).toMatchObject({ label: 'Fair', axis: 'roll', angle: -20 });
+    expect(classifyPosture(30, 10, thresholds)).toMatchObject({ label: 'Poor', axis: 'pitch', angle: 30 });
+  });
+});
+
+describe('pipeline', () => {
+  test('emits zone changes and a streak event per good minute', () => {
+    const pipeline = createPosturePipeline({ filter: { type: 'median', window: 1 } });
+    const events = [];
+    pipeline.subscribe(event => { if (event.type !== 'sample') events.push(event); });
+
+    recording(130000, 1000, t => (t < 125000 ? 2 : 30)).forEach(sample => pipeline.push(sample));
+
+    expect(events.filter(e => e.type === 'streak').map(e => e.minutes)).toEqual([1, 2]);
+    expect(events.filter(e => e.type === 'zone')).toEqual([{ type: 'zone', from: 'Excellent', to: 'Poor', t: 125000 }]);
+  });
+
+  test('a poor reading restarts the streak', () => {
+    const pipeline = createPosturePipeline({ filter: { type: 'median', window: 1 } });
+    pipeline.push({ t: 0, pitch: 0, roll: 0 });
+    expect(pipeline.push({ t: 5000, pitch: 0, roll: 0 }).streakMs).toBe(5000);
+    expect(pipeline.push({ t: 6000, pitch: 40, roll: 0 }).streakMs).toBe(0);
+    expect(pipeline.push({ t: 7000, pitch: 0, roll: 0 }).streakMs).toBe(0);
+  });
+
+  test('unsubscribed listeners stop receiving events', () => {
+    const pipeline = createPosturePipeline();
+    const listener = jest.fn();
+    const unsubscribe = pipeline.subscribe(listener);
+    pipeline.push({ t: 0, pitch: 0, roll: 0 });
+    unsubscribe();
+    pipeline.push({ t: 100, pitch: 0, roll: 0 });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('threshold changes apply to the next reading', () => {
+    const pipeline = createPosturePipeline({ filter: { type: 'median', window: 1 } });
+    expect(pipeline.push({ t: 0, pitch: 10, roll: 0 }).status).toBe('Good');
+    pipeline.configure({ thresholds: { excellent: 12 } });
+    expect(pipeline.push({ t: 100, pitch: 10, roll: 0 }).status).toBe('Excellent');
+  });
+
+  test('processSamples returns points, events and session aggregates', () => {
+    const { points, events, stats } = processSamples(
+      recording(60000, 500, t => (t < 30000 ? 2 : 30)),
+      { filter: { type: 'timeConstant', tauMs: 500 } }
+    );
+
+    expect(points).toHaveLength(120);
+    expect(points[0]).toMatchObject({ t: 0, pitch: 2, status: 'Excellent' });
+    expect(events.some(e => e.type === 'zone' && e.to === 'Poor')).toBe(true);
+    expect(stats.zoneMs.Poor).toBeGreaterThan(25000);
+    expect(stats.score).toBeLessThan(80);
+  });
+});
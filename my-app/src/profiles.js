@@ -0,0 +1,85 @@
+// --- PROFILES ---
+// Named profiles let several people share one install (a lab computer, a
+// family laptop). Each profile has its own settings, theme, paired devices,
+// goals and session history. Everything a profile stores in localStorage goes
+// through scopedKey(); the first profile keeps the plain keys from before
+// profiles existed, so an existing install carries on as that profile.
+//
+// A profile may have a PIN. It keeps other people out of the profile in the
+// app; it does not encrypt anything, and the data stays readable to anyone
+// with access to the browser's storage.
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const PROFILES_KEY = 'profiles';
+const ACTIVE_KEY = 'activeProfile';
+
+// Every localStorage key a profile owns, so a deleted profile leaves nothing behind
+export const PROFILE_KEYS = ['postureSettings', 'postureSettingsBackup', 'appTheme', 'devices', 'goalMetDate', 'espIP', 'espPort'];
+
+const createId = () => `prof-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const newProfile = (name) => ({ id: createId(), name, pin: null });
+
+// Next free default name: "Profile 2", "Profile 3", ...
+export const nextProfileName = (profiles) => {
+  const taken = new Set(profiles.map(p => p.name));
+  let n = profiles.length + 1;
+  while (taken.has(`Profile ${n}`)) n += 1;
+  return `Profile ${n}`;
+};
+
+export const scopedKey = (profileId, key) => (profileId === DEFAULT_PROFILE_ID ? key : `profile:${profileId}:${key}`);
+
+export const loadProfiles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (Array.isArray(saved) && saved.length) return saved;
+  } catch (err) {
+    // Corrupt entry; start over with the default profile, whose data is untouched
+  }
+  return [{ id: DEFAULT_PROFILE_ID, name: 'Default', pin: null }];
+};
+
+export const saveProfiles = (profiles) => {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+};
+
+// The profile used last, or the first one
+export const loadActiveProfileId = (profiles) => {
+  const saved = localStorage.getItem(ACTIVE_KEY);
+  return profiles.some(p => p.id === saved) ? saved : profiles[0].id;
+};
+
+export const saveActiveProfileId = (id) => {
+  localStorage.setItem(ACTIVE_KEY, id);
+};
+
+export const clearProfileStorage = (profileId) => {
+  PROFILE_KEYS.forEach(key => localStorage.removeItem(scopedKey(profileId, key)));
+};
+
+// --- PIN ---
+
+export const isValidPin = (pin) => /^\d{4,8}$/.test(pin);
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+// Browsers only hash on secure origins (https or localhost): served from a LAN
+// address over http there is no crypto.subtle, so PINs can't be set or checked
+export const canUsePins = () => typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+
+const hashPin = async (pin, salt) => {
+  if (!canUsePins()) throw new Error('PINs need SpineUp opened from localhost');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+  return toHex(digest);
+};
+
+// What gets stored for a new PIN: a random salt and the salted hash
+export const createPin = async (pin) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, hash: await hashPin(pin, salt) };
+};
+
+// Whether `pin` opens the profile; a profile without a PIN is always open
+export const checkPin = async (profile, pin) => !profile.pin || (await hashPin(pin, profile.pin.salt)) === profile.pin.hash;
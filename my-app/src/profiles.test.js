@@ -0,0 +1,74 @@
+import {
+  DEFAULT_PROFILE_ID, scopedKey, nextProfileName, loadProfiles, saveProfiles, loadActiveProfileId,
+  clearProfileStorage, isValidPin, createPin, checkPin, canUsePins
+} from './profiles';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('keeps the plain keys for the default profile and prefixes the others', () => {
+  expect(scopedKey(DEFAULT_PROFILE_ID, 'postureSettings')).toBe('postureSettings');
+  expect(scopedKey('prof-a', 'postureSettings')).toBe('profile:prof-a:postureSettings');
+});
+
+test('starts with the default profile and falls back to it when the list is corrupt', () => {
+  expect(loadProfiles()).toEqual([{ id: DEFAULT_PROFILE_ID, name: 'Default', pin: null }]);
+  localStorage.setItem('profiles', '{not json');
+  expect(loadProfiles()).toHaveLength(1);
+
+  const profiles = [{ id: DEFAULT_PROFILE_ID, name: 'Default', pin: null }, { id: 'prof-a', name: 'Sam', pin: null }];
+  saveProfiles(profiles);
+  expect(loadProfiles()).toEqual(profiles);
+  expect(loadActiveProfileId(profiles)).toBe(DEFAULT_PROFILE_ID);
+  localStorage.setItem('activeProfile', 'prof-a');
+  expect(loadActiveProfileId(profiles)).toBe('prof-a');
+  localStorage.setItem('activeProfile', 'gone');
+  expect(loadActiveProfileId(profiles)).toBe(DEFAULT_PROFILE_ID);
+});
+
+test('names new profiles after the free numbers', () => {
+  expect(nextProfileName([{ name: 'Default' }])).toBe('Profile 2');
+  expect(nextProfileName([{ name: 'Default' }, { name: 'Profile 3' }])).toBe('Profile 4');
+});
+
+test('clears only the deleted profile\'s keys', () => {
+  localStorage.setItem('postureSettings', '{}');
+  localStorage.setItem(scopedKey('prof-a', 'postureSettings'), '{}');
+  localStorage.setItem(scopedKey('prof-a', 'devices'), '[]');
+  clearProfileStorage('prof-a');
+  expect(localStorage.getItem('postureSettings')).toBe('{}');
+  expect(localStorage.getItem(scopedKey('prof-a', 'postureSettings'))).toBeNull();
+  expect(localStorage.getItem(scopedKey('prof-a', 'devices'))).toBeNull();
+});
+
+test('stores a salted hash of the PIN and checks against it', async () => {
+  expect(isValidPin('1234')).toBe(true);
+  expect(isValidPin('123')).toBe(false);
+  expect(isValidPin('12a4')).toBe(false);
+
+  const pin = await createPin('2468');
+  expect(pin.hash).not.toContain('2468');
+  expect((await createPin('2468')).hash).not.toBe(pin.hash);
+
+  const profile = { id: 'prof-a', name: 'Sam', pin };
+  expect(await checkPin(profile, '2468')).toBe(true);
+  expect(await checkPin(profile, '1357')).toBe(false);
+  expect(await checkPin({ ...profile, pin: null }, '')).toBe(true);
+});
+
+test('cannot set or check PINs without crypto.subtle, as on a LAN address over http', async () => {
+  const profile = { id: 'prof-a', name: 'Sam', pin: await createPin('2468') };
+  const { crypto } = global;
+  Object.defineProperty(global, 'crypto', { value: { getRandomValues: (a) => crypto.getRandomValues(a) }, configurable: true });
+  try {
+    expect(canUsePins()).toBe(false);
+    await expect(createPin('2468')).rejects.toThrow('localhost');
+    await expect(checkPin(profile, '2468')).rejects.toThrow('localhost');
+    // A profile without a PIN still opens
+    expect(await checkPin({ ...profile, pin: null }, '')).toBe(true);
+  } finally {
+    Object.defineProperty(global, 'crypto', { value: crypto, configurable: true });
+  }
+  expect(canUsePins()).toBe(true);
+});
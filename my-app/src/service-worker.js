@@ -0,0 +1,53 @@
+/* eslint-disable no-restricted-globals */
+
+// --- SERVICE WORKER ---
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js.
+// Precaches the app shell so SpineUp opens offline, and brings the app to the
+// front when one of its posture notifications is clicked. Requests to the
+// sensors are cross-origin and never touch the cache.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Every file the build emitted
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html (the app has no server routes), except for URLs
+// that look like files
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Same-origin images from public/ that are not in the precache (e.g. icons)
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|svg|ico)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+// Lets the page activate a waiting update: registration.waiting.postMessage({ type: 'SKIP_WAITING' })
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Focus an open SpineUp window (or open one) when a notification is clicked
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find(client => 'focus' in client);
+    if (open) return open.focus();
+    return self.clients.openWindow(`${process.env.PUBLIC_URL}/`);
+  })());
+});
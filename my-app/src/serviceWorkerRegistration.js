@@ -0,0 +1,21 @@
+// --- SERVICE WORKER REGISTRATION ---
+// Production builds only: in development a worker would keep serving stale
+// bundles while editing. The worker itself is src/service-worker.js. An update
+// installs in the background and takes over once every SpineUp tab is closed.
+// Browsers only run workers on https or localhost, and the sensor is plain
+// http, so installing needs the app served from localhost (see README.md).
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker has to be served from the page's origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      // Without a worker the app still runs, just not offline
+      .catch(() => {});
+  });
+};
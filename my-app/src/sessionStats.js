@@ -0,0 +1,128 @@
+// --- SESSION STATS ---
+// Time-weighted session scoring. Each sample is held until the next one
+// arrives, so results no longer depend on the poll interval or on bursts of
+// samples. Gaps longer than MAX_HOLD_MS (dropouts) only count for MAX_HOLD_MS.
+// Samples taken during a break (`onBreak`) are left out of scoring: standing
+// up and stretching is not bad posture. The first sample after a pause is
+// marked `resumed`, so the one before it isn't held across the pause.
+
+export const ZONES = ['Excellent', 'Good', 'Fair', 'Poor'];
+
+// Points per zone; the session score is their time-weighted average
+export const ZONE_SCORES = { Excellent: 100, Good: 80, Fair: 50, Poor: 20 };
+
+const GOOD_ZONES = ['Excellent', 'Good'];
+const MAX_HOLD_MS = 5000;
+
+export const EMPTY_STATS = {
+  score: 0,
+  perfect: 0,
+  totalMs: 0,
+  zoneMs: { Excellent: 0, Good: 0, Fair: 0, Poor: 0 },
+  longestGoodStreakMs: 0,
+  poorEpisodes: 0,
+  avgRecoveryMs: null
+};
+
+// Typical spacing between samples, used for the last sample's duration
+const medianInterval = (samples) => {
+  const gaps = [];
+  for (let i = 1; i < samples.length; i++) gaps.push(samples[i].t - samples[i - 1].t);
+  if (!gaps.length) return 0;
+  gaps.sort((a, b) => a - b);
+  return Math.min(MAX_HOLD_MS, gaps[Math.floor(gaps.length / 2)]);
+};
+
+// Time per zone, good streaks and Poor episodes for one device's samples
+const tallyDevice = (samples) => {
+  const zoneMs = { Excellent: 0, Good: 0, Fair: 0, Poor: 0 };
+  const lastInterval = medianInterval(samples);
+
+  let goodStreakMs = 0;
+  let longestGoodStreakMs = 0;
+  let poorEpisodes = 0;
+  let poorSince = null;
+  const recoveries = [];
+
+  samples.forEach((sample, i) => {
+    const next = samples[i + 1];
+    const held = next && !next.resumed ? Math.min(MAX_HOLD_MS, Math.max(0, next.t - sample.t)) : lastInterval;
+    if (zoneMs[sample.status] !== undefined) zoneMs[sample.status] += held;
+
+    if (GOOD_ZONES.includes(sample.status)) {
+      goodStreakMs += held;
+      longestGoodStreakMs = Math.max(longestGoodStreakMs, goodStreakMs);
+      // Recovery = time from slipping into Poor until back in a good zone
+      if (poorSince !== null) {
+        recoveries.push(sample.t - poorSince);
+        poorSince = null;
+      }
+    } else {
+      goodStreakMs = 0;
+    }
+
+    if (sample.status === 'Poor' && (i === 0 || samples[i - 1].status !== 'Poor')) {
+      poorEpisodes += 1;
+      if (poorSince === null) poorSince = sample.t;
+    }
+  });
+
+  return { zoneMs, longestGoodStreakMs, poorEpisodes, recoveries };
+};
+
+const summarize = (tallies, zoneScores) => {
+  const zoneMs = { Excellent: 0, Good: 0, Fair: 0, Poor: 0 };
+  tallies.forEach(tally => ZONES.forEach(zone => { zoneMs[zone] += tally.zoneMs[zone]; }));
+  const poorEpisodes = tallies.reduce((sum, tally) => sum + tally.poorEpisodes, 0);
+  const recoveries = tallies.flatMap(tally => tally.recoveries);
+
+  const totalMs = ZONES.reduce((sum, zone) => sum + zoneMs[zone], 0);
+  if (!totalMs) return { ...EMPTY_STATS, poorEpisodes };
+
+  const weighted = ZONES.reduce((sum, zone) => sum + zoneScores[zone] * zoneMs[zone], 0);
+
+  return {
+    score: Math.round(weighted / totalMs),
+    perfect: Math.round((zoneMs.Excellent / totalMs) * 100),
+    totalMs,
+    zoneMs,
+    longestGoodStreakMs: Math.max(...tallies.map(tally => tally.longestGoodStreakMs)),
+    poorEpisodes,
+    avgRecoveryMs: recoveries.length
+      ? Math.round(recoveries.reduce((sum, ms) => sum + ms, 0) / recoveries.length)
+      : null
+  };
+};
+
+// Stretches of one device's samples with nothing for longer than minGapMs
+// (dropouts), as { start, end }. Pauses are not gaps.
+export const findGaps = (samples, minGapMs = MAX_HOLD_MS) => {
+  const gaps = [];
+  for (let i = 1; i < samples.length; i++) {
+    const { t, resumed } = samples[i];
+    if (!resumed && t - samples[i - 1].t > minGapMs) gaps.push({ start: samples[i - 1].t, end: t });
+  }
+  return gaps;
+};
+
+// Samples from several sensors are interleaved in one session; each device is
+// tallied on its own (so one device's readings don't cut another's hold time)
+// and the totals combined. Multi-device sessions also get per-device stats.
+export const computeSessionStats = (samples, zoneScores = ZONE_SCORES) => {
+  const seated = samples.filter(sample => !sample.onBreak);
+  if (!seated.length) return EMPTY_STATS;
+
+  const groups = new Map();
+  seated.forEach(sample => {
+    if (!groups.has(sample.device)) groups.set(sample.device, []);
+    groups.get(sample.device).push(sample);
+  });
+
+  const tallies = new Map([...groups].map(([device, group]) => [device, tallyDevice(group)]));
+  const stats = summarize([...tallies.values()], zoneScores);
+  if (groups.size < 2) return stats;
+
+  const byDevice = {};
+  tallies.forEach((tally, device) => { byDevice[device] = summarize([tally], zoneScores); });
+  return { ...stats, byDevice };
+};
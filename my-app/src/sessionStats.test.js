@@ -0,0 +1,61 @@
+import { computeSessionStats, findGaps, EMPTY_STATS } from './sessionStats';
+
+// One sample per [t, status] pair, all from the same device unless given
+const samplesOf = (points, device = 'a') => points.map(([t, status, extra = {}]) => ({ t, status, device, ...extra }));
+
+test('holds each sample until the next, however uneven the spacing', () => {
+  const stats = computeSessionStats(samplesOf([[0, 'Excellent'], [1000, 'Poor'], [4000, 'Excellent'], [5000, 'Excellent']]));
+  // The last sample is held for the median spacing (1s)
+  expect(stats.zoneMs).toEqual({ Excellent: 3000, Good: 0, Fair: 0, Poor: 3000 });
+  expect(stats).toMatchObject({
+    score: 60,
+    perfect: 50,
+    totalMs: 6000,
+    longestGoodStreakMs: 2000,
+    poorEpisodes: 1,
+    avgRecoveryMs: 3000
+  });
+});
+
+test('counts a dropout for no more than MAX_HOLD_MS and reports it as a gap', () => {
+  const samples = samplesOf([[0, 'Good'], [1000, 'Good'], [2000, 'Good'], [22000, 'Good'], [23000, 'Good']]);
+  const stats = computeSessionStats(samples);
+  expect(stats.zoneMs.Good).toBe(9000);
+  expect(stats.totalMs).toBe(9000);
+  expect(findGaps(samples)).toEqual([{ start: 2000, end: 22000 }]);
+  expect(findGaps(samples, 30000)).toEqual([]);
+});
+
+test('tallies interleaved devices on their own', () => {
+  const samples = [
+    ...samplesOf([[0, 'Excellent'], [1000, 'Excellent'], [2000, 'Excellent']], 'a'),
+    ...samplesOf([[500, 'Poor'], [1500, 'Poor'], [2500, 'Poor']], 'b')
+  ].sort((x, y) => x.t - y.t);
+  const stats = computeSessionStats(samples);
+
+  // Each device's samples are held for a second, not until the other device's next one
+  expect(stats.zoneMs).toEqual({ Excellent: 3000, Good: 0, Fair: 0, Poor: 3000 });
+  expect(stats.score).toBe(60);
+  expect(stats.byDevice.a).toMatchObject({ score: 100, totalMs: 3000, poorEpisodes: 0 });
+  expect(stats.byDevice.b).toMatchObject({ score: 20, totalMs: 3000, poorEpisodes: 1 });
+  expect(computeSessionStats(samplesOf([[0, 'Good'], [1000, 'Good']])).byDevice).toBeUndefined();
+});
+
+test('leaves breaks out of the score', () => {
+  const stats = computeSessionStats(samplesOf([
+    [0, 'Good'],
+    [1000, 'Poor', { onBreak: true }],
+    [2000, 'Poor', { onBreak: true }],
+    [3000, 'Good']
+  ]));
+  expect(stats.zoneMs.Poor).toBe(0);
+  expect(stats).toMatchObject({ score: 80, poorEpisodes: 0 });
+  expect(computeSessionStats(samplesOf([[0, 'Poor', { onBreak: true }]]))).toBe(EMPTY_STATS);
+  expect(computeSessionStats([])).toBe(EMPTY_STATS);
+});
+
+test('does not hold a sample across a pause', () => {
+  const samples = samplesOf([[0, 'Good'], [1000, 'Good'], [61000, 'Good', { resumed: true }], [62000, 'Good']]);
+  expect(computeSessionStats(samples).totalMs).toBe(4000);
+  expect(findGaps(samples)).toEqual([]);
+});
@@ -0,0 +1,294 @@
+import { DEFAULT_PROFILE_ID } from './profiles';
+
+// --- SESSION STORE ---
+// Completed sessions are kept in IndexedDB so the History tab survives reloads.
+// When IndexedDB is unavailable (old browsers, jsdom in tests) we fall back to
+// an in-memory map so the rest of the app behaves the same. Each profile has a
+// database of its own (see profiles.js); the functions below work on the one
+// picked with selectProfile().
+
+const DB_NAME = 'spineup';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+// The default profile keeps the database from before profiles existed
+const dbNameFor = (profileId) => (profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}-${profileId}`);
+
+let dbName = DB_NAME;
+const memoryStores = new Map(); // by database name
+const dbPromises = new Map();
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+const memoryStore = () => {
+  if (!memoryStores.has(dbName)) memoryStores.set(dbName, new Map());
+  return memoryStores.get(dbName);
+};
+
+const openDB = () => {
+  const name = dbName;
+  if (!dbPromises.has(name)) {
+    dbPromises.set(name, new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+          store.createIndex('startedAt', 'startedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromises.delete(name);
+        reject(request.error);
+      };
+    }));
+  }
+  return dbPromises.get(name);
+};
+
+// Wraps a single object-store request in a promise
+const withStore = async (mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SESSION_STORE, mode);
+    const request = fn(tx.objectStore(SESSION_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// --- HELPERS ---
+
+// Local calendar day (YYYY-MM-DD); toISOString would shift late-evening sessions into UTC tomorrow
+export const toDayKey = (timestamp) => {
+  const d = new Date(timestamp);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+export const scoreToStatus = (score) => (
+  score > 90 ? 'Excellent' : score > 75 ? 'Good' : score > 50 ? 'Fair' : 'Poor'
+);
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Builds the persisted record for a finished session from its timestamped samples
+// and its time-weighted stats (see sessionStats.js)
+export const buildSessionRecord = ({ samples, startedAt, endedAt, stats, devices = [], alerts = [], breaks = [], pauses = [] }) => {
+  const pausedMs = pauses.reduce((sum, p) => sum + p.end - p.start, 0);
+  return {
+    id: createId(),
+    startedAt,
+    endedAt,
+    duration: Math.max(0, Math.round((endedAt - startedAt - pausedMs) / 1000)), // seconds, not counting pauses
+    score: stats.score,
+    perfect: stats.perfect,
+    breakdown: { ...stats.zoneMs }, // ms spent in each zone
+    longestGoodStreakMs: stats.longestGoodStreakMs,
+    poorEpisodes: stats.poorEpisodes,
+    avgRecoveryMs: stats.avgRecoveryMs,
+    hapticAlerts: findHapticAlerts(samples),
+    alerts, // posture alerts raised in the app (see alertEngine.js)
+    breaks, // { start, end } of each break; their samples are not scored (see breakTracker.js)
+    breakMs: breaks.reduce((sum, b) => sum + b.end - b.start, 0),
+    pauses, // { start, end } of each pause; nothing is recorded while paused
+    pausedMs,
+    // Sensors that recorded this session; samples refer to them by `device`
+    devices: devices.map(d => ({ ...d, score: stats.byDevice && stats.byDevice[d.id] ? stats.byDevice[d.id].score : stats.score })),
+    samples
+  };
+};
+
+// Times at which a device motor started buzzing for bad posture
+export const findHapticAlerts = (samples) => {
+  const buzzing = new Map(); // per device, as samples from several sensors interleave
+  return samples
+    .filter(p => {
+      const started = p.alert && !buzzing.get(p.device);
+      buzzing.set(p.device, p.alert);
+      return started;
+    })
+    .map(p => p.t);
+};
+
+// How many posture alerts a session raised and how quickly they were corrected.
+// avgCorrectionMs only counts alerts that ended with the user sitting up; it is
+// null when there are none (and for sessions recorded before alerts were logged).
+export const summarizeAlerts = (alerts = []) => {
+  const corrected = alerts.filter(a => a.outcome === 'corrected' && a.correctionMs !== null);
+  return {
+    count: alerts.length,
+    corrected: corrected.length,
+    avgCorrectionMs: corrected.length
+      ? Math.round(corrected.reduce((sum, a) => sum + a.correctionMs, 0) / corrected.length)
+      : null
+  };
+};
+
+// Tracked minutes and score for a set of sessions; each session's score is
+// weighted by how long it ran. Score is null when there are no sessions.
+export const summarizeDay = (sessions) => {
+  const totalSeconds = sessions.reduce((sum, s) => sum + s.duration, 0);
+  const score = sessions.length
+    ? Math.round(totalSeconds
+      ? sessions.reduce((sum, s) => sum + s.score * s.duration, 0) / totalSeconds
+      : sessions.reduce((sum, s) => sum + s.score, 0) / sessions.length)
+    : null;
+  return { score, minutes: totalSeconds / 60 };
+};
+
+// Merges backfilled samples into a session, skipping any whose device sequence
+// number is already present (or repeats within `incoming`), and keeps the
+// result in time order
+export const mergeSamples = (existing, incoming) => {
+  // Sequence numbers are per device
+  const key = (p) => `${p.device}:${p.seq}`;
+  const hasSeq = (p) => p.seq !== undefined && p.seq !== null;
+  const seen = new Set(existing.filter(hasSeq).map(key));
+  const fresh = incoming.filter(p => {
+    if (!hasSeq(p)) return true;
+    if (seen.has(key(p))) return false;
+    seen.add(key(p));
+    return true;
+  });
+  if (!fresh.length) return existing;
+  return [...existing, ...fresh].sort((a, b) => a.t - b.t);
+};
+
+// --- PUBLIC API ---
+
+// Points every function below at a profile's sessions
+export const selectProfile = (profileId) => {
+  dbName = dbNameFor(profileId);
+};
+
+// Drops a deleted profile's sessions
+export const deleteProfileSessions = async (profileId) => {
+  const name = dbNameFor(profileId);
+  memoryStores.delete(name);
+  if (!hasIndexedDB()) return;
+  const db = await dbPromises.get(name);
+  if (db) db.close();
+  dbPromises.delete(name);
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const saveSession = async (session) => {
+  if (!hasIndexedDB()) {
+    memoryStore().set(session.id, session);
+    return session;
+  }
+  await withStore('readwrite', store => store.put(session));
+  return session;
+};
+
+export const getSessionsInRange = async (from, to) => {
+  if (!hasIndexedDB()) {
+    return [...memoryStore().values()]
+      .filter(s => s.startedAt >= from && s.startedAt < to)
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+  const sessions = await withStore('readonly', store => (
+    store.index('startedAt').getAll(IDBKeyRange.bound(from, to, false, true))
+  ));
+  return sessions || [];
+};
+
+export const getAllSessions = () => getSessionsInRange(0, Number.MAX_SAFE_INTEGER);
+
+// What goals, streaks and the trend figures need from a session
+const SUMMARY_FIELDS = ['id', 'startedAt', 'endedAt', 'duration', 'score', 'perfect', 'longestGoodStreakMs', 'poorEpisodes'];
+
+const toSummary = (session) => Object.fromEntries(SUMMARY_FIELDS.map(key => [key, session[key]]));
+
+// Sessions in range without their samples and alerts. Read with a cursor, so
+// only one full record is in memory at a time.
+export const getSessionSummaries = async (from, to) => {
+  if (!hasIndexedDB()) return (await getSessionsInRange(from, to)).map(toSummary);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const summaries = [];
+    const tx = db.transaction(SESSION_STORE, 'readonly');
+    const request = tx.objectStore(SESSION_STORE).index('startedAt').openCursor(IDBKeyRange.bound(from, to, false, true));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      summaries.push(toSummary(cursor.value));
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(summaries);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Saves imported sessions, skipping any already stored (same id, or same start
+// time and duration when the id differs, e.g. an export of an export)
+export const importSessions = async (sessions) => {
+  // Only the ids, start times and durations are compared: no samples needed
+  const existing = await getSessionSummaries(0, Number.MAX_SAFE_INTEGER);
+  const ids = new Set(existing.map(s => s.id));
+  const signatures = new Set(existing.map(s => `${s.startedAt}:${s.duration}`));
+
+  let added = 0;
+  let skipped = 0;
+  for (const session of sessions) {
+    const signature = `${session.startedAt}:${session.duration}`;
+    if (ids.has(session.id) || signatures.has(signature)) {
+      skipped += 1;
+      continue;
+    }
+    await saveSession(session);
+    ids.add(session.id);
+    signatures.add(signature);
+    added += 1;
+  }
+  return { added, skipped };
+};
+
+// Per-day aggregation for the History calendar. Every past day of the month is
+// returned; days without sessions carry score: null so the calendar can leave them blank.
+export const aggregateMonth = (sessions, year, month) => {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const today = new Date();
+  const byDay = {};
+
+  sessions.forEach(s => {
+    const key = toDayKey(s.startedAt);
+    (byDay[key] = byDay[key] || []).push(s);
+  });
+
+  const days = [];
+  for (let i = 1; i <= daysInMonth; i++) {
+    const date = new Date(year, month, i);
+    if (date > today) break;
+
+    const key = toDayKey(date.getTime());
+    const daySessions = byDay[key] || [];
+    const { score, minutes } = summarizeDay(daySessions);
+
+    days.push({
+      date: key,
+      dayNum: i,
+      score,
+      duration: Math.round(minutes),
+      sessions: daySessions.length,
+      status: score === null ? 'No data' : scoreToStatus(score)
+    });
+  }
+  return days;
+};
+
+export const loadMonthHistory = async (year, month) => {
+  const from = new Date(year, month, 1).getTime();
+  const to = new Date(year, month + 1, 1).getTime();
+  const sessions = await getSessionSummaries(from, to);
+  return aggregateMonth(sessions, year, month);
+};
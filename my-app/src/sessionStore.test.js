@@ -0,0 +1,98 @@
+import { saveSession, loadMonthHistory, aggregateMonth, mergeSamples, summarizeDay, deleteProfileSessions } from './sessionStore';
+import { DEFAULT_PROFILE_ID } from './profiles';
+
+// February 2024: 29 days
+const YEAR = 2024;
+const FEB = 1;
+
+const session = (id, startedAt, { minutes = 30, score = 80 } = {}) => ({ id, startedAt, duration: minutes * 60, score, samples: [] });
+
+beforeEach(async () => {
+  await deleteProfileSessions(DEFAULT_PROFILE_ID);
+});
+
+describe('summarizeDay', () => {
+  test('weights each score by how long the session ran', () => {
+    expect(summarizeDay([session('a', 0, { minutes: 30, score: 90 }), session('b', 0, { minutes: 10, score: 50 })]))
+      .toEqual({ score: 80, minutes: 40 });
+  });
+
+  test('averages plainly when no session has a duration, and has no score without sessions', () => {
+    expect(summarizeDay([session('a', 0, { minutes: 0, score: 90 }), session('b', 0, { minutes: 0, score: 60 })]))
+      .toEqual({ score: 75, minutes: 0 });
+    expect(summarizeDay([])).toEqual({ score: null, minutes: 0 });
+  });
+});
+
+describe('aggregateMonth', () => {
+  test('returns every day of a past month, leaving days without sessions blank', () => {
+    const days = aggregateMonth([
+      session('a', new Date(YEAR, FEB, 3, 9).getTime(), { minutes: 20, score: 95 }),
+      session('b', new Date(YEAR, FEB, 3, 18).getTime(), { minutes: 20, score: 85 })
+    ], YEAR, FEB);
+
+    expect(days).toHaveLength(29);
+    expect(days[2]).toEqual({ date: '2024-02-03', dayNum: 3, score: 90, duration: 40, sessions: 2, status: 'Good' });
+    expect(days[3]).toEqual({ date: '2024-02-04', dayNum: 4, score: null, duration: 0, sessions: 0, status: 'No data' });
+    expect(days.filter(day => day.sessions)).toHaveLength(1);
+  });
+
+  test('puts sessions on the local day they started and ignores other months', () => {
+    const days = aggregateMonth([
+      session('first', new Date(YEAR, FEB, 1, 0, 0).getTime()),
+      session('last', new Date(YEAR, FEB, 29, 23, 59).getTime()),
+      session('before', new Date(YEAR, FEB - 1, 31, 23, 59).getTime()),
+      session('after', new Date(YEAR, FEB + 1, 1, 0, 0).getTime())
+    ], YEAR, FEB);
+
+    expect(days[0]).toMatchObject({ date: '2024-02-01', sessions: 1 });
+    expect(days[28]).toMatchObject({ date: '2024-02-29', sessions: 1 });
+    expect(days.reduce((sum, day) => sum + day.sessions, 0)).toBe(2);
+  });
+
+  test('stops at today in the current month', () => {
+    jest.useFakeTimers().setSystemTime(new Date(YEAR, FEB, 10, 12));
+    try {
+      const days = aggregateMonth([], YEAR, FEB);
+      expect(days).toHaveLength(10);
+      expect(days[9].date).toBe('2024-02-10');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('loadMonthHistory', () => {
+  test('loads only the sessions started within the month', async () => {
+    await saveSession(session('before', new Date(YEAR, FEB, 1).getTime() - 1));
+    await saveSession(session('first', new Date(YEAR, FEB, 1).getTime()));
+    await saveSession(session('last', new Date(YEAR, FEB + 1, 1).getTime() - 1));
+    await saveSession(session('after', new Date(YEAR, FEB + 1, 1).getTime()));
+
+    const days = await loadMonthHistory(YEAR, FEB);
+    expect(days.map(day => day.sessions)).toEqual([1, ...Array(27).fill(0), 1]);
+  });
+});
+
+describe('mergeSamples', () => {
+  const sample = (t, seq, device = 'a') => ({ t, seq, device });
+
+  test('fills a gap in time order', () => {
+    const existing = [sample(0, 1), sample(3000, 4)];
+    expect(mergeSamples(existing, [sample(1000, 2), sample(2000, 3)]).map(p => p.seq)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('skips samples already present, including repeats within the backfill', () => {
+    const existing = [sample(0, 1), sample(1000, 2)];
+    const merged = mergeSamples(existing, [sample(1000, 2), sample(2000, 3), sample(2000, 3)]);
+    expect(merged.map(p => p.seq)).toEqual([1, 2, 3]);
+    // Nothing new: the same array back, so React sees no change
+    expect(mergeSamples(existing, [sample(0, 1)])).toBe(existing);
+  });
+
+  test('matches sequence numbers per device and keeps samples without one', () => {
+    const existing = [sample(0, 1, 'a'), sample(0, 1, 'b')];
+    const merged = mergeSamples(existing, [sample(500, 1, 'c'), sample(600, null, 'a'), sample(500, 1, 'b')]);
+    expect(merged).toEqual([sample(0, 1, 'a'), sample(0, 1, 'b'), sample(500, 1, 'c'), sample(600, null, 'a')]);
+  });
+});
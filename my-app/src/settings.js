@@ -0,0 +1,261 @@
+import { BUZZ_PATTERNS } from './deviceApi';
+import { DEFAULT_PROFILE_ID, scopedKey } from './profiles';
+
+// --- SETTINGS ---
+// The user's preferences, stored per profile as { version, settings }. Every
+// load goes through migrateSettings() and validateSettings(): older versions
+// are brought up to SETTINGS_VERSION, missing fields take their defaults,
+// values of the wrong type fall back to the default, numbers are clamped to
+// the range the Settings page allows and the zone thresholds are put back in
+// order. Unreadable storage is kept aside under a backup key and the defaults
+// are used instead, so a bad entry never stops the app from starting.
+
+export const SETTINGS_VERSION = 1;
+
+const STORAGE_KEY = 'postureSettings';
+const BACKUP_KEY = 'postureSettingsBackup';
+
+export const SETTINGS_FORMAT = 'spineup-settings';
+
+export const DEFAULT_SETTINGS = {
+  filterType: 'ema', // ema, median, timeConstant
+  smoothingAlpha: 0.15,
+  medianWindow: 5,
+  filterTauMs: 1000,
+  excellentThreshold: 5,
+  goodThreshold: 15,
+  fairThreshold: 25,
+  adaptiveThresholds: false, // zones follow the learned profile instead of the sliders (see adaptiveThresholds.js)
+  adaptiveLocked: false, // stop relearning and keep the learned zones as they are
+  adaptiveProfile: null, // { baseline, spread, calibrationSpread, thresholds, sessions, calibratedAt, learnedAt }
+  pollInterval: 200,
+  targetDurationMins: 30, // daily goal: tracked minutes
+  targetScore: 80, // daily goal: session score
+  useWebSocket: true,
+  wsPort: 81,
+  linkMaxFailures: 10, // failed polls in a row before a device counts as disconnected
+  hapticSync: true, // device threshold follows the Fair zone limit
+  hapticThreshold: 40,
+  hapticDelaySecs: 3,
+  hapticPattern: 'continuous',
+  hapticQuiet: false,
+  postureAlerts: true, // warn after postureAlertDelaySecs in alertZone (see alertEngine.js)
+  postureAlertDelaySecs: 10,
+  alertZone: 'Poor', // 'Fair' also alerts on Fair posture
+  alertEscalateSecs: 30, // each step: toast, sound, system notification, device buzz
+  alertCooldownSecs: 60, // after a correction, before the same sensor alerts again
+  alertSound: true,
+  alertBuzz: true,
+  systemNotifications: false, // also as OS notifications while the app is in the background
+  quietHoursEnabled: false,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '07:00',
+  breakReminders: true, // stand-up reminder after breakIntervalMins of sitting
+  breakIntervalMins: 45,
+  stillnessReminders: true, // stretch reminder after stillnessMins without moving
+  stillnessMins: 20,
+  autoStart: false, // start when the user sits down after autoStartAbsenceMins away
+  autoStartAbsenceMins: 5,
+  autoStop: false, // end after autoStopIdleMins without a worn sensor or autoStopDisconnectMins offline
+  autoStopIdleMins: 10,
+  autoStopDisconnectMins: 2
+};
+
+// --- SCHEMA ---
+
+const int = (min, max) => ({ type: 'number', min, max, integer: true });
+const decimal = (min, max) => ({ type: 'number', min, max, integer: false });
+const bool = { type: 'boolean' };
+const oneOf = (...values) => ({ type: 'enum', values });
+const clock = { type: 'time' };
+const learnedProfile = { type: 'adaptiveProfile' };
+
+// Ranges match the controls on the Settings page
+export const SETTINGS_SCHEMA = {
+  filterType: oneOf('ema', 'median', 'timeConstant'),
+  smoothingAlpha: decimal(0.01, 0.5),
+  medianWindow: int(3, 15),
+  filterTauMs: int(100, 3000),
+  excellentThreshold: int(1, 15),
+  goodThreshold: int(1, 30),
+  fairThreshold: int(1, 45),
+  adaptiveThresholds: bool,
+  adaptiveLocked: bool,
+  adaptiveProfile: learnedProfile,
+  pollInterval: int(50, 5000),
+  targetDurationMins: int(5, 240),
+  targetScore: int(20, 100),
+  useWebSocket: bool,
+  wsPort: int(1, 65535),
+  linkMaxFailures: int(1, 100),
+  hapticSync: bool,
+  hapticThreshold: int(1, 60),
+  hapticDelaySecs: int(0, 30),
+  hapticPattern: oneOf(...BUZZ_PATTERNS),
+  hapticQuiet: bool,
+  postureAlerts: bool,
+  postureAlertDelaySecs: int(5, 120),
+  alertZone: oneOf('Poor', 'Fair'),
+  alertEscalateSecs: int(10, 300),
+  alertCooldownSecs: int(0, 600),
+  alertSound: bool,
+  alertBuzz: bool,
+  systemNotifications: bool,
+  quietHoursEnabled: bool,
+  quietHoursStart: clock,
+  quietHoursEnd: clock,
+  breakReminders: bool,
+  breakIntervalMins: int(15, 120),
+  stillnessReminders: bool,
+  stillnessMins: int(5, 60),
+  autoStart: bool,
+  autoStartAbsenceMins: int(1, 60),
+  autoStop: bool,
+  autoStopIdleMins: int(1, 60),
+  autoStopDisconnectMins: int(1, 30)
+};
+
+const isLearnedProfile = (profile) => (
+  profile && typeof profile === 'object'
+  && profile.thresholds
+  && ['excellent', 'good', 'fair'].every(zone => Number.isFinite(profile.thresholds[zone]))
+  && Array.isArray(profile.sessions)
+);
+
+// The value if it fits the rule (clamped into range for numbers), else undefined
+const validateField = (rule, value) => {
+  switch (rule.type) {
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+      const clamped = Math.min(rule.max, Math.max(rule.min, value));
+      return rule.integer ? Math.round(clamped) : clamped;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'enum':
+      return rule.values.includes(value) ? value : undefined;
+    case 'time':
+      return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : undefined;
+    case 'adaptiveProfile':
+      return value === null || isLearnedProfile(value) ? value : undefined;
+    default:
+      return undefined;
+  }
+};
+
+// --- THRESHOLD ORDER ---
+// Excellent < Good < Fair, at least a degree apart
+
+const ZONE_KEYS = ['excellentThreshold', 'goodThreshold', 'fairThreshold'];
+
+// Settings with one zone threshold moved, stopping short of its neighbours
+export const setThreshold = (settings, key, value) => {
+  const index = ZONE_KEYS.indexOf(key);
+  const below = ZONE_KEYS[index - 1];
+  const above = ZONE_KEYS[index + 1];
+  const min = below ? settings[below] + 1 : SETTINGS_SCHEMA[key].min;
+  const max = above ? settings[above] - 1 : SETTINGS_SCHEMA[key].max;
+  return { ...settings, [key]: Math.min(max, Math.max(min, value)) };
+};
+
+// Pushes Good and Fair up past the zone below them where needed; the slider
+// ranges leave room for all three in order
+const orderThresholds = (settings) => {
+  const ordered = { ...settings };
+  for (let i = 1; i < ZONE_KEYS.length; i++) {
+    const key = ZONE_KEYS[i];
+    ordered[key] = Math.max(ordered[key], ordered[ZONE_KEYS[i - 1]] + 1);
+  }
+  return ordered;
+};
+
+// A complete, valid settings object from whatever `raw` holds
+export const validateSettings = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const settings = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => {
+    const value = validateField(rule, source[key]);
+    settings[key] = value === undefined ? DEFAULT_SETTINGS[key] : value;
+  });
+  return orderThresholds(settings);
+};
+
+// --- MIGRATIONS ---
+// MIGRATIONS[n] turns version n settings into version n + 1. Fields that were
+// only added need no migration: validation fills them in from the defaults.
+
+const MIGRATIONS = {
+  // Before versioning the bare settings object was stored, without a wrapper.
+  // Entries from before the device shared its haptic config (no hapticSync)
+  // come from sensors that buzzed at a fixed 40°; they keep that rather than
+  // starting to buzz at the Fair limit.
+  0: (settings) => (
+    !settings || 'hapticSync' in settings ? settings : { ...settings, hapticSync: false, hapticThreshold: 40 }
+  )
+};
+
+// The version and settings held by a stored or exported entry
+const unwrap = (stored) => (
+  stored && Number.isInteger(stored.version) && stored.settings && typeof stored.settings === 'object'
+    ? { version: stored.version, settings: stored.settings }
+    : { version: 0, settings: stored }
+);
+
+// Settings at SETTINGS_VERSION from an entry of any older version. Entries
+// from a newer version are validated as they are, dropping fields this
+// version does not know.
+export const migrateSettings = (stored) => {
+  let { version, settings } = unwrap(stored);
+  while (version < SETTINGS_VERSION) {
+    settings = MIGRATIONS[version](settings);
+    version += 1;
+  }
+  return validateSettings(settings);
+};
+
+// --- STORAGE ---
+
+// The profile's settings; `recovered` is true when the stored entry could not
+// be read and the defaults were used (the entry is kept under BACKUP_KEY)
+export const loadSettings = (profileId = DEFAULT_PROFILE_ID) => {
+  const saved = localStorage.getItem(scopedKey(profileId, STORAGE_KEY));
+  if (saved === null) return { settings: DEFAULT_SETTINGS, recovered: false };
+  try {
+    const parsed = JSON.parse(saved);
+    if (!parsed || typeof parsed !== 'object') throw new Error('Settings entry is not an object');
+    return { settings: migrateSettings(parsed), recovered: false };
+  } catch (err) {
+    localStorage.setItem(scopedKey(profileId, BACKUP_KEY), saved);
+    return { settings: DEFAULT_SETTINGS, recovered: true };
+  }
+};
+
+export const saveSettings = (settings, profileId = DEFAULT_PROFILE_ID) => {
+  localStorage.setItem(scopedKey(profileId, STORAGE_KEY), JSON.stringify({ version: SETTINGS_VERSION, settings }));
+};
+
+// --- FILE EXPORT / IMPORT ---
+
+export const buildSettingsExport = (settings) => JSON.stringify({
+  format: SETTINGS_FORMAT,
+  version: SETTINGS_VERSION,
+  exportedAt: new Date().toISOString(),
+  settings
+}, null, 2);
+
+// Returns the validated settings from an exported file; throws on anything else
+export const parseSettingsExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!data || data.format !== SETTINGS_FORMAT || !Number.isInteger(data.version) || !data.settings || typeof data.settings !== 'object') {
+    throw new Error('Not a SpineUp settings export');
+  }
+  if (data.version > SETTINGS_VERSION) {
+    throw new Error('Export was made by a newer version of SpineUp');
+  }
+  return migrateSettings(data);
+};
@@ -0,0 +1,97 @@
+import {
+  DEFAULT_SETTINGS, SETTINGS_VERSION, validateSettings, migrateSettings, setThreshold,
+  loadSettings, saveSettings, buildSettingsExport, parseSettingsExport
+} from './settings';
+import { scopedKey } from './profiles';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('fills in missing fields and drops unknown ones', () => {
+  const settings = validateSettings({ targetScore: 90, retired: true });
+  expect(settings).toEqual({ ...DEFAULT_SETTINGS, targetScore: 90 });
+  expect(validateSettings(null)).toEqual(DEFAULT_SETTINGS);
+});
+
+test('replaces values of the wrong type and clamps numbers into range', () => {
+  const settings = validateSettings({
+    pollInterval: '200',
+    smoothingAlpha: 0.9,
+    wsPort: 81.4,
+    hapticThreshold: null,
+    useWebSocket: 'yes',
+    filterType: 'kalman',
+    quietHoursStart: '25:00',
+    quietHoursEnd: '06:30',
+    adaptiveProfile: { thresholds: { excellent: 4 } }
+  });
+  expect(settings).toMatchObject({
+    pollInterval: DEFAULT_SETTINGS.pollInterval,
+    smoothingAlpha: 0.5,
+    wsPort: 81,
+    hapticThreshold: DEFAULT_SETTINGS.hapticThreshold,
+    useWebSocket: true,
+    filterType: 'ema',
+    quietHoursStart: '22:00',
+    quietHoursEnd: '06:30',
+    adaptiveProfile: null
+  });
+});
+
+test('puts the zone thresholds back in order', () => {
+  expect(validateSettings({ excellentThreshold: 12, goodThreshold: 8, fairThreshold: 10 }))
+    .toMatchObject({ excellentThreshold: 12, goodThreshold: 13, fairThreshold: 14 });
+  expect(validateSettings({ excellentThreshold: 15, goodThreshold: 1, fairThreshold: 1 }))
+    .toMatchObject({ excellentThreshold: 15, goodThreshold: 16, fairThreshold: 17 });
+});
+
+test('stops a zone slider at its neighbours', () => {
+  const settings = { ...DEFAULT_SETTINGS, excellentThreshold: 5, goodThreshold: 15, fairThreshold: 25 };
+  expect(setThreshold(settings, 'goodThreshold', 3).goodThreshold).toBe(6);
+  expect(setThreshold(settings, 'goodThreshold', 28).goodThreshold).toBe(24);
+  expect(setThreshold(settings, 'excellentThreshold', 20).excellentThreshold).toBe(14);
+  expect(setThreshold(settings, 'fairThreshold', 40).fairThreshold).toBe(40);
+});
+
+test('migrates the unversioned settings stored before versioning', () => {
+  // The original settings: the sensor buzzed at a fixed 40°, and still does
+  const original = { smoothingAlpha: 0.3, excellentThreshold: 4, goodThreshold: 15, fairThreshold: 25, pollInterval: 200, targetDurationMins: 30 };
+  expect(migrateSettings(original))
+    .toEqual({ ...DEFAULT_SETTINGS, smoothingAlpha: 0.3, excellentThreshold: 4, hapticSync: false, hapticThreshold: 40 });
+
+  // Saved once haptic sync existed: kept as it was
+  expect(migrateSettings({ ...original, hapticSync: true, hapticThreshold: 30 }))
+    .toEqual({ ...DEFAULT_SETTINGS, smoothingAlpha: 0.3, excellentThreshold: 4, hapticSync: true, hapticThreshold: 30 });
+
+  // Versioned entries are not migrated again
+  expect(migrateSettings({ version: SETTINGS_VERSION, settings: { targetScore: 70 } }))
+    .toEqual({ ...DEFAULT_SETTINGS, targetScore: 70 });
+});
+
+test('saves with the schema version and loads it back', () => {
+  saveSettings({ ...DEFAULT_SETTINGS, targetScore: 70 }, 'prof-a');
+  expect(JSON.parse(localStorage.getItem(scopedKey('prof-a', 'postureSettings'))).version).toBe(SETTINGS_VERSION);
+  expect(loadSettings('prof-a')).toEqual({ settings: { ...DEFAULT_SETTINGS, targetScore: 70 }, recovered: false });
+  expect(loadSettings()).toEqual({ settings: DEFAULT_SETTINGS, recovered: false });
+});
+
+test('recovers from corrupt storage and keeps the entry aside', () => {
+  localStorage.setItem('postureSettings', '{"targetScore": 7');
+  expect(loadSettings()).toEqual({ settings: DEFAULT_SETTINGS, recovered: true });
+  expect(localStorage.getItem('postureSettingsBackup')).toBe('{"targetScore": 7');
+
+  localStorage.setItem('postureSettings', '42');
+  expect(loadSettings().recovered).toBe(true);
+});
+
+test('round-trips a settings file and rejects anything else', () => {
+  const exported = buildSettingsExport({ ...DEFAULT_SETTINGS, alertZone: 'Fair' });
+  expect(parseSettingsExport(exported)).toEqual({ ...DEFAULT_SETTINGS, alertZone: 'Fair' });
+
+  expect(() => parseSettingsExport('nope')).toThrow('File is not valid JSON');
+  expect(() => parseSettingsExport(JSON.stringify({ format: 'spineup-history', version: 1, sessions: [] })))
+    .toThrow('Not a SpineUp settings export');
+  expect(() => parseSettingsExport(JSON.stringify({ format: 'spineup-settings', version: SETTINGS_VERSION + 1, settings: {} })))
+    .toThrow('newer version');
+});
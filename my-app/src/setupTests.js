@@ -3,3 +3,12 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom leaves out WebCrypto and TextEncoder; profile PINs are hashed with them
+const { webcrypto } = require('crypto');
+const { TextEncoder } = require('util');
+
+if (!global.crypto || !global.crypto.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import { getDeviceConfig, updateDeviceConfig, testBuzz } from './deviceApi';
+
+// --- DEVICE CONFIG SYNC ---
+// The app settings are the source of truth for the haptic config. Once the
+// device is reachable its current config is read, and any difference from the
+// desired values is written back (debounced, so dragging a slider sends one PUT).
+
+const WRITE_DEBOUNCE_MS = 500;
+
+const differs = (desired, actual) => !actual || Object.keys(desired).some(key => desired[key] !== actual[key]);
+
+export default function useDeviceConfig({ host, port, token, enabled, desired }) {
+  const [deviceConfig, setDeviceConfig] = useState(null);
+  const [syncState, setSyncState] = useState('idle'); // idle, syncing, synced, error
+
+  // Read the device's config whenever we (re)connect
+  useEffect(() => {
+    if (!enabled) {
+      setDeviceConfig(null);
+      setSyncState('idle');
+      return;
+    }
+    let cancelled = false;
+    getDeviceConfig({ host, port, token })
+      .then(config => { if (!cancelled) setDeviceConfig(config); })
+      .catch(() => { if (!cancelled) setSyncState('error'); });
+    return () => { cancelled = true; };
+  }, [enabled, host, port, token]);
+
+  // Push the desired values once they settle
+  const desiredKey = JSON.stringify(desired);
+  useEffect(() => {
+    if (!enabled || !deviceConfig) return;
+    const target = JSON.parse(desiredKey);
+    if (!differs(target, deviceConfig)) {
+      setSyncState('synced');
+      return;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(() => {
+      setSyncState('syncing');
+      updateDeviceConfig({ host, port, token }, target)
+        .then(config => {
+          if (cancelled) return;
+          setDeviceConfig(config);
+          setSyncState('synced');
+        })
+        .catch(() => { if (!cancelled) setSyncState('error'); });
+    }, WRITE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [enabled, host, port, token, desiredKey, deviceConfig]);
+
+  const buzz = () => testBuzz({ host, port, token });
+
+  return { deviceConfig, syncState, buzz };
+}
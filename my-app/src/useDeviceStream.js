@@ -0,0 +1,113 @@
+import { useState, useEffect, useRef } from 'react';
+import useWebSocket, { ReadyState } from 'react-use-websocket';
+import { getAngle, isUnauthorized } from './deviceApi';
+import { createLinkHealth } from './connectionHealth';
+
+// --- DEVICE STREAM ---
+// Delivers readings from the ESP32 either as a WebSocket push stream or, when
+// the socket is unavailable, by polling GET /angle. The socket reconnects with
+// exponential backoff; polling only runs while the socket is not open.
+// Both carry the pairing token. The device simply drops a socket with a bad
+// token, so a revoked token is noticed by the poll's 401 (onUnauthorized).
+// Every reading and failed poll feeds the link's health (see connectionHealth.js),
+// reported once a second through onHealth; repeats of the previous sample are
+// not passed on as readings.
+
+const MAX_RECONNECT_ATTEMPTS = 20;
+const MAX_BACKOFF_MS = 30000;
+const HEALTH_REPORT_MS = 1000;
+
+export const reconnectBackoff = (attempt) => Math.min(MAX_BACKOFF_MS, 1000 * 2 ** attempt);
+
+// Device payloads are JSON telemetry: {"angle", "pitch", "roll", "accel", "gyro", "ts", "seq", "alert"}.
+// Older firmware only sends {"angle": roll}, so pitch falls back to 0.
+export const parseReading = (payload) => {
+  const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  const roll = parseFloat(data.roll ?? data.angle ?? 0);
+  const pitch = parseFloat(data.pitch ?? 0);
+  return {
+    pitch,
+    roll,
+    accel: data.accel || null,
+    gyro: data.gyro || null,
+    deviceTs: data.ts ?? null,
+    seq: data.seq ?? null,
+    alert: Boolean(data.alert) // the device motor is buzzing for bad posture
+  };
+};
+
+export default function useDeviceStream({ host, port, token, wsPort, enabled, preferWebSocket, pollInterval, maxFailures, onReading, onUnauthorized, onHealth }) {
+  const onReadingRef = useRef(onReading);
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  const onHealthRef = useRef(onHealth);
+  useEffect(() => {
+    onReadingRef.current = onReading;
+    onUnauthorizedRef.current = onUnauthorized;
+    onHealthRef.current = onHealth;
+  });
+
+  const [health] = useState(createLinkHealth);
+  useEffect(() => {
+    if (maxFailures) health.configure({ maxFailures });
+  }, [health, maxFailures]);
+
+  // A fresh start for every (re)connection
+  useEffect(() => {
+    if (!enabled) return;
+    health.reset(Date.now());
+    const interval = setInterval(() => {
+      if (onHealthRef.current) onHealthRef.current(health.snapshot(Date.now()));
+    }, HEALTH_REPORT_MS);
+    return () => clearInterval(interval);
+  }, [enabled, health, host, port]);
+
+  const socketUrl = enabled && preferWebSocket ? `ws://${host}:${wsPort}/?token=${encodeURIComponent(token || '')}` : null;
+
+  const { readyState } = useWebSocket(socketUrl, {
+    shouldReconnect: () => true,
+    retryOnError: true,
+    reconnectAttempts: MAX_RECONNECT_ATTEMPTS,
+    reconnectInterval: reconnectBackoff,
+    onMessage: (event) => {
+      let reading;
+      try {
+        reading = parseReading(event.data);
+      } catch (err) {
+        return; // Ignore malformed frames
+      }
+      if (health.recordReading(Date.now(), reading)) onReadingRef.current(reading);
+    }
+  }, Boolean(socketUrl));
+
+  const isStreaming = Boolean(socketUrl) && readyState === ReadyState.OPEN;
+
+  // HTTP polling fallback
+  useEffect(() => {
+    if (!enabled || isStreaming) return;
+
+    // A dead device makes polls hang until they time out; don't stack them up
+    let inFlight = false;
+    const pollESP = async () => {
+      if (inFlight) return;
+      inFlight = true;
+      const sentAt = Date.now();
+      try {
+        const reading = parseReading(await getAngle({ host, port, token }));
+        if (health.recordReading(Date.now(), reading, Date.now() - sentAt)) onReadingRef.current(reading);
+      } catch (err) {
+        if (isUnauthorized(err) && onUnauthorizedRef.current) onUnauthorizedRef.current();
+        else health.recordFailure(Date.now());
+      } finally {
+        inFlight = false;
+      }
+    };
+
+    const interval = setInterval(pollESP, pollInterval);
+    return () => clearInterval(interval);
+  }, [enabled, isStreaming, host, port, token, pollInterval, health]);
+
+  return {
+    transport: !enabled ? 'none' : isStreaming ? 'websocket' : 'http',
+    socketState: readyState
+  };
+}